@@ -0,0 +1,254 @@
+/*
+ * Class Display
+ * Student-facing materials built from a plan: a large-type board for the
+ * projector with the We Will / I Will lesson frame, the success criteria
+ * as "I can" statements and a timer for the lesson segments of the
+ * procedures section, a printable frame-the-lesson poster and vocabulary
+ * cards. Bilingual plans show English and Spanish side by side.
+ */
+
+/**
+ * The plan to display: the teacher's draft, or else the latest
+ * submitted revision of the plan. Drafts saved by an older version are
+ * brought up to date so their steps carry minutes for the timer.
+ * @param {string} planId
+ * @returns {Object|null} plan document
+ */
+function findDisplayPlan(planId) {
+  const draft = getDraft(planId);
+  if (draft) return migratePlanDocument(draft.plan);
+  const revisions = listSubmissions().filter(entry => entry.planId === planId);
+  if (revisions.length === 0) return null;
+  return revisions.reduce((latest, entry) => (entry.revision > latest.revision ? entry : latest)).plan;
+}
+
+/**
+ * Locales the class sees a plan in.
+ */
+function displayLocales(plan) {
+  return plan.language === 'bilingual' ? BILINGUAL_LOCALES : [planLocale(plan)];
+}
+
+/**
+ * The kid‑friendly objective and product of a plan in a locale.
+ * @returns {{objective: string, product: string}}
+ */
+function displayFrame(plan, locale) {
+  const translations = plan.frame.translations || {};
+  return locale === planLocale(plan) || !translations[locale] ? plan.frame : translations[locale];
+}
+
+/**
+ * The plan's success criteria as "I can" statements, e.g. "I can explain
+ * mathematical reasoning verbally or in writing."
+ */
+function iCanStatements(plan, locale) {
+  const { iCan } = frameStarters(locale);
+  return plan.successCriteria.map(plainText).filter(Boolean).map((criterion) => {
+    const text = translateText(criterion, locale);
+    return `${iCan} ${text.charAt(0).toLowerCase()}${text.slice(1)}`;
+  });
+}
+
+/**
+ * The lesson segments of the procedures section with the minutes the
+ * generator planned for each step. The title is the step heading without
+ * its letter and minutes, e.g. "Vocabulary & Knowledge Building" from
+ * "B. Vocabulary & Knowledge Building (5–8 min)". A segment without
+ * minutes has 0 for both.
+ * @returns {Array<{title: string, minMinutes: number, maxMinutes: number}>}
+ */
+function lessonSegments(plan) {
+  const procedures = plan.sections.find(section => section.id === 'procedures');
+  if (!procedures) return [];
+  return procedures.blocks.filter(block => block.type === 'subheading').map((block) => {
+    let title = plainText(block.text).replace(/^[A-Z]\.\s*/, '');
+    if (block.minutes) title = title.replace(/\s*\([^()]*\)$/, '');
+    return {
+      title,
+      minMinutes: block.minutes ? block.minutes.min : 0,
+      maxMinutes: block.minutes ? block.minutes.max : 0,
+    };
+  });
+}
+
+/**
+ * Vocabulary words for the cards: the catalog lesson's vocabulary.
+ */
+function lessonVocabulary(plan) {
+  return plan.curriculum ? plan.curriculum.vocabulary.slice() : [];
+}
+
+/**
+ * Text shown in every display locale, e.g. "Opening Routine / Rutina de apertura".
+ */
+function displayText(plan, text) {
+  return Array.from(new Set(displayLocales(plan).map(locale => translateText(text, locale)))).join(' / ');
+}
+
+/**
+ * The We Will / I Will frame and "I can" statements, one column per
+ * display locale. Used by the board and the poster.
+ */
+function renderDisplayFrame(plan) {
+  return `
+    <div class="display-frame">
+      ${displayLocales(plan).map((locale) => {
+        const starters = frameStarters(locale);
+        const { objective, product } = displayFrame(plan, locale);
+        return `
+      <div class="display-column" lang="${locale}">
+        <p class="frame-we-will"><strong>${starters.weWill}...</strong> ${escapeHtml(objective.replace(starters.weWill, '').trim())}</p>
+        <p class="frame-i-will"><strong>${starters.iWill}...</strong> ${escapeHtml(product.replace(starters.iWill, '').trim())}</p>
+        <ul class="frame-i-can">
+          ${iCanStatements(plan, locale).map(statement => `<li>${escapeHtml(statement)}</li>`).join('')}
+        </ul>
+      </div>`;
+      }).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Projector board: the lesson frame and the segment timer.
+ */
+function renderClassBoard(plan) {
+  return `
+    <div class="board">
+      ${renderDisplayFrame(plan)}
+      <div class="segment-timer"></div>
+    </div>
+  `;
+}
+
+/**
+ * Printable frame-the-lesson poster.
+ */
+function renderFramePoster(plan) {
+  const title = plan.curriculum ? plan.curriculum.title : formatUnitLesson(plan.meta);
+  return `
+    <div class="poster">
+      <h1>${escapeHtml(displayText(plan, 'Frame the Lesson'))}</h1>
+      ${title ? `<p class="poster-lesson">${escapeHtml(title)}</p>` : ''}
+      ${renderDisplayFrame(plan)}
+    </div>
+  `;
+}
+
+/**
+ * Printable vocabulary cards, one word per card.
+ * @param {Object} plan
+ * @param {string[]} words
+ */
+function renderVocabularyCards(plan, words) {
+  if (words.length === 0) {
+    return `<p class="no-vocabulary">${escapeHtml(t('This lesson has no vocabulary in the curriculum catalog. Add words above to make cards.'))}</p>`;
+  }
+  const lesson = plan.curriculum ? plan.curriculum.title : '';
+  return `
+    <div class="vocabulary-cards">
+      ${words.map(word => `
+      <div class="vocabulary-card">
+        <span class="vocabulary-word">${escapeHtml(word)}</span>
+        ${lesson ? `<span class="vocabulary-lesson">${escapeHtml(lesson)}</span>` : ''}
+      </div>`).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Format seconds as m:ss.
+ */
+function formatTimer(seconds) {
+  const whole = Math.max(0, Math.round(seconds));
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Wire up the lesson segment timer. Each segment counts down from the
+ * top of its planned range; past the bottom of the range the timer
+ * shows it is time to wrap up, and past the top it counts the minutes
+ * over. Segments without planned minutes count up.
+ * @param {Object} options
+ * @param {Element} options.container
+ * @param {Object} options.plan
+ * @returns {{stop: () => void}}
+ */
+function mountSegmentTimer({ container, plan }) {
+  const segments = lessonSegments(plan);
+  if (segments.length === 0) {
+    container.innerHTML = `<p>${escapeHtml(t('This plan has no lesson procedures to time.'))}</p>`;
+    return { stop: () => {} };
+  }
+  let index = 0;
+  let ticking = null;
+  // Time is read from the clock, not counted in ticks: browsers slow
+  // down timers in background tabs. Earlier runs of this segment are
+  // banked when the timer is paused.
+  let bankedMs = 0;
+  let startedAt = null;
+  const elapsedSeconds = () => Math.floor((bankedMs + (startedAt === null ? 0 : Date.now() - startedAt)) / 1000);
+
+  const show = () => {
+    const segment = segments[index];
+    const elapsed = elapsedSeconds();
+    const max = segment.maxMinutes * 60;
+    let state = '';
+    if (max && elapsed >= max) {
+      state = 'over';
+    } else if (max && elapsed >= segment.minMinutes * 60) {
+      state = 'wrap-up';
+    }
+    const clock = !max ? formatTimer(elapsed) : state === 'over' ? `+${formatTimer(elapsed - max)}` : formatTimer(max - elapsed);
+    const range = segment.minMinutes === segment.maxMinutes ? `${segment.maxMinutes}` : `${segment.minMinutes}–${segment.maxMinutes}`;
+    container.innerHTML = `
+      <p class="segment-title">${escapeHtml(displayText(plan, segment.title))}${segment.maxMinutes ? ` <span class="segment-range">(${range} min)</span>` : ''}</p>
+      <p class="segment-clock ${state}" role="timer" aria-live="off">${clock}</p>
+      <div class="segment-controls">
+        <button type="button" data-timer="previous"${index === 0 ? ' disabled' : ''}>${t('Previous')}</button>
+        <button type="button" data-timer="toggle">${ticking ? t('Pause') : t('Start')}</button>
+        <button type="button" data-timer="reset">${t('Reset')}</button>
+        <button type="button" data-timer="next"${index === segments.length - 1 ? ' disabled' : ''}>${t('Next')}</button>
+      </div>
+      <ol class="segment-list">
+        ${segments.map((item, i) => `<li class="${i === index ? 'current' : i < index ? 'done' : ''}">${escapeHtml(displayText(plan, item.title))}</li>`).join('')}
+      </ol>
+    `;
+  };
+  const stop = () => {
+    if (startedAt !== null) bankedMs += Date.now() - startedAt;
+    startedAt = null;
+    clearInterval(ticking);
+    ticking = null;
+  };
+  const restart = () => {
+    bankedMs = 0;
+    startedAt = ticking ? Date.now() : null;
+  };
+  const go = (next) => {
+    index = Math.min(Math.max(next, 0), segments.length - 1);
+    restart();
+    show();
+  };
+
+  container.addEventListener('click', (e) => {
+    const action = e.target.dataset.timer;
+    if (action === 'toggle') {
+      if (ticking) {
+        stop();
+      } else {
+        startedAt = Date.now();
+        ticking = setInterval(show, 1000);
+      }
+      show();
+    }
+    if (action === 'reset') {
+      restart();
+      show();
+    }
+    if (action === 'previous') go(index - 1);
+    if (action === 'next') go(index + 1);
+  });
+  show();
+  return { stop };
+}
@@ -0,0 +1,259 @@
+/*
+ * Class Roster
+ * Each teacher's students, their small groups and their assessment
+ * results (e.g. an mCLASS/DIBELS export or Bluebonnet unit scores
+ * imported from CSV). The roster never leaves this device: it is kept
+ * in localStorage, not in the shared plan library. Plans record only
+ * the groups, their targeted skills and anonymous student IDs; the
+ * names are filled in when a plan is shown on this device.
+ */
+
+const CLASS_ROSTERS_KEY = 'classRosters';
+// Roster used when no teacher profile is active
+const DEVICE_ROSTER_ID = 'device';
+
+/**
+ * All rosters on this device, keyed by teacher profile ID.
+ */
+function loadClassRosters() {
+  return readStored(CLASS_ROSTERS_KEY, {});
+}
+
+/**
+ * A teacher's roster.
+ * @param {string|null} teacherId
+ * @returns {{students: Array<{id: string, name: string, localId: string, groupId: string, scores: Object<string, string>}>,
+ *   groups: Array<{id: string, name: string, skills: string}>, measures: string[]}}
+ */
+function loadClassRoster(teacherId) {
+  const roster = loadClassRosters()[teacherId || DEVICE_ROSTER_ID];
+  return Object.assign({ students: [], groups: [], measures: [] }, roster);
+}
+
+function saveClassRoster(teacherId, roster) {
+  const rosters = loadClassRosters();
+  rosters[teacherId || DEVICE_ROSTER_ID] = Object.assign({}, roster, { updatedAt: new Date().toISOString() });
+  writeStored(CLASS_ROSTERS_KEY, rosters);
+}
+
+/**
+ * Names of students in any roster on this device, for the IDs a plan
+ * records. Unknown IDs (students of another device) are left out.
+ */
+function rosterStudentNames(studentIds) {
+  const rosters = loadClassRosters();
+  const students = [].concat(...Object.keys(rosters).map(id => rosters[id].students || []));
+  return studentIds.map(id => students.find(student => student.id === id)).filter(Boolean).map(student => student.name);
+}
+
+/**
+ * Split CSV text into rows of cells. Quoted cells may contain commas,
+ * doubled quotes and line breaks.
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.map(cells => cells.map(value => value.trim())).filter(cells => cells.some(Boolean));
+}
+
+/**
+ * Merge an assessment export into a roster. The first row names the
+ * columns: a student name column (Student, Name or Student Name, or
+ * First Name and Last Name), optionally a Student ID and a Group
+ * column; every other column is recorded as an assessment measure.
+ * Students are matched by student ID when the file has one, otherwise
+ * by name, and students not yet on the roster are added.
+ * @param {Object} roster
+ * @param {string} text CSV file contents
+ * @returns {{roster: Object, added: number, updated: number, errors: string[]}}
+ */
+function importAssessmentCsv(roster, text) {
+  const [header = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  const find = pattern => header.findIndex(column => pattern.test(column));
+  const nameColumn = find(/^(student\s*)?name$|^student$/i);
+  const firstColumn = find(/^first(\s*name)?$/i);
+  const lastColumn = find(/^last(\s*name)?$/i);
+  const idColumn = find(/^(student\s*)?id$|^student\s*(number|#)$/i);
+  const groupColumn = find(/^(small\s*)?group$/i);
+  if (nameColumn === -1 && (firstColumn === -1 || lastColumn === -1)) {
+    return { roster, added: 0, updated: 0, errors: [t('The file needs a Student Name column (or First Name and Last Name columns).')] };
+  }
+  const used = [nameColumn, firstColumn, lastColumn, idColumn, groupColumn];
+  const measureColumns = header.map((column, i) => i).filter(i => !used.includes(i) && header[i]);
+
+  const updated = {
+    students: roster.students.map(student => Object.assign({}, student, { scores: Object.assign({}, student.scores) })),
+    groups: roster.groups.map(group => Object.assign({}, group)),
+    measures: roster.measures.slice(),
+  };
+  measureColumns.forEach(i => {
+    if (!updated.measures.includes(header[i])) updated.measures.push(header[i]);
+  });
+  const result = { added: 0, updated: 0, errors: [] };
+  rows.forEach((cells, r) => {
+    const name = nameColumn !== -1 ? cells[nameColumn] : `${cells[firstColumn] || ''} ${cells[lastColumn] || ''}`.trim();
+    if (!name) {
+      result.errors.push(t('Row {row} has no student name and was skipped.', { row: r + 2 }));
+      return;
+    }
+    const localId = idColumn !== -1 ? cells[idColumn] || '' : '';
+    let student = updated.students.find(candidate => (localId && candidate.localId === localId)
+      || (!localId && candidate.name.toLowerCase() === name.toLowerCase()));
+    if (student) {
+      result.updated += 1;
+    } else {
+      student = { id: createPlanId('student'), name, localId, groupId: '', scores: {} };
+      updated.students.push(student);
+      result.added += 1;
+    }
+    measureColumns.forEach(i => {
+      if (cells[i]) student.scores[header[i]] = cells[i];
+    });
+    if (groupColumn !== -1 && cells[groupColumn]) {
+      student.groupId = findOrAddGroup(updated, cells[groupColumn]).id;
+    }
+  });
+  return Object.assign(result, { roster: updated });
+}
+
+/**
+ * The group with a name, added to the roster if it is new.
+ */
+function findOrAddGroup(roster, name) {
+  let group = roster.groups.find(candidate => candidate.name.toLowerCase() === name.toLowerCase());
+  if (!group) {
+    group = { id: createPlanId('group'), name, skills: '' };
+    roster.groups.push(group);
+  }
+  return group;
+}
+
+/**
+ * Regroup students by one assessment measure. Levels (e.g. "Below
+ * Benchmark") make one group per level; numeric scores are split into
+ * three groups of similar size from the lowest scores up. Students
+ * without a result keep their group.
+ * @returns {Object} the regrouped roster
+ */
+function groupRosterByMeasure(roster, measure) {
+  const updated = {
+    students: roster.students.map(student => Object.assign({}, student)),
+    groups: roster.groups.map(group => Object.assign({}, group)),
+    measures: roster.measures.slice(),
+  };
+  const tested = updated.students.filter(student => student.scores[measure]);
+  const score = student => parseFloat(student.scores[measure]);
+  const numeric = tested.length > 0 && tested.every(student => !Number.isNaN(score(student)));
+  if (numeric) {
+    const sorted = tested.slice().sort((a, b) => score(a) - score(b));
+    const bands = ['Low', 'Middle', 'High'];
+    sorted.forEach((student, i) => {
+      const band = bands[Math.min(bands.length - 1, Math.floor((i * bands.length) / sorted.length))];
+      const group = findOrAddGroup(updated, `${measure} — ${band}`);
+      if (!group.skills) group.skills = `${measure} (${band.toLowerCase()} scores)`;
+      student.groupId = group.id;
+    });
+  } else {
+    tested.forEach(student => {
+      const group = findOrAddGroup(updated, student.scores[measure]);
+      if (!group.skills) group.skills = `${measure}: ${student.scores[measure]}`;
+      student.groupId = group.id;
+    });
+  }
+  return updated;
+}
+
+/**
+ * The groups a plan records: each group with students, its targeted
+ * skills and its students' IDs (never their names).
+ * @returns {Array<{id: string, name: string, skills: string, studentIds: string[]}>}
+ */
+function rosterPlanGroups(roster) {
+  return roster.groups
+    .map(group => ({
+      id: group.id,
+      name: group.name,
+      skills: group.skills,
+      studentIds: roster.students.filter(student => student.groupId === group.id).map(student => student.id),
+    }))
+    .filter(group => group.studentIds.length);
+}
+
+/**
+ * Render the groups table of the roster page.
+ */
+function renderRosterGroups(roster) {
+  if (roster.groups.length === 0) {
+    return `<p>${t('No groups yet. Add one, import a file with a Group column or group students by a measure.')}</p>`;
+  }
+  return `
+    <table class="roster-table">
+      <tr><th>${t('Group')}</th><th>${t('Targeted skills')}</th><th>${t('Students')}</th><th></th></tr>
+      ${roster.groups.map(group => `
+      <tr data-group-id="${escapeHtml(group.id)}">
+        <td><input type="text" class="group-name" value="${escapeHtml(group.name)}" aria-label="${t('Group name')}"/></td>
+        <td><input type="text" class="group-skills" value="${escapeHtml(group.skills)}" placeholder="${t('e.g., short vowel blending')}" aria-label="${t('Targeted skills')}"/></td>
+        <td>${roster.students.filter(student => student.groupId === group.id).length}</td>
+        <td><button type="button" class="remove-group">${t('Remove')}</button></td>
+      </tr>`).join('')}
+    </table>
+  `;
+}
+
+/**
+ * Render the students table of the roster page with each assessment
+ * measure as a column.
+ */
+function renderRosterStudents(roster) {
+  if (roster.students.length === 0) {
+    return `<p>${t('No students yet. Add them one at a time or import an assessment file.')}</p>`;
+  }
+  const groupOptions = selected => ['<option value="">—</option>',
+    ...roster.groups.map(group => `<option value="${escapeHtml(group.id)}"${group.id === selected ? ' selected' : ''}>${escapeHtml(group.name)}</option>`)].join('');
+  const students = roster.students.slice().sort((a, b) => a.name.localeCompare(b.name));
+  return `
+    <table class="roster-table">
+      <tr><th>${t('Student')}</th><th>${t('Group')}</th>${roster.measures.map(measure => `<th>${escapeHtml(measure)}</th>`).join('')}<th></th></tr>
+      ${students.map(student => `
+      <tr data-student-id="${escapeHtml(student.id)}">
+        <td>${escapeHtml(student.name)}</td>
+        <td><select class="student-group" aria-label="${escapeHtml(t('Group for {name}', { name: student.name }))}">${groupOptions(student.groupId)}</select></td>
+        ${roster.measures.map(measure => `<td>${escapeHtml(student.scores[measure] || '-')}</td>`).join('')}
+        <td><button type="button" class="remove-student">${t('Remove')}</button></td>
+      </tr>`).join('')}
+    </table>
+  `;
+}
@@ -0,0 +1,164 @@
+/*
+ * Curriculum Catalog
+ * A local scope-and-sequence catalog (data/curriculum.json) keyed by
+ * program, grade, unit and lesson. Each lesson lists its title,
+ * objectives, vocabulary, TEKS codes and materials so the generator can
+ * prefill real lesson content. A lesson may also carry its title and
+ * objectives in Spanish ("es": { "title", "objectives" }) for Spanish
+ * and bilingual plans. Campuses can import their own catalog; an
+ * imported catalog is kept in localStorage and takes precedence.
+ */
+
+(function (factory) {
+  if (typeof module !== 'undefined') {
+    module.exports = factory(require);
+  } else {
+    Object.assign(window, factory(() => window));
+  }
+}((require) => {
+  const CURRICULUM_URL = 'data/curriculum.json';
+  const CURRICULUM_KEY = 'curriculumCatalog';
+
+  // Lesson fields that list text, and the text fields of a lesson
+  const LESSON_LIST_FIELDS = ['objectives', 'vocabulary', 'teks', 'materials'];
+  const LESSON_TEXT_FIELDS = ['title', 'strand'];
+
+  /**
+   * Whether a catalog value is a JSON object (not a list).
+   */
+  function isCatalogObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Whether a catalog value is a list of text.
+   */
+  function isTextList(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string');
+  }
+
+  /**
+   * Check one catalog lesson: a title, text fields that are text and
+   * lists that are lists of text, including the Spanish ones.
+   * @throws {Error} naming the lesson and the field
+   */
+  function validateCatalogLesson(lesson, where) {
+    if (!isCatalogObject(lesson)) {
+      throw new Error(`${where} is not a lesson object.`);
+    }
+    if (typeof lesson.title !== 'string' || !lesson.title.trim()) {
+      throw new Error(`${where} needs a "title".`);
+    }
+    LESSON_TEXT_FIELDS.forEach(field => {
+      if (lesson[field] !== undefined && typeof lesson[field] !== 'string') {
+        throw new Error(`${where}: "${field}" must be text.`);
+      }
+    });
+    LESSON_LIST_FIELDS.forEach(field => {
+      if (lesson[field] !== undefined && !isTextList(lesson[field])) {
+        throw new Error(`${where}: "${field}" must be a list of text, e.g. ["first", "second"].`);
+      }
+    });
+    if (lesson.es !== undefined) {
+      if (!isCatalogObject(lesson.es)) {
+        throw new Error(`${where}: "es" must be an object with "title" and "objectives".`);
+      }
+      if (lesson.es.title !== undefined && typeof lesson.es.title !== 'string') {
+        throw new Error(`${where}: "es.title" must be text.`);
+      }
+      if (lesson.es.objectives !== undefined && !isTextList(lesson.es.objectives)) {
+        throw new Error(`${where}: "es.objectives" must be a list of text.`);
+      }
+    }
+  }
+
+  /**
+   * Check that a parsed catalog has the expected shape, down to the type
+   * of each lesson field the generator reads.
+   * @throws {Error} describing the first problem found
+   */
+  function validateCurriculumCatalog(catalog) {
+    if (!isCatalogObject(catalog) || !isCatalogObject(catalog.programs)) {
+      throw new Error('A curriculum catalog needs a "programs" object.');
+    }
+    Object.keys(catalog.programs).forEach(program => {
+      const grades = catalog.programs[program];
+      if (!isCatalogObject(grades)) {
+        throw new Error(`${program} must list its grades in an object.`);
+      }
+      Object.keys(grades).forEach(grade => {
+        if (!isCatalogObject(grades[grade])) {
+          throw new Error(`${program} ${grade} must list its units in an object.`);
+        }
+        Object.keys(grades[grade]).forEach(unit => {
+          const unitEntry = grades[grade][unit];
+          if (!isCatalogObject(unitEntry) || !isCatalogObject(unitEntry.lessons)) {
+            throw new Error(`${program} ${grade} unit ${unit} has no "lessons".`);
+          }
+          if (unitEntry.title !== undefined && typeof unitEntry.title !== 'string') {
+            throw new Error(`${program} ${grade} unit ${unit}: "title" must be text.`);
+          }
+          Object.keys(unitEntry.lessons).forEach(lesson => {
+            validateCatalogLesson(unitEntry.lessons[lesson], `${program} ${grade} unit ${unit} lesson ${lesson}`);
+          });
+        });
+      });
+    });
+    return catalog;
+  }
+
+  /**
+   * Load the catalog: an imported catalog if one was saved, otherwise the
+   * bundled data/curriculum.json. Resolves to null when neither is
+   * available (e.g. the page was opened straight from disk).
+   * @returns {Promise<Object|null>}
+   */
+  function loadCurriculumCatalog() {
+    const imported = localStorage.getItem(CURRICULUM_KEY);
+    if (imported) {
+      return Promise.resolve(JSON.parse(imported));
+    }
+    return fetch(CURRICULUM_URL)
+      .then(response => (response.ok ? response.json() : null))
+      .then(catalog => (catalog ? validateCurriculumCatalog(catalog) : null))
+      .catch(() => null);
+  }
+
+  /**
+   * Save a catalog chosen by the teacher so it is used from now on.
+   * @param {string} text contents of a catalog JSON file
+   * @returns {Object} the parsed catalog
+   */
+  function importCurriculumCatalog(text) {
+    const catalog = validateCurriculumCatalog(JSON.parse(text));
+    localStorage.setItem(CURRICULUM_KEY, JSON.stringify(catalog));
+    return catalog;
+  }
+
+  /**
+   * Find a lesson in the catalog.
+   * @param {Object|null} catalog
+   * @param {{program: string, grade: string, unit: string, lesson: string}} selection
+   * @returns {Object|null} the lesson with its unit title, or null when
+   *   the lesson is not in the catalog
+   */
+  function findCatalogLesson(catalog, { program, grade, unit, lesson }) {
+    const units = catalog && catalog.programs[program] && catalog.programs[program][grade];
+    const unitEntry = units && units[String(unit)];
+    const lessonEntry = unitEntry && unitEntry.lessons[String(lesson)];
+    if (!lessonEntry) return null;
+    return Object.assign({
+      objectives: [],
+      vocabulary: [],
+      teks: [],
+      materials: [],
+    }, lessonEntry, { unitTitle: unitEntry.title || '' });
+  }
+
+  return {
+    validateCurriculumCatalog,
+    loadCurriculumCatalog,
+    importCurriculumCatalog,
+    findCatalogLesson,
+  };
+}));
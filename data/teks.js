@@ -0,0 +1,98 @@
+/*
+ * Bundled K–2 TEKS dataset
+ * Texas Essential Knowledge and Skills for English Language Arts and
+ * Reading (19 TAC §110) and Mathematics (19 TAC §111) used by the TEKS
+ * picker. Descriptions follow the student expectation wording; the
+ * knowledge-and-skills stem is summarized in `strand`.
+ */
+
+(function (factory) {
+  if (typeof module !== 'undefined') {
+    module.exports = factory(require);
+  } else {
+    Object.assign(window, factory(() => window));
+  }
+}((require) => {
+  const TEKS_STANDARDS = [
+    // Kindergarten — Reading (ELAR)
+    { code: 'K.1(A)', subject: 'Reading', grade: 'Kindergarten', strand: 'Oral language', description: 'Listen actively and ask questions to understand information and answer questions using multi-word responses.' },
+    { code: 'K.2(A)(i)', subject: 'Reading', grade: 'Kindergarten', strand: 'Phonological awareness', description: 'Identify and produce rhyming words.' },
+    { code: 'K.2(A)(ii)', subject: 'Reading', grade: 'Kindergarten', strand: 'Phonological awareness', description: 'Recognize spoken alliteration or groups of words that begin with the same spoken onset or initial sound.' },
+    { code: 'K.2(A)(iii)', subject: 'Reading', grade: 'Kindergarten', strand: 'Phonological awareness', description: 'Identify the individual words in a spoken sentence.' },
+    { code: 'K.2(A)(iv)', subject: 'Reading', grade: 'Kindergarten', strand: 'Phonological awareness', description: 'Identify syllables in spoken words.' },
+    { code: 'K.2(A)(v)', subject: 'Reading', grade: 'Kindergarten', strand: 'Phonological awareness', description: 'Blend syllables to form multisyllabic words.' },
+    { code: 'K.2(A)(vii)', subject: 'Reading', grade: 'Kindergarten', strand: 'Phonological awareness', description: 'Identify and isolate the initial and final sound of a spoken word.' },
+    { code: 'K.2(A)(viii)', subject: 'Reading', grade: 'Kindergarten', strand: 'Phonological awareness', description: 'Blend spoken phonemes to form one-syllable words.' },
+    { code: 'K.2(B)(i)', subject: 'Reading', grade: 'Kindergarten', strand: 'Phonics', description: 'Identify and match the common sounds that letters represent.' },
+    { code: 'K.2(B)(ii)', subject: 'Reading', grade: 'Kindergarten', strand: 'Phonics', description: 'Use letter-sound relationships to decode, including VC, CVC, CCVC, and CVCC words.' },
+    { code: 'K.2(B)(iii)', subject: 'Reading', grade: 'Kindergarten', strand: 'Phonics', description: 'Recognize that new words are created when letters are changed, added, or deleted, such as it - pit - tip - tap.' },
+    { code: 'K.2(B)(iv)', subject: 'Reading', grade: 'Kindergarten', strand: 'Phonics', description: 'Identify and read at least 25 high-frequency words from a research-based list.' },
+    { code: 'K.3(B)', subject: 'Reading', grade: 'Kindergarten', strand: 'Vocabulary', description: 'Use illustrations and texts the student is able to read or hear to learn or clarify word meanings.' },
+    { code: 'K.6(G)', subject: 'Reading', grade: 'Kindergarten', strand: 'Comprehension', description: 'Evaluate details to determine what is most important with adult assistance.' },
+    { code: 'K.7(D)', subject: 'Reading', grade: 'Kindergarten', strand: 'Response', description: 'Retell texts in ways that maintain meaning.' },
+
+    // 1st Grade — Reading (ELAR)
+    { code: '1.2(A)(i)', subject: 'Reading', grade: '1st Grade', strand: 'Phonological awareness', description: 'Produce a series of rhyming words.' },
+    { code: '1.2(A)(iii)', subject: 'Reading', grade: '1st Grade', strand: 'Phonological awareness', description: 'Distinguish between long and short vowel sounds in one-syllable words.' },
+    { code: '1.2(A)(iv)', subject: 'Reading', grade: '1st Grade', strand: 'Phonological awareness', description: 'Recognize the change in spoken word when a specified phoneme is added, changed, or removed.' },
+    { code: '1.2(A)(v)', subject: 'Reading', grade: '1st Grade', strand: 'Phonological awareness', description: 'Blend spoken phonemes to form one-syllable words, including initial and/or final consonant blends.' },
+    { code: '1.2(A)(vi)', subject: 'Reading', grade: '1st Grade', strand: 'Phonological awareness', description: 'Manipulate phonemes within base words.' },
+    { code: '1.2(A)(vii)', subject: 'Reading', grade: '1st Grade', strand: 'Phonological awareness', description: 'Segment spoken one-syllable words of three to five phonemes into individual phonemes, including words with initial and/or final consonant blends.' },
+    { code: '1.2(B)(i)', subject: 'Reading', grade: '1st Grade', strand: 'Phonics', description: 'Decode words in isolation and in context by applying common letter-sound correspondences.' },
+    { code: '1.2(B)(ii)', subject: 'Reading', grade: '1st Grade', strand: 'Phonics', description: 'Decode words with initial and final consonant blends, digraphs, and trigraphs.' },
+    { code: '1.2(B)(iii)', subject: 'Reading', grade: '1st Grade', strand: 'Phonics', description: 'Decode words with closed syllables; open syllables; VCe syllables; vowel teams, including vowel digraphs and diphthongs; and r-controlled syllables.' },
+    { code: '1.2(B)(vi)', subject: 'Reading', grade: '1st Grade', strand: 'Phonics', description: 'Identify and read at least 100 high-frequency words from a research-based list.' },
+    { code: '1.3(B)', subject: 'Reading', grade: '1st Grade', strand: 'Vocabulary', description: 'Use illustrations and texts the student is able to read or hear to learn or clarify word meanings.' },
+    { code: '1.6(G)', subject: 'Reading', grade: '1st Grade', strand: 'Comprehension', description: 'Evaluate details to determine what is most important with adult assistance.' },
+    { code: '1.7(D)', subject: 'Reading', grade: '1st Grade', strand: 'Response', description: 'Retell texts in ways that maintain meaning.' },
+
+    // 2nd Grade — Reading (ELAR)
+    { code: '2.2(A)(i)', subject: 'Reading', grade: '2nd Grade', strand: 'Phonics', description: 'Decode multisyllabic words with closed syllables; open syllables; VCe syllables; vowel teams, including digraphs and diphthongs; r-controlled syllables; and final stable syllables.' },
+    { code: '2.2(A)(ii)', subject: 'Reading', grade: '2nd Grade', strand: 'Phonics', description: 'Decode words using knowledge of syllable division patterns such as VC/CV, VC/V, and V/CV.' },
+    { code: '2.2(A)(iii)', subject: 'Reading', grade: '2nd Grade', strand: 'Phonics', description: 'Decode words with prefixes, including un-, re-, and dis-, and inflectional endings, including -s, -es, -ed, -ing, -er, and -est.' },
+    { code: '2.2(B)(i)', subject: 'Reading', grade: '2nd Grade', strand: 'Spelling', description: 'Spell one-syllable and multisyllabic words with closed syllables; open syllables; VCe syllables; vowel teams, including digraphs and diphthongs; r-controlled syllables; and final stable syllables.' },
+    { code: '2.3(B)', subject: 'Reading', grade: '2nd Grade', strand: 'Vocabulary', description: 'Use context within and beyond a sentence to determine the meaning of unfamiliar words.' },
+    { code: '2.4', subject: 'Reading', grade: '2nd Grade', strand: 'Fluency', description: 'Use appropriate fluency (rate, accuracy, and prosody) when reading grade-level text.' },
+    { code: '2.6(G)', subject: 'Reading', grade: '2nd Grade', strand: 'Comprehension', description: 'Evaluate details read to determine key ideas.' },
+    { code: '2.7(D)', subject: 'Reading', grade: '2nd Grade', strand: 'Response', description: 'Retell and paraphrase texts in ways that maintain meaning and logical order.' },
+
+    // Kindergarten — Math
+    { code: 'K.2(A)', subject: 'Math', grade: 'Kindergarten', strand: 'Number and operations', description: 'Count forward and backward to at least 20 with and without objects.' },
+    { code: 'K.2(B)', subject: 'Math', grade: 'Kindergarten', strand: 'Number and operations', description: 'Read, write, and represent whole numbers from 0 to at least 20 with and without objects or pictures.' },
+    { code: 'K.2(C)', subject: 'Math', grade: 'Kindergarten', strand: 'Number and operations', description: 'Count a set of objects up to at least 20 and demonstrate that the last number said tells the number of objects in the set regardless of their arrangement or order.' },
+    { code: 'K.2(D)', subject: 'Math', grade: 'Kindergarten', strand: 'Number and operations', description: 'Recognize instantly the quantity of a small group of objects in organized and random arrangements.' },
+    { code: 'K.2(E)', subject: 'Math', grade: 'Kindergarten', strand: 'Number and operations', description: 'Generate a set using concrete and pictorial models that represents a number that is more than, less than, and equal to a given number up to 20.' },
+    { code: 'K.2(H)', subject: 'Math', grade: 'Kindergarten', strand: 'Number and operations', description: 'Use comparative language to describe two numbers up to 20 presented as written numerals.' },
+    { code: 'K.2(I)', subject: 'Math', grade: 'Kindergarten', strand: 'Number and operations', description: 'Compose and decompose numbers up to 10 with objects and pictures.' },
+    { code: 'K.3(A)', subject: 'Math', grade: 'Kindergarten', strand: 'Number and operations', description: 'Model the action of joining to represent addition and the action of separating to represent subtraction.' },
+    { code: 'K.3(B)', subject: 'Math', grade: 'Kindergarten', strand: 'Number and operations', description: 'Solve word problems using objects and drawings to find sums up to 10 and differences within 10.' },
+    { code: 'K.6(A)', subject: 'Math', grade: 'Kindergarten', strand: 'Geometry', description: 'Identify two-dimensional shapes, including circles, triangles, rectangles, and squares as special rectangles.' },
+
+    // 1st Grade — Math
+    { code: '1.2(B)', subject: 'Math', grade: '1st Grade', strand: 'Number and operations', description: 'Use concrete and pictorial models to compose and decompose numbers up to 120 in more than one way as so many hundreds, so many tens, and so many ones.' },
+    { code: '1.2(C)', subject: 'Math', grade: '1st Grade', strand: 'Number and operations', description: 'Use objects, pictures, and expanded and standard forms to represent numbers up to 120.' },
+    { code: '1.2(E)', subject: 'Math', grade: '1st Grade', strand: 'Number and operations', description: 'Use place value to compare whole numbers up to 120 using comparative language.' },
+    { code: '1.3(B)', subject: 'Math', grade: '1st Grade', strand: 'Number and operations', description: 'Use objects and pictorial models to solve word problems involving joining, separating, and comparing sets within 20 and unknowns as any one of the terms in the problem.' },
+    { code: '1.3(D)', subject: 'Math', grade: '1st Grade', strand: 'Number and operations', description: 'Apply basic fact strategies to add and subtract within 20, including making 10 and decomposing a number leading to a 10.' },
+    { code: '1.3(F)', subject: 'Math', grade: '1st Grade', strand: 'Number and operations', description: 'Generate and solve problem situations when given a number sentence involving addition or subtraction of numbers within 20.' },
+    { code: '1.5(D)', subject: 'Math', grade: '1st Grade', strand: 'Algebraic reasoning', description: 'Represent word problems involving addition and subtraction of whole numbers up to 20 using concrete and pictorial models and number sentences.' },
+    { code: '1.5(G)', subject: 'Math', grade: '1st Grade', strand: 'Algebraic reasoning', description: 'Apply properties of operations to add and subtract two or three numbers.' },
+    { code: '1.6(D)', subject: 'Math', grade: '1st Grade', strand: 'Geometry', description: 'Identify two-dimensional shapes, including circles, triangles, rectangles, and squares as special rectangles, rhombuses, and hexagons, and describe their attributes using formal geometric language.' },
+    { code: '1.7(D)', subject: 'Math', grade: '1st Grade', strand: 'Measurement', description: 'Describe a length to the nearest whole unit using a number and a unit.' },
+
+    // 2nd Grade — Math
+    { code: '2.2(A)', subject: 'Math', grade: '2nd Grade', strand: 'Number and operations', description: 'Use concrete and pictorial models to compose and decompose numbers up to 1,200 in more than one way as a sum of so many thousands, hundreds, tens, and ones.' },
+    { code: '2.2(B)', subject: 'Math', grade: '2nd Grade', strand: 'Number and operations', description: 'Use standard, word, and expanded forms to represent numbers up to 1,200.' },
+    { code: '2.2(D)', subject: 'Math', grade: '2nd Grade', strand: 'Number and operations', description: 'Use place value to compare and order whole numbers up to 1,200 using comparative language, numbers, and symbols (>, <, or =).' },
+    { code: '2.4(A)', subject: 'Math', grade: '2nd Grade', strand: 'Number and operations', description: 'Recall basic facts to add and subtract within 20 with automaticity.' },
+    { code: '2.4(B)', subject: 'Math', grade: '2nd Grade', strand: 'Number and operations', description: 'Add up to four two-digit numbers and subtract two-digit numbers using mental strategies and algorithms based on knowledge of place value and properties of operations.' },
+    { code: '2.4(C)', subject: 'Math', grade: '2nd Grade', strand: 'Number and operations', description: 'Solve one-step and multi-step word problems involving addition and subtraction within 1,000 using a variety of strategies based on place value, including algorithms.' },
+    { code: '2.5(A)', subject: 'Math', grade: '2nd Grade', strand: 'Number and operations', description: 'Determine the value of a collection of coins up to one dollar.' },
+    { code: '2.6(A)', subject: 'Math', grade: '2nd Grade', strand: 'Number and operations', description: 'Model, create, and describe contextual multiplication situations in which equivalent sets of concrete objects are joined.' },
+    { code: '2.9(E)', subject: 'Math', grade: '2nd Grade', strand: 'Measurement', description: 'Determine a solution to a problem involving length, including estimating lengths.' },
+  ];
+
+  return {
+    TEKS_STANDARDS,
+  };
+}));
@@ -0,0 +1,558 @@
+/*
+ * Localization
+ * Languages of the user interface and of generated plans. Text is
+ * written in English in the code and looked up in TRANSLATIONS by its
+ * English wording, so a string without a translation simply stays in
+ * English. Spanish is the first additional locale. The language chosen
+ * for the interface is kept per device; the language a plan is written
+ * in is recorded on the plan (plan.language).
+ */
+
+(function (factory) {
+  if (typeof module !== 'undefined') {
+    module.exports = factory(require);
+  } else {
+    Object.assign(window, factory(() => window));
+  }
+}((require) => {
+  // Locales of the user interface and of plan text
+  const LOCALES = {
+    en: 'English',
+    es: 'Español',
+  };
+
+  // Languages a plan can be written in; bilingual plans frame the lesson side by side
+  const PLAN_LANGUAGES = {
+    en: 'English',
+    es: 'Español (Spanish)',
+    bilingual: 'Bilingual (English / Español)',
+  };
+
+  // Locales of a bilingual plan, in column order
+  const BILINGUAL_LOCALES = ['en', 'es'];
+
+  // Sentence starters of the student-facing lesson frame, by locale
+  const LESSON_FRAME_STARTERS = {
+    en: {
+      weWill: 'We will',
+      studentsWill: 'Students will',
+      iWill: 'I will',
+      todayIWill: 'Today I will',
+      today: 'Today we will...',
+      product: 'I will...',
+      success: 'You will know you are successful when...',
+      iCan: 'I can',
+    },
+    es: {
+      weWill: 'Nosotros vamos a',
+      studentsWill: 'Los estudiantes van a',
+      iWill: 'Voy a',
+      todayIWill: 'Hoy yo voy a',
+      today: 'Hoy nosotros vamos a...',
+      product: 'Voy a...',
+      success: 'Sabrás que tuviste éxito cuando puedas...',
+      iCan: 'Puedo',
+    },
+  };
+
+  const LOCALE_KEY = 'uiLocale';
+  // Dispatched on window when the interface language changes
+  const LOCALE_CHANGE_EVENT = 'localechange';
+
+  // Translations keyed by locale, then by the English text. {name}
+  // placeholders are filled in by translateText().
+  const TRANSLATIONS = {
+    es: {
+      // Generator page
+      'K–2 Lesson Plan Generator': 'Generador de planes de lección K–2',
+      'Provide a few details below and this tool will generate a comprehensive lesson plan using the TTESS Distinguished Lesson Plan Template. It auto‑creates kid‑friendly “we\u00a0will” and “I\u00a0will” statements, aligns to the Fundamental Five and PAX Good Behavior Game, and includes a lesson internalization guide for teachers.':
+        'Escriba algunos datos y esta herramienta generará un plan de lección completo con la plantilla T‑TESS Distinguished. Crea automáticamente las frases “nosotros vamos a” y “yo voy a” para los niños, se alinea con los Fundamental Five y el PAX Good Behavior Game, e incluye una guía de internalización para el maestro.',
+      Language: 'Idioma',
+      'Teacher profile:': 'Perfil del maestro:',
+      'New Profile': 'Nuevo perfil',
+      'Name (as it should appear on plans):': 'Nombre (como debe aparecer en los planes):',
+      'Grade:': 'Grado:',
+      'Campus:': 'Escuela:',
+      'Save Profile': 'Guardar perfil',
+      'Resume a saved draft:': 'Continuar un borrador guardado:',
+      '— Start a new plan —': '— Empezar un plan nuevo —',
+      'Plan a week or unit at once →': 'Planificar una semana o unidad a la vez →',
+      'My class roster and small groups →': 'Mi lista de clase y grupos pequeños →',
+      'Grade level:': 'Grado:',
+      'Subject:': 'Materia:',
+      'Program:': 'Programa:',
+      'Strand:': 'Componente:',
+      'Unit number:': 'Número de unidad:',
+      'Lesson number:': 'Número de lección:',
+      'Plan template:': 'Plantilla del plan:',
+      'Plan language:': 'Idioma del plan:',
+      'TEKS standards or concept (optional):': 'TEKS o concepto (opcional):',
+      'Curriculum catalog (optional):': 'Catálogo del currículo (opcional):',
+      'Generate Lesson Plan': 'Generar plan de lección',
+      'Print/Save Plan': 'Imprimir/guardar plan',
+      'Export Word (.docx)': 'Exportar Word (.docx)',
+      'Export PDF': 'Exportar PDF',
+      'Edit Plan': 'Editar plan',
+      'Stop Editing': 'Terminar de editar',
+      'Add Link': 'Agregar enlace',
+      'Submit Plan': 'Entregar plan',
+      'Internalize (Overlay)': 'Internalizar (ventana)',
+      'Internalize (New Tab)': 'Internalizar (pestaña nueva)',
+      'Version History': 'Historial de versiones',
+      'Display for Class': 'Mostrar a la clase',
+      'Saving…': 'Guardando…',
+      'Draft saved': 'Borrador guardado',
+      'Draft saved {time}': 'Borrador guardado a las {time}',
+      'Updated from another tab': 'Actualizado desde otra pestaña',
+      'Updated from the server': 'Actualizado desde el servidor',
+
+      // Class display
+      'Class Display': 'Pantalla para la clase',
+      Board: 'Pizarra',
+      Poster: 'Póster',
+      'Vocabulary Cards': 'Tarjetas de vocabulario',
+      Print: 'Imprimir',
+      'Full Screen': 'Pantalla completa',
+      'Add words': 'Agregar palabras',
+      'Add word': 'Agregar palabra',
+      Start: 'Iniciar',
+      Pause: 'Pausar',
+      Reset: 'Reiniciar',
+      Previous: 'Anterior',
+      Next: 'Siguiente',
+      'This plan has no lesson procedures to time.': 'Este plan no tiene procedimientos para cronometrar.',
+      'This lesson has no vocabulary in the curriculum catalog. Add words above to make cards.':
+        'Esta lección no tiene vocabulario en el catálogo del currículo. Agregue palabras arriba para hacer tarjetas.',
+      'No lesson plan available. Open a plan from the generator and click “Display for Class”.':
+        'No hay ningún plan de lección. Abra un plan en el generador y haga clic en “Mostrar a la clase”.',
+      'Opening Routine': 'Rutina de apertura',
+      'Vocabulary & Knowledge Building': 'Vocabulario y conocimientos',
+      'Partner Practice': 'Práctica en parejas',
+      'Independent Practice / Stations': 'Práctica independiente / estaciones',
+      'Closure & Exit Ticket': 'Cierre y boleto de salida',
+      'Read‑Aloud / Decodable Reading': 'Lectura en voz alta / lectura decodificable',
+      'Concept Instruction / Guided Practice': 'Enseñanza del concepto / práctica guiada',
+      'Skills Practice / Word Work': 'Práctica de destrezas / trabajo con palabras',
+      'Explicit Phonics & Decodable Reading': 'Fonética explícita y lectura decodificable',
+      'Word Work & Dictation': 'Trabajo con palabras y dictado',
+      'Read‑Aloud & Discussion': 'Lectura en voz alta y conversación',
+      'Word Work & Application': 'Trabajo con palabras y aplicación',
+      'Launch, Explore & Discuss (Concrete → Pictorial → Abstract)': 'Iniciar, explorar y conversar (concreto → pictórico → abstracto)',
+      'Guided & Independent Practice': 'Práctica guiada e independiente',
+
+      // Hubs
+      '← Back to Lesson Plan Generator': '← Volver al generador de planes',
+      '← Back to plan list': '← Volver a la lista de planes',
+      'Your Submitted Lesson Plans': 'Sus planes de lección entregados',
+      "{name}'s Submitted Lesson Plans": 'Planes de lección entregados de {name}',
+      'Administrator Lesson Plan Hub': 'Centro de planes de lección del administrador',
+      'Lesson Results Over Time': 'Resultados de las lecciones a lo largo del tiempo',
+      'Exit-ticket mastery by': 'Dominio en el boleto de salida por',
+      'Open misconceptions': 'Conceptos erróneos pendientes',
+      'Weekly Submissions by Teacher': 'Entregas semanales por maestro',
+      'Week of': 'Semana del',
+      'TEKS Coverage': 'Cobertura de los TEKS',
+      'Count by': 'Contar por',
+      'Exit-Ticket Mastery': 'Dominio en el boleto de salida',
+      'Summarize by': 'Resumir por',
+      'Plan Templates': 'Plantillas de planes',
+      'You have not submitted any plans yet.': 'Todavía no ha entregado ningún plan.',
+      'No lesson plans have been submitted yet.': 'Todavía no se ha entregado ningún plan de lección.',
+      'No plans match the current filters.': 'Ningún plan coincide con los filtros.',
+      '1 plan': '1 plan',
+      '{count} plans': '{count} planes',
+      'Export library': 'Exportar biblioteca',
+      'Export selected': 'Exportar selección',
+      'Export selected ({count})': 'Exportar selección ({count})',
+      'Import library': 'Importar biblioteca',
+      'Select for export': 'Seleccionar para exportar',
+      Select: 'Seleccionar',
+      Search: 'Buscar',
+      'Search plan content, fields and comments': 'Buscar en el contenido, los campos y los comentarios',
+      All: 'Todos',
+      From: 'Desde',
+      To: 'Hasta',
+      Sort: 'Ordenar',
+      'Group by': 'Agrupar por',
+      'No grouping': 'Sin agrupar',
+      'Newest first': 'Más recientes primero',
+      'Oldest first': 'Más antiguos primero',
+      Submitted: 'Entregado',
+      'Submitted:': 'Entregado:',
+      Approved: 'Aprobado',
+      'Returned for revision': 'Devuelto para revisión',
+      Teacher: 'Maestro',
+      'Teacher:': 'Maestro:',
+      Grade: 'Grado',
+      Subject: 'Materia',
+      'Grade/Subject:': 'Grado/materia:',
+      Program: 'Programa',
+      'Program:': 'Programa:',
+      'Unit/Lesson': 'Unidad/lección',
+      'Unit/Lesson:': 'Unidad/lección:',
+      Unit: 'Unidad',
+      Status: 'Estado',
+      Internalized: 'Internalizado',
+      Observations: 'Observaciones',
+      'Revision {n}': 'Revisión {n}',
+      ' (revises revision {n})': ' (revisa la revisión {n})',
+      ' — superseded by a newer revision': ' — reemplazada por una revisión más reciente',
+      Approve: 'Aprobar',
+      'Return for Revision': 'Devolver para revisión',
+      'Comment on:': 'Comentar sobre:',
+      'Whole plan': 'Todo el plan',
+      'Feedback for the teacher': 'Comentarios para el maestro',
+      'Add Comment': 'Agregar comentario',
+      'No teacher profiles or submissions yet.': 'Todavía no hay perfiles de maestros ni entregas.',
+      Campus: 'Escuela',
+      'Plans for the week': 'Planes de la semana',
+      '1 submitted': '1 entregado',
+      '{count} submitted': '{count} entregados',
+      Missing: 'Falta',
+      Reading: 'Lectura',
+      Math: 'Matemáticas',
+      'Share with Teacher': 'Compartir con el maestro',
+      'No observations of this plan yet.': 'Todavía no hay observaciones de este plan.',
+      'New Observation': 'Nueva observación',
+      Observation: 'Observación',
+      Edit: 'Editar',
+      Description: 'Descripción',
+      'Not in the bundled TEKS list': 'No está en la lista de TEKS incluida',
+      'No submitted plans cite these TEKS yet.': 'Todavía ningún plan entregado cita estos TEKS.',
+      'Not yet planned, of the TEKS in the bundled list ({count})': 'TEKS de la lista incluida que aún no se han planificado ({count})',
+      'Choose the sections new plans have, their order, headings, checklist items and times. The campus default is preselected for teachers.':
+        'Elija las secciones de los planes nuevos, su orden, sus títulos, sus listas de verificación y sus tiempos. La plantilla de la escuela aparece preseleccionada para los maestros.',
+      'Revise & Resubmit (1 comment)': 'Revisar y volver a entregar (1 comentario)',
+      'Revise & Resubmit ({count} comments)': 'Revisar y volver a entregar ({count} comentarios)',
+      'Edit Lesson Results': 'Editar resultados de la lección',
+      'Record Lesson Results': 'Registrar resultados de la lección',
+      'No open misconceptions.': 'No hay conceptos erróneos pendientes.',
+      '1 submitted plan': '1 plan entregado',
+      '{count} submitted plans': '{count} planes entregados',
+      '1 draft': '1 borrador',
+      '{count} drafts': '{count} borradores',
+      'Exported {plans} and {drafts}.': 'Se exportaron {plans} y {drafts}.',
+      'Imported: {added} new, {updated} updated, {unchanged} already up to date.':
+        'Importación: {added} nuevos, {updated} actualizados, {unchanged} ya estaban al día.',
+      'Could not import this file: {message}': 'No se pudo importar este archivo: {message}',
+      'All K–2': 'Todos K–2',
+      Kindergarten: 'Kínder',
+      '1st Grade': '1.er grado',
+      '2nd Grade': '2.º grado',
+
+      // Generator messages
+      '— Choose your profile —': '— Elija su perfil —',
+      'A teacher profile needs a name.': 'El perfil del maestro necesita un nombre.',
+      'This lesson is not in the curriculum catalog; a general objective will be used.':
+        'Esta lección no está en el catálogo del currículo; se usará un objetivo general.',
+      'No curriculum catalog is loaded; a general objective will be used.':
+        'No hay ningún catálogo del currículo cargado; se usará un objetivo general.',
+      'Objectives:': 'Objetivos:',
+      'Vocabulary:': 'Vocabulario:',
+      'Curriculum catalog loaded.': 'Catálogo del currículo cargado.',
+      'Could not load the curriculum catalog: {message}': 'No se pudo cargar el catálogo del currículo: {message}',
+      '{grade} {subject} — Unit/Lesson {unitLesson} (edited {time})': '{grade} {subject} — Unidad/lección {unitLesson} (editado {time})',
+      'Please fix the TEKS standard field:': 'Corrija el campo de los TEKS:',
+      'The plan was generated. Please check the TEKS standard field:': 'Se generó el plan. Revise el campo de los TEKS:',
+      'Enter the URL to hyperlink:': 'Escriba la dirección del enlace:',
+      'Please highlight the text you want to hyperlink before clicking Add Link.':
+        'Seleccione el texto que quiere enlazar antes de hacer clic en Agregar enlace.',
+      'Lesson plan submitted successfully. It has been added to your lesson plan page and the administrator hub.':
+        'El plan de lección se entregó. Se agregó a su página de planes y al centro del administrador.',
+
+      // Internalize page
+      'Lesson Plan & Internalization': 'Plan de lección e internalización',
+      'Use this page to edit your lesson plan and review internalization guidelines side by side.':
+        'Use esta página para editar su plan de lección y repasar la guía de internalización lado a lado.',
+      'Loading plan...': 'Cargando el plan...',
+      'No lesson plan available. Please generate a plan and click “Internalize (New Tab)” first.':
+        'No hay ningún plan de lección. Genere un plan y haga clic primero en “Internalizar (pestaña nueva)”.',
+
+      // Lesson results
+      'Exit Ticket Results': 'Resultados del boleto de salida',
+      'Mastery counts': 'Conteo de dominio',
+      'Per-student scores': 'Puntajes por estudiante',
+      'Students who mastered': 'Estudiantes que lo dominaron',
+      'Students assessed': 'Estudiantes evaluados',
+      Student: 'Estudiante',
+      Score: 'Puntaje',
+      Mastered: 'Lo dominó',
+      'Score for {name}': 'Puntaje de {name}',
+      '{name} mastered': '{name} lo dominó',
+      Reflection: 'Reflexión',
+      Misconceptions: 'Conceptos erróneos',
+      'Misconceptions students showed (one per line)': 'Conceptos erróneos que mostraron los estudiantes (uno por línea)',
+      'Open misconceptions from earlier lessons — check those this lesson resolved:':
+        'Conceptos erróneos pendientes de lecciones anteriores — marque los que se resolvieron en esta lección:',
+      'lesson {lesson}': 'lección {lesson}',
+      'Save Lesson Results': 'Guardar resultados de la lección',
+      'Lesson Results': 'Resultados de la lección',
+      'recorded {time}': 'registrado {time}',
+      'Exit ticket mastery:': 'Dominio en el boleto de salida:',
+      '{mastered} of {total} students': '{mastered} de {total} estudiantes',
+      'Misconceptions:': 'Conceptos erróneos:',
+      resolved: 'resuelto',
+      'No exit-ticket results have been recorded yet.': 'Todavía no se han registrado resultados del boleto de salida.',
+      Lessons: 'Lecciones',
+      'Mastery rate': 'Porcentaje de dominio',
+      '{mastered} of {total}': '{mastered} de {total}',
+
+      // Observations
+      Walkthrough: 'Visita breve',
+      'Formal observation': 'Observación formal',
+      'Domain 1 — Planning': 'Dominio 1 — Planificación',
+      'Standards and Alignment': 'Estándares y alineación',
+      'Data and Assessment': 'Datos y evaluación',
+      'Knowledge of Students': 'Conocimiento de los estudiantes',
+      Activities: 'Actividades',
+      'Domain 2 — Instruction': 'Dominio 2 — Enseñanza',
+      'Achieving Expectations': 'Logro de expectativas',
+      'Content Knowledge and Expertise': 'Conocimiento y dominio del contenido',
+      Communication: 'Comunicación',
+      Differentiation: 'Diferenciación',
+      'Monitor and Adjust': 'Supervisar y ajustar',
+      'Domain 3 — Learning Environment': 'Dominio 3 — Ambiente de aprendizaje',
+      'Classroom Environment, Routines and Procedures': 'Ambiente, rutinas y procedimientos del salón',
+      'Managing Student Behavior': 'Manejo del comportamiento de los estudiantes',
+      'Classroom Culture': 'Cultura del salón',
+      Distinguished: 'Distinguido',
+      Accomplished: 'Logrado',
+      Proficient: 'Competente',
+      Developing: 'En desarrollo',
+      'Improvement Needed': 'Necesita mejorar',
+      'Work in the Power Zone': 'Trabajar en la zona de poder',
+      'Frequent Small‑Group Purposeful Talk': 'Conversación frecuente y con propósito en grupos pequeños',
+      'Recognize & Reinforce': 'Reconocer y reforzar',
+      'Write Critically': 'Escribir de forma crítica',
+      'No notes yet.': 'Todavía no hay notas.',
+      Type: 'Tipo',
+      Observer: 'Observador',
+      Observed: 'Observado',
+      'Not rated': 'Sin calificar',
+      Evidence: 'Evidencia',
+      'Evidence for {dimension}': 'Evidencia de {dimension}',
+      'Planned practices observed': 'Prácticas planificadas observadas',
+      'PAX kernels': 'Kernels PAX',
+      planned: 'planificado',
+      'This plan does not call for PAX kernels or Fundamental Five elements.':
+        'Este plan no incluye kernels PAX ni elementos de los Fundamental Five.',
+      'What you see and hear, e.g. students explaining their reasoning to partners':
+        'Lo que ve y escucha, p. ej. estudiantes que explican su razonamiento a un compañero',
+      'Add Note': 'Agregar nota',
+      'Save Observation': 'Guardar observación',
+      Cancel: 'Cancelar',
+      'shared {date}': 'compartida el {date}',
+      Dimension: 'Dimensión',
+      Rating: 'Calificación',
+      'Practices observed:': 'Prácticas observadas:',
+      'none recorded': 'ninguna registrada',
+
+      // Roster
+      'Class Roster & Small Groups': 'Lista de clase y grupos pequeños',
+      'Keep your students, small groups and assessment results so every plan lists your real groups.':
+        'Guarde sus estudiantes, grupos pequeños y resultados de evaluaciones para que cada plan muestre sus grupos reales.',
+      "Student names and scores stay in this browser on this device. Plans you submit record only each group's name, targeted skills and size; names appear when you open a plan here.":
+        'Los nombres y puntajes de los estudiantes se quedan en este navegador, en este dispositivo. Los planes que entrega solo guardan el nombre, las destrezas y el tamaño de cada grupo; los nombres aparecen cuando abre un plan aquí.',
+      'Import assessment results': 'Importar resultados de evaluaciones',
+      'A CSV file with a Student Name column (or First Name and Last Name), optionally Student ID and Group columns, and one column per measure — for example an mCLASS/DIBELS export or Bluebonnet unit scores.':
+        'Un archivo CSV con una columna Student Name (o First Name y Last Name), opcionalmente las columnas Student ID y Group, y una columna por medida — por ejemplo, una exportación de mCLASS/DIBELS o los puntajes de unidad de Bluebonnet.',
+      'CSV file:': 'Archivo CSV:',
+      'Small groups': 'Grupos pequeños',
+      'Add Group': 'Agregar grupo',
+      'Group students by': 'Agrupar a los estudiantes por',
+      Regroup: 'Reagrupar',
+      Name: 'Nombre',
+      'Add Student': 'Agregar estudiante',
+      'Clear Roster': 'Borrar la lista',
+      'Targeted skills': 'Destrezas a trabajar',
+      'Group name': 'Nombre del grupo',
+      'e.g., short vowel blending': 'p. ej., juntar sonidos con vocales cortas',
+      Remove: 'Quitar',
+      'No groups yet. Add one, import a file with a Group column or group students by a measure.':
+        'Todavía no hay grupos. Agregue uno, importe un archivo con una columna Group o agrupe a los estudiantes por una medida.',
+      'No students yet. Add them one at a time or import an assessment file.':
+        'Todavía no hay estudiantes. Agréguelos uno por uno o importe un archivo de evaluación.',
+      'Group for {name}': 'Grupo de {name}',
+      'Roster for {name}.': 'Lista de {name}.',
+      'No teacher profile is selected; this roster belongs to this device. Choose a profile on the generator page to keep one roster per teacher.':
+        'No hay ningún perfil de maestro seleccionado; esta lista pertenece a este dispositivo. Elija un perfil en el generador para tener una lista por maestro.',
+      'Imported {file}: 1 student added, {updated} updated.': 'Se importó {file}: 1 estudiante agregado, {updated} actualizados.',
+      'Imported {file}: {added} students added, {updated} updated.': 'Se importó {file}: {added} estudiantes agregados, {updated} actualizados.',
+      'The file needs a Student Name column (or First Name and Last Name columns).':
+        'El archivo necesita una columna Student Name (o las columnas First Name y Last Name).',
+      'Row {row} has no student name and was skipped.': 'La fila {row} no tiene nombre de estudiante y se omitió.',
+      'Name for the new group:': 'Nombre del grupo nuevo:',
+      'Added the group {name}.': 'Se agregó el grupo {name}.',
+      'Regrouped students by {measure}. Rename groups and edit their targeted skills as needed.':
+        'Se reagrupó a los estudiantes por {measure}. Cambie los nombres de los grupos y sus destrezas según sea necesario.',
+      'Saved {name}.': 'Se guardó {name}.',
+      'Group removed.': 'Se quitó el grupo.',
+      'Added {name}.': 'Se agregó a {name}.',
+      'Moved {name}.': 'Se movió a {name}.',
+      'Student removed.': 'Se quitó al estudiante.',
+      'Remove every student, group and score from this roster?': '¿Quitar todos los estudiantes, grupos y puntajes de esta lista?',
+      'Roster cleared.': 'Se borró la lista.',
+
+      // Plan text
+      Overview: 'Resumen',
+      'Standard/Concept:': 'Estándar/concepto:',
+      'Section {n} — Lesson Information': 'Sección {n} — Información de la lección',
+      'Section {n} — Objective, Learning Goals & Success Criteria': 'Sección {n} — Objetivo, metas de aprendizaje y criterios de éxito',
+      'Section {n} — Formative Assessment & Exit Ticket': 'Sección {n} — Evaluación formativa y boleto de salida',
+      'Section {n} — Materials & Resources': 'Sección {n} — Materiales y recursos',
+      'Section {n} — Classroom Culture (PAX + Fundamental Five)': 'Sección {n} — Cultura del salón (PAX + Fundamental Five)',
+      'Section {n} — Lesson Frame (Fundamental Five)': 'Sección {n} — Marco de la lección (Fundamental Five)',
+      'Section {n} — Lesson Procedures ({program} + TTESS Distinguished)': 'Sección {n} — Procedimientos de la lección ({program} + T‑TESS Distinguished)',
+      'Section {n} — Differentiation': 'Sección {n} — Diferenciación',
+      'Lesson Internalization Guide': 'Guía de internalización de la lección',
+      'Section {n} — Teacher Reflection (Distinguished Requirement)': 'Sección {n} — Reflexión del maestro (requisito Distinguished)',
+      'Section {n} — Administrator Look‑Fors (Distinguished Alignment)': 'Sección {n} — Indicadores para el administrador (alineación Distinguished)',
+      'Grade / Subject': 'Grado / materia',
+      'Lesson Date': 'Fecha de la lección',
+      'Unit / Lesson #': 'Unidad / lección n.º',
+      'Lesson Title': 'Título de la lección',
+      TEKS: 'TEKS',
+      'Lesson Duration': 'Duración de la lección',
+      '{template} Lesson Plan': 'Plan de lección {template}',
+      '{title} — page {page} of {pages}': '{title} — página {page} de {pages}',
+      'Success Criteria (Distinguished):': 'Criterios de éxito (Distinguished):',
+      'Exit Ticket': 'Boleto de salida',
+      Other: 'Otros',
+      'PAX Vision for Lesson': 'Visión PAX para la lección',
+      'More of': 'Más de',
+      'Less of': 'Menos de',
+      'PAX Signals & Routines': 'Señales y rutinas PAX',
+      'Good Behavior Game Rounds': 'Rondas del Good Behavior Game',
+      'PAX Kernels': 'Kernels PAX',
+      'Fundamental Five Elements': 'Elementos de los Fundamental Five',
+      'Frame the Lesson (Beginning)': 'Marco de la lección (inicio)',
+      'Frame the Lesson (End)': 'Marco de la lección (cierre)',
+      'Frame the Lesson': 'Marco de la lección',
+      'Student Group': 'Grupo de estudiantes',
+      'Supports Planned': 'Apoyos planificados',
+      Group: 'Grupo',
+      Students: 'Estudiantes',
+      'Targeted Skills': 'Destrezas a trabajar',
+      Notes: 'Notas',
+      'Lesson Objective:': 'Objetivo de la lección:',
+      '(include decoding, comprehension, vocabulary, skills as appropriate).':
+        '(incluya decodificación, comprensión, vocabulario y destrezas según corresponda).',
+      'Student‑Friendly Learning Goal': 'Meta de aprendizaje para el estudiante',
+      'Review the objective and success criteria. Provide a reflective prompt or exit question for students to connect learning back to the goal.':
+        'Repasen el objetivo y los criterios de éxito. Hagan una pregunta de reflexión o de salida para que los estudiantes relacionen lo aprendido con la meta.',
+      'Use phonological or phonics skills (e.g., blend and segment sounds, decode high‑frequency words).':
+        'Usar destrezas fonológicas o de fonética (por ejemplo, juntar y separar sonidos, leer palabras de uso frecuente).',
+      'Demonstrate comprehension by answering text‑dependent questions and summarizing key ideas.':
+        'Demostrar comprensión al responder preguntas sobre el texto y resumir las ideas principales.',
+      'Apply new vocabulary in speaking and writing activities.':
+        'Usar el vocabulario nuevo al hablar y al escribir.',
+      'Demonstrate conceptual understanding by solving problems using appropriate strategies or models.':
+        'Demostrar comprensión al resolver problemas con estrategias o modelos adecuados.',
+      'Explain mathematical reasoning verbally or in writing.':
+        'Explicar el razonamiento matemático al hablar o por escrito.',
+      'Apply new vocabulary and use manipulatives or visuals to justify solutions.':
+        'Usar el vocabulario nuevo y materiales manipulativos o dibujos para justificar las respuestas.',
+    },
+  };
+
+  /**
+   * Look up the translation of an English text and fill in its {name}
+   * placeholders. Text without a translation is returned in English.
+   * @param {string} text English text
+   * @param {string} [locale] defaults to the interface language
+   * @param {Object<string, string|number>} [params]
+   */
+  function translateText(text, locale = getLocale(), params = {}) {
+    const table = TRANSLATIONS[locale] || {};
+    const translated = Object.prototype.hasOwnProperty.call(table, text) ? table[text] : text;
+    return translated.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  }
+
+  /**
+   * The lesson frame sentence starters of a locale (English by default).
+   */
+  function frameStarters(locale) {
+    return LESSON_FRAME_STARTERS[locale] || LESSON_FRAME_STARTERS.en;
+  }
+
+  /**
+   * Translate interface text into the interface language.
+   */
+  function t(text, params) {
+    return translateText(text, getLocale(), params);
+  }
+
+  /**
+   * The interface language chosen on this device.
+   */
+  function getLocale() {
+    // Under Node there is no device setting; text stays in English
+    const locale = typeof localStorage !== 'undefined' ? localStorage.getItem(LOCALE_KEY) : null;
+    return LOCALES[locale] ? locale : 'en';
+  }
+
+  /**
+   * Choose the interface language on this device, translate the page and
+   * let the page redraw what it rendered from script.
+   */
+  function setLocale(locale) {
+    localStorage.setItem(LOCALE_KEY, LOCALES[locale] ? locale : 'en');
+    translatePage(document);
+    window.dispatchEvent(new Event(LOCALE_CHANGE_EVENT));
+  }
+
+  /**
+   * Translate the static text of a page. Elements marked data-i18n have
+   * their text translated, elements marked data-i18n-placeholder their
+   * placeholder; the English text is remembered in the attribute so the
+   * page can be translated again.
+   * @param {Document|Element} root
+   */
+  function translatePage(root) {
+    root.querySelectorAll('[data-i18n]').forEach((el) => {
+      if (!el.dataset.i18n) el.dataset.i18n = el.textContent.trim();
+      el.textContent = t(el.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach((el) => {
+      if (!el.dataset.i18nPlaceholder) el.dataset.i18nPlaceholder = el.getAttribute('placeholder') || '';
+      el.setAttribute('placeholder', t(el.dataset.i18nPlaceholder));
+    });
+    if (root.documentElement) root.documentElement.lang = getLocale();
+  }
+
+  /**
+   * Option elements for a language menu.
+   * @param {Object<string, string>} languages e.g. LOCALES or PLAN_LANGUAGES
+   * @param {string} [selected]
+   */
+  function renderLanguageOptions(languages, selected) {
+    return Object.keys(languages)
+      .map(code => `<option value="${code}"${code === selected ? ' selected' : ''}>${languages[code]}</option>`)
+      .join('');
+  }
+
+  /**
+   * Wire up the interface language menu of a page and translate the page.
+   * @param {HTMLSelectElement} select
+   */
+  function mountLocaleMenu(select) {
+    select.innerHTML = renderLanguageOptions(LOCALES, getLocale());
+    select.addEventListener('change', () => setLocale(select.value));
+    translatePage(document);
+  }
+
+  return {
+    LOCALES,
+    PLAN_LANGUAGES,
+    BILINGUAL_LOCALES,
+    LOCALE_CHANGE_EVENT,
+    translateText,
+    frameStarters,
+    t,
+    getLocale,
+    setLocale,
+    translatePage,
+    renderLanguageOptions,
+    mountLocaleMenu,
+  };
+}));
@@ -0,0 +1,183 @@
+/*
+ * Lesson Internalization
+ * The internalization protocols a teacher works through before teaching
+ * a lesson: Amplify's Skills and Knowledge protocols for reading and a
+ * Bluebonnet protocol for math. Each step is checked off with notes,
+ * and the progress is saved with the plan (plan.internalization) so the
+ * teacher and administrator hubs can show how far it got.
+ */
+
+// Protocols keyed by lesson type, in the order the lesson type menu lists them
+const INTERNALIZATION_PROTOCOLS = {
+  skills: {
+    label: 'Skills lesson',
+    title: 'Skills Lesson Internalization (Amplify K–2)',
+    subjects: ['Reading'],
+    steps: [
+      { id: 'skills-objectives', text: 'Review the Primary Focus Objective(s) and identify how they build toward student success with grade‑level requirements.' },
+      { id: 'skills-assessment', text: 'Complete the lesson’s formative assessments: record which foundational skills students must demonstrate on the activity page, and note sound/spelling correspondences from the Student Reader.' },
+      { id: 'skills-cfu', text: 'Analyze the Check for Understanding and list the foundational skills students need to succeed.' },
+      { id: 'skills-glance', text: 'Examine the Lesson at a Glance: determine the intended learning of each segment (e.g., phonics, phonemic awareness) and how each sets students up for the CFU or formative assessment.' },
+      { id: 'skills-segments', text: 'Review each lesson segment and reflect on included engagement strategies and required materials.' },
+      { id: 'skills-checks', text: 'Plan additional checks for understanding for segments without a built‑in CFU; decide what counts as acceptable performance.' },
+      { id: 'skills-grouping', text: 'Consider flexible grouping based on mastery; plan strategic partnerships or differentiated activities for students who have already mastered the target correspondence.' },
+      { id: 'skills-misconceptions', text: 'Anticipate misconceptions (e.g., articulation issues); prepare strategies to address them.' },
+      { id: 'skills-engagement', text: 'Incorporate additional engagement techniques such as call and response, movements, or turn and talk.' },
+      { id: 'skills-space', text: 'Decide where in the classroom each lesson segment will take place (e.g., carpet, small‑group table).' },
+    ],
+  },
+  knowledge: {
+    label: 'Knowledge lesson',
+    title: 'Knowledge Lesson Internalization (Amplify K–2)',
+    subjects: ['Reading'],
+    steps: [
+      { id: 'knowledge-objectives', text: 'Review the Primary Focus Objectives and align them to grade‑level requirements; identify how they build toward student success.' },
+      { id: 'knowledge-assessment', text: 'Complete the lesson’s formative assessment/exit pass and checks for understanding; record the literacy skills, knowledge or vocabulary students must demonstrate.' },
+      { id: 'knowledge-segments', text: 'Read each lesson segment (Introducing the Read‑Aloud, Read‑Aloud, Application) and reflect on how it prepares students for the Primary Focus Objectives, checks for understanding and formative assessment.' },
+      { id: 'knowledge-materials', text: 'Identify engagement strategies and materials needed for each segment.' },
+      { id: 'knowledge-supports', text: 'Review the read‑aloud sidebar supports/questions and prioritize which to use to help students master the objectives and assessments.' },
+      { id: 'knowledge-discussion', text: 'Examine the discussion questions, select which to ask after the read‑aloud, and decide on response formats (Think‑Pair‑Share, small groups, Socratic Seminar, call and response).' },
+      { id: 'knowledge-misconceptions', text: 'Anticipate misconceptions and prepare strategies to address them.' },
+      { id: 'knowledge-engagement', text: 'Plan additional engagement (props, artifacts, multimedia, movements) to keep students involved.' },
+      { id: 'knowledge-application', text: 'Plan the Application segment: determine how activities will extend learning and how you will execute them.' },
+    ],
+  },
+  bluebonnet: {
+    label: 'Bluebonnet math lesson',
+    title: 'Math Lesson Internalization (Bluebonnet Learning K–5)',
+    subjects: ['Math'],
+    steps: [
+      { id: 'math-objective', text: 'Read the lesson objective and its TEKS; note how the lesson builds on the previous lesson and where the module is heading.' },
+      { id: 'math-do-the-math', text: 'Do the math: solve every problem in the lesson, the Activity Book pages and the Exit Ticket yourself, using more than one strategy.' },
+      { id: 'math-exit-ticket', text: 'Study the Exit Ticket: decide what a correct response looks like and what counts as mastery of the objective.' },
+      { id: 'math-fluency', text: 'Prepare the fluency routine (Number Talk, Choral Counting or Counting Collections) and the numbers or collections it uses.' },
+      { id: 'math-models', text: 'Identify the concrete, pictorial and abstract models the lesson uses and gather the manipulatives named in the margin notes.' },
+      { id: 'math-launch', text: 'Plan the Launch: how students will make sense of the problem of the day and what question you will pose first.' },
+      { id: 'math-strategies', text: 'Anticipate student strategies and misconceptions; write questions that assess and advance their thinking.' },
+      { id: 'math-discuss', text: 'Decide which student work to select and in what order to share it, and script the connection to the key idea of the lesson.' },
+      { id: 'math-language', text: 'Plan math language supports: the vocabulary to model and the sentence frames students will use to explain their reasoning.' },
+      { id: 'math-differentiation', text: 'Plan differentiation: the small group to pull, which problems are must‑do, and an extension for students who finish early.' },
+    ],
+  },
+};
+
+/**
+ * Lesson types offered for a subject, e.g. ['skills', 'knowledge'].
+ */
+function lessonTypesFor(subject) {
+  return Object.keys(INTERNALIZATION_PROTOCOLS).filter(type => INTERNALIZATION_PROTOCOLS[type].subjects.includes(subject));
+}
+
+/**
+ * The lesson type chosen for a plan. Until the teacher picks one,
+ * reading plans follow their Amplify strand and math plans use the
+ * Bluebonnet protocol. Empty when no protocol fits the subject.
+ */
+function planLessonType(plan) {
+  const types = lessonTypesFor(plan.meta.subject);
+  const chosen = plan.internalization && plan.internalization.lessonType;
+  if (types.includes(chosen)) return chosen;
+  const fromStrand = (plan.meta.strand || '').toLowerCase();
+  return types.includes(fromStrand) ? fromStrand : types[0] || '';
+}
+
+/**
+ * How many steps of the plan's protocol are checked off.
+ * @returns {{done: number, total: number}}
+ */
+function internalizationProgress(plan) {
+  const protocol = INTERNALIZATION_PROTOCOLS[planLessonType(plan)];
+  if (!protocol) return { done: 0, total: 0 };
+  const steps = (plan.internalization && plan.internalization.steps) || {};
+  return {
+    done: protocol.steps.filter(step => steps[step.id] && steps[step.id].done).length,
+    total: protocol.steps.length,
+  };
+}
+
+/**
+ * Progress as shown in the hubs, e.g. "7/10 steps".
+ */
+function formatInternalizationProgress(plan) {
+  const { done, total } = internalizationProgress(plan);
+  return total ? `${done}/${total} steps` : '-';
+}
+
+/**
+ * Render the internalization checklist for a plan: a lesson type menu
+ * (when the subject has more than one protocol) and each step with a
+ * checkbox and a notes box. The read-only form is used in the hubs.
+ * @param {Object} plan
+ * @param {{readOnly?: boolean}} [options]
+ */
+function renderInternalizationChecklist(plan, { readOnly = false } = {}) {
+  const lessonType = planLessonType(plan);
+  const protocol = INTERNALIZATION_PROTOCOLS[lessonType];
+  if (!protocol) {
+    return '<p>There is no internalization protocol for this subject yet. Use the prompts in the plan’s Lesson Internalization Guide.</p>';
+  }
+  const types = lessonTypesFor(plan.meta.subject);
+  const steps = (plan.internalization && plan.internalization.steps) || {};
+  const { done, total } = internalizationProgress(plan);
+  const disabled = readOnly ? ' disabled' : '';
+  const typeMenu = types.length > 1 && !readOnly ? `
+    <label>Lesson type
+      <select data-lesson-type>
+        ${types.map(type => `<option value="${type}"${type === lessonType ? ' selected' : ''}>${INTERNALIZATION_PROTOCOLS[type].label}</option>`).join('')}
+      </select>
+    </label>` : '';
+  return `
+    ${typeMenu}
+    <h3>${protocol.title}</h3>
+    <p class="internalization-progress">${done} of ${total} steps complete</p>
+    <ol class="internalization-steps">
+      ${protocol.steps.map((step) => {
+        const state = steps[step.id] || { done: false, notes: '' };
+        return `
+      <li data-step="${step.id}">
+        <label><input type="checkbox" data-step-done${state.done ? ' checked' : ''}${disabled}/> ${step.text}</label>
+        ${readOnly
+          ? (state.notes ? `<p class="internalization-notes">${escapeHtml(state.notes)}</p>` : '')
+          : `<textarea data-step-notes placeholder="Notes" aria-label="Notes for this step">${escapeHtml(state.notes || '')}</textarea>`}
+      </li>`;
+      }).join('')}
+    </ol>
+  `;
+}
+
+/**
+ * Read the lesson type, checkboxes and notes of a rendered checklist
+ * into the plan. Returns a new document; the original is left untouched.
+ * Steps of another lesson type keep their saved state.
+ * @param {Object} plan
+ * @param {Element} root element holding the checklist
+ * @returns {Object}
+ */
+function readInternalizationChecklist(plan, root) {
+  const updated = clonePlanDocument(plan);
+  const internalization = Object.assign({ lessonType: '', steps: {} }, updated.internalization);
+  const typeSelect = root.querySelector('[data-lesson-type]');
+  if (typeSelect) internalization.lessonType = typeSelect.value;
+  root.querySelectorAll('[data-step]').forEach(el => {
+    const notes = el.querySelector('[data-step-notes]');
+    internalization.steps[el.dataset.step] = {
+      done: el.querySelector('[data-step-done]').checked,
+      notes: notes ? notes.value.trim() : '',
+    };
+  });
+  updated.internalization = internalization;
+  updated.updatedAt = new Date().toISOString();
+  return updated;
+}
+
+/**
+ * Collapsible read-only checklist for the plan detail view of the hubs.
+ */
+function renderInternalizationSummary(plan) {
+  return `
+    <details class="internalization-summary">
+      <summary><strong>Internalization:</strong> ${formatInternalizationProgress(plan)}</summary>
+      ${renderInternalizationChecklist(plan, { readOnly: true })}
+    </details>
+  `;
+}
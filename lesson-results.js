@@ -0,0 +1,324 @@
+/*
+ * Lesson Results
+ * What happened when a submitted plan was taught: exit-ticket results
+ * (mastery counts or per-student scores), answers to the Section 9
+ * reflection prompts and the misconceptions students showed. Results
+ * are kept on the submission, like review comments, and summarized
+ * over time by TEKS and by unit. Misconceptions stay open until a later
+ * lesson resolves them and are carried into the internalization guide
+ * of the teacher's next plans for the subject.
+ */
+
+(function (factory) {
+  if (typeof module !== 'undefined') {
+    module.exports = factory(require);
+  } else {
+    Object.assign(window, factory(() => window));
+  }
+}((require) => {
+  const { getLocale, t } = require('./i18n.js');
+  const { createPlanId, escapeHtml, formatUnitLesson, plainText } = require('./plan-model.js');
+  const { updateSubmission } = require('./plan-store.js');
+
+  // Prompts used when a plan has no Teacher Reflection section
+  const DEFAULT_REFLECTION_PROMPTS = [
+    'What evidence showed mastery?',
+    'What misunderstandings appeared?',
+    'How will I adjust instruction tomorrow?',
+    'How did our classroom routines improve engagement?',
+  ];
+
+  /**
+   * The reflection prompts of a plan, as listed in its Teacher Reflection
+   * section.
+   */
+  function reflectionPrompts(plan) {
+    const section = plan.sections.find(candidate => candidate.id === 'reflection');
+    const list = section && section.blocks.find(block => block.type === 'list');
+    return list && list.items.length ? list.items.map(plainText) : DEFAULT_REFLECTION_PROMPTS.slice();
+  }
+
+  /**
+   * Empty results for a submission.
+   * @returns {{recordedAt: string, exitTicket: {mode: 'counts'|'students', mastered: number, total: number,
+   *   scores: Array<{studentId: string, score: string, mastered: boolean}>},
+   *   reflection: Array<{prompt: string, answer: string}>, misconceptions: Array<{id: string, text: string, resolved: boolean, resolvedAt?: string}>}}
+   */
+  function createLessonResults(plan) {
+    return {
+      recordedAt: '',
+      exitTicket: { mode: 'counts', mastered: 0, total: 0, scores: [] },
+      reflection: reflectionPrompts(plan).map(prompt => ({ prompt, answer: '' })),
+      misconceptions: [],
+    };
+  }
+
+  /**
+   * How many students mastered the exit ticket.
+   * @returns {{mastered: number, total: number}}
+   */
+  function exitTicketMastery(results) {
+    const { exitTicket } = results;
+    if (exitTicket.mode === 'students') {
+      return { mastered: exitTicket.scores.filter(score => score.mastered).length, total: exitTicket.scores.length };
+    }
+    return { mastered: exitTicket.mastered, total: exitTicket.total };
+  }
+
+  /**
+   * A mastery rate as a percentage, e.g. "80%".
+   */
+  function formatMasteryRate({ mastered, total }) {
+    return total ? `${Math.round((mastered / total) * 100)}%` : '-';
+  }
+
+  /**
+   * Submissions with recorded results, one per plan (the most recently
+   * recorded revision).
+   */
+  function submissionsWithResults(entries) {
+    const byPlan = {};
+    entries.filter(entry => entry.results && entry.results.recordedAt).forEach(entry => {
+      const current = byPlan[entry.planId];
+      if (!current || current.results.recordedAt < entry.results.recordedAt) byPlan[entry.planId] = entry;
+    });
+    return Object.keys(byPlan).map(id => byPlan[id]);
+  }
+
+  // Ways results can be summarized; `value` may return several keys for a plan
+  const MASTERY_GROUPS = {
+    teks: {
+      label: 'TEKS',
+      value: (entry) => {
+        const { plan } = entry;
+        if (plan.standards.length) return plan.standards.map(teks => teks.code);
+        if (plan.curriculum && plan.curriculum.teks.length) return plan.curriculum.teks;
+        return plan.meta.standard.split(',').map(part => part.trim()).filter(Boolean);
+      },
+    },
+    unit: {
+      label: 'Unit',
+      value: entry => (entry.plan.meta.unit
+        ? `${entry.plan.meta.grade} ${entry.plan.meta.subject} Unit ${entry.plan.meta.unit}`.trim()
+        : ''),
+    },
+  };
+
+  /**
+   * Exit-ticket mastery summed over lessons by TEKS or by unit.
+   * @param {Array<Object>} entries normalized submissions
+   * @param {'teks'|'unit'} groupBy
+   * @returns {Array<{key: string, lessons: number, mastered: number, total: number}>}
+   */
+  function masterySummary(entries, groupBy) {
+    const group = MASTERY_GROUPS[groupBy] || MASTERY_GROUPS.teks;
+    const rows = {};
+    submissionsWithResults(entries).forEach(entry => {
+      const { mastered, total } = exitTicketMastery(entry.results);
+      if (!total) return;
+      [].concat(group.value(entry)).filter(Boolean).forEach(key => {
+        const row = rows[key] = rows[key] || { key, lessons: 0, mastered: 0, total: 0 };
+        row.lessons += 1;
+        row.mastered += mastered;
+        row.total += total;
+      });
+    });
+    return Object.keys(rows).sort().map(key => rows[key]);
+  }
+
+  /**
+   * Misconceptions not yet resolved from a teacher's earlier lessons in a
+   * subject, oldest first.
+   * @param {Array<Object>} entries normalized submissions
+   * @param {{authorId?: string|null, subject: string, excludePlanId?: string}} filter
+   * @returns {Array<{id: string, text: string, submissionId: string, lesson: string}>}
+   */
+  function openMisconceptions(entries, { authorId = null, subject, excludePlanId = '' }) {
+    return submissionsWithResults(entries)
+      .filter(entry => entry.plan.meta.subject === subject && entry.planId !== excludePlanId)
+      .filter(entry => !authorId || !entry.plan.author || entry.plan.author.id === authorId)
+      .sort((a, b) => a.results.recordedAt.localeCompare(b.results.recordedAt))
+      .reduce((open, entry) => open.concat(entry.results.misconceptions
+        .filter(misconception => !misconception.resolved)
+        .map(misconception => ({
+          id: misconception.id,
+          text: misconception.text,
+          submissionId: entry.id,
+          lesson: formatUnitLesson(entry.plan.meta),
+        }))), []);
+  }
+
+  /**
+   * Save the results of a submission and mark misconceptions of earlier
+   * lessons that this lesson resolved. A resolution is dated on the
+   * misconception itself; the earlier lesson's results keep the time they
+   * were recorded.
+   * @param {string} submissionId
+   * @param {Object} results
+   * @param {Array<{id: string, submissionId: string}>} [resolved]
+   * @returns {Object|null} the updated submission
+   */
+  function saveLessonResults(submissionId, results, resolved = []) {
+    const saved = updateSubmission(submissionId, entry => {
+      entry.results = Object.assign({}, results, { recordedAt: new Date().toISOString() });
+    });
+    resolved.forEach(({ id, submissionId: from }) => {
+      updateSubmission(from, entry => {
+        const misconception = entry.results && entry.results.misconceptions.find(item => item.id === id);
+        if (!misconception) return;
+        misconception.resolved = true;
+        misconception.resolvedAt = new Date().toISOString();
+      });
+    });
+    return saved;
+  }
+
+  /**
+   * Render the post-lesson form of a submission: exit-ticket results,
+   * reflection answers, new misconceptions and the open misconceptions of
+   * earlier lessons that this lesson may have resolved.
+   * @param {Object} entry submission
+   * @param {Array<{id: string, name: string}>} students class roster on this device
+   * @param {Array<Object>} carried open misconceptions (openMisconceptions())
+   */
+  function renderLessonResultsForm(entry, students, carried) {
+    const results = entry.results || createLessonResults(entry.plan);
+    const { exitTicket } = results;
+    const mode = students.length ? exitTicket.mode : 'counts';
+    const scoreFor = id => exitTicket.scores.find(score => score.studentId === id) || { score: '', mastered: false };
+    return `
+      <h3>${t('Exit Ticket Results')}</h3>
+      <p>
+        <label><input type="radio" name="exit-mode" value="counts"${mode === 'counts' ? ' checked' : ''}/> ${t('Mastery counts')}</label>
+        ${students.length ? `<label><input type="radio" name="exit-mode" value="students"${mode === 'students' ? ' checked' : ''}/> ${t('Per-student scores')}</label>` : ''}
+      </p>
+      <div class="exit-counts"${mode === 'counts' ? '' : ' style="display:none;"'}>
+        <label>${t('Students who mastered')} <input type="number" min="0" name="mastered" value="${exitTicket.mastered || ''}"/></label>
+        <label>${t('Students assessed')} <input type="number" min="0" name="total" value="${exitTicket.total || ''}"/></label>
+      </div>
+      ${students.length ? `
+      <table class="exit-scores"${mode === 'students' ? '' : ' style="display:none;"'}>
+        <tr><th>${t('Student')}</th><th>${t('Score')}</th><th>${t('Mastered')}</th></tr>
+        ${students.map(student => `
+        <tr data-student-id="${escapeHtml(student.id)}">
+          <td>${escapeHtml(student.name)}</td>
+          <td><input type="text" class="exit-score" value="${escapeHtml(scoreFor(student.id).score)}" aria-label="${escapeHtml(t('Score for {name}', { name: student.name }))}"/></td>
+          <td><input type="checkbox" class="exit-mastered"${scoreFor(student.id).mastered ? ' checked' : ''} aria-label="${escapeHtml(t('{name} mastered', { name: student.name }))}"/></td>
+        </tr>`).join('')}
+      </table>` : ''}
+      <h3>${t('Reflection')}</h3>
+      ${results.reflection.map((item, i) => `
+      <label class="results-field">${escapeHtml(item.prompt)}
+        <textarea data-reflection="${i}">${escapeHtml(item.answer)}</textarea>
+      </label>`).join('')}
+      <h3>${t('Misconceptions')}</h3>
+      <label class="results-field">${t('Misconceptions students showed (one per line)')}
+        <textarea name="misconceptions">${escapeHtml(results.misconceptions.map(item => item.text).join('\n'))}</textarea>
+      </label>
+      ${carried.length ? `
+      <p>${t('Open misconceptions from earlier lessons — check those this lesson resolved:')}</p>
+      <ul class="carried-misconceptions">
+        ${carried.map(item => `
+        <li><label><input type="checkbox" data-misconception="${item.id}" data-from="${item.submissionId}"/> ${escapeHtml(item.text)}${item.lesson ? ` (${escapeHtml(t('lesson {lesson}', { lesson: item.lesson }))})` : ''}</label></li>`).join('')}
+      </ul>` : ''}
+      <button type="submit">${t('Save Lesson Results')}</button>
+    `;
+  }
+
+  /**
+   * Read the post-lesson form back into results. Misconceptions typed
+   * again keep their ID and resolved state.
+   * @param {Element} form element holding renderLessonResultsForm() output
+   * @param {Object} entry submission
+   * @returns {{results: Object, resolved: Array<{id: string, submissionId: string}>}}
+   */
+  function readLessonResultsForm(form, entry) {
+    const previous = entry.results || createLessonResults(entry.plan);
+    const checkedMode = form.querySelector('[name="exit-mode"]:checked');
+    const mode = checkedMode ? checkedMode.value : 'counts';
+    const count = name => Math.max(0, parseInt(form.querySelector(`[name="${name}"]`).value, 10) || 0);
+    const scores = Array.from(form.querySelectorAll('.exit-scores [data-student-id]'))
+      .map(row => ({
+        studentId: row.dataset.studentId,
+        score: row.querySelector('.exit-score').value.trim(),
+        mastered: row.querySelector('.exit-mastered').checked,
+      }))
+      .filter(score => score.score || score.mastered);
+    const misconceptions = form.querySelector('[name="misconceptions"]').value.split('\n')
+      .map(line => line.trim()).filter(Boolean)
+      .map(text => previous.misconceptions.find(item => item.text === text) || { id: createPlanId('misconception'), text, resolved: false });
+    return {
+      results: {
+        recordedAt: previous.recordedAt,
+        exitTicket: mode === 'students'
+          ? { mode, mastered: 0, total: 0, scores }
+          : { mode, mastered: Math.min(count('mastered'), count('total')), total: count('total'), scores: [] },
+        reflection: previous.reflection.map((item, i) => ({
+          prompt: item.prompt,
+          answer: form.querySelector(`[data-reflection="${i}"]`).value.trim(),
+        })),
+        misconceptions,
+      },
+      resolved: Array.from(form.querySelectorAll('[data-misconception]:checked'))
+        .map(el => ({ id: el.dataset.misconception, submissionId: el.dataset.from })),
+    };
+  }
+
+  /**
+   * Show recorded results above a plan in the hubs. Student names are
+   * only shown on a device that has the class roster.
+   */
+  function renderLessonResults(entry) {
+    const { results } = entry;
+    if (!results || !results.recordedAt) return '';
+    const mastery = exitTicketMastery(results);
+    const names = typeof rosterStudentNames === 'function' ? rosterStudentNames : () => [];
+    const scores = results.exitTicket.mode === 'students' ? results.exitTicket.scores : [];
+    return `
+      <div class="lesson-results">
+        <h3>${t('Lesson Results')} <span class="comment-date">${t('recorded {time}', { time: new Date(results.recordedAt).toLocaleString(getLocale()) })}</span></h3>
+        <p><strong>${t('Exit ticket mastery:')}</strong> ${t('{mastered} of {total} students', mastery)} (${formatMasteryRate(mastery)})</p>
+        ${scores.length ? `<ul>${scores.map(score => `<li>${escapeHtml(names([score.studentId])[0] || t('Student'))}: ${escapeHtml(score.score || '-')}${score.mastered ? ' ✓' : ''}</li>`).join('')}</ul>` : ''}
+        ${results.reflection.filter(item => item.answer).map(item => `<p><strong>${escapeHtml(item.prompt)}</strong> ${escapeHtml(item.answer)}</p>`).join('')}
+        ${results.misconceptions.length ? `<p><strong>${t('Misconceptions:')}</strong></p>
+        <ul>${results.misconceptions.map(item => `<li>${escapeHtml(item.text)}${item.resolved ? ` (${t('resolved')})` : ''}</li>`).join('')}</ul>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Render a mastery summary table (masterySummary()).
+   */
+  function renderMasterySummary(rows, groupBy) {
+    if (rows.length === 0) {
+      return `<p>${t('No exit-ticket results have been recorded yet.')}</p>`;
+    }
+    const group = MASTERY_GROUPS[groupBy] || MASTERY_GROUPS.teks;
+    return `
+      <table class="plan-list">
+        <tr><th>${t(group.label)}</th><th>${t('Lessons')}</th><th>${t('Mastered')}</th><th>${t('Mastery rate')}</th></tr>
+        ${rows.map(row => `
+        <tr>
+          <td>${escapeHtml(row.key)}</td>
+          <td>${row.lessons}</td>
+          <td>${t('{mastered} of {total}', row)}</td>
+          <td>${formatMasteryRate(row)}</td>
+        </tr>`).join('')}
+      </table>
+    `;
+  }
+
+  return {
+    createLessonResults,
+    exitTicketMastery,
+    formatMasteryRate,
+    submissionsWithResults,
+    masterySummary,
+    openMisconceptions,
+    saveLessonResults,
+    renderLessonResultsForm,
+    readLessonResultsForm,
+    renderLessonResults,
+    renderMasterySummary,
+  };
+}));
@@ -0,0 +1,264 @@
+/*
+ * Observations
+ * T‑TESS walkthroughs and observations of a submitted plan. An
+ * administrator rates the lesson against the dimensions of Domains 1–3
+ * (the Administrator Look‑Fors of the plan) with evidence, checks off
+ * the planned PAX kernels and Fundamental Five elements that were seen,
+ * and keeps timestamped notes. Observations are kept on the submission,
+ * like review comments, and the teacher sees them once they are shared.
+ */
+
+// T‑TESS domains and dimensions an observation can rate
+const TTESS_DOMAINS = [
+  {
+    id: 'planning',
+    name: 'Domain 1 — Planning',
+    dimensions: [
+      { id: '1.1', name: 'Standards and Alignment' },
+      { id: '1.2', name: 'Data and Assessment' },
+      { id: '1.3', name: 'Knowledge of Students' },
+      { id: '1.4', name: 'Activities' },
+    ],
+  },
+  {
+    id: 'instruction',
+    name: 'Domain 2 — Instruction',
+    dimensions: [
+      { id: '2.1', name: 'Achieving Expectations' },
+      { id: '2.2', name: 'Content Knowledge and Expertise' },
+      { id: '2.3', name: 'Communication' },
+      { id: '2.4', name: 'Differentiation' },
+      { id: '2.5', name: 'Monitor and Adjust' },
+    ],
+  },
+  {
+    id: 'environment',
+    name: 'Domain 3 — Learning Environment',
+    dimensions: [
+      { id: '3.1', name: 'Classroom Environment, Routines and Procedures' },
+      { id: '3.2', name: 'Managing Student Behavior' },
+      { id: '3.3', name: 'Classroom Culture' },
+    ],
+  },
+];
+
+// T‑TESS performance levels, highest first
+const TTESS_RATINGS = ['Distinguished', 'Accomplished', 'Proficient', 'Developing', 'Improvement Needed'];
+
+// Kinds of visit an observation records
+const OBSERVATION_TYPES = {
+  walkthrough: 'Walkthrough',
+  observation: 'Formal observation',
+};
+
+const FUNDAMENTAL_FIVE_ELEMENTS = [
+  { id: 'f5-frame', label: 'Frame the Lesson' },
+  { id: 'f5-power-zone', label: 'Work in the Power Zone' },
+  { id: 'f5-talk', label: 'Frequent Small‑Group Purposeful Talk' },
+  { id: 'f5-recognize', label: 'Recognize & Reinforce' },
+  { id: 'f5-writing', label: 'Write Critically' },
+];
+
+/**
+ * The PAX kernels and Fundamental Five elements a plan calls for. The
+ * kernels are those of the plan's PAX Kernels checklist; `planned`
+ * marks the ones the teacher checked.
+ * @returns {{kernels: Array<{id: string, label: string, planned: boolean}>, fundamentalFive: Array<{id: string, label: string}>}}
+ */
+function plannedLookFors(plan) {
+  const kernels = [];
+  let fundamentalFive = plan.sections.some(section => section.id === 'frame');
+  plan.sections.forEach(section => section.blocks
+    .filter(block => block.type === 'rows')
+    .forEach(block => block.rows.forEach((row) => {
+      if (row.label === 'Fundamental Five Elements') fundamentalFive = true;
+      if (row.label !== 'PAX Kernels' || !row.blocks) return;
+      row.blocks.filter(inner => inner.type === 'checklist').forEach(inner => inner.items.forEach(item => {
+        kernels.push({ id: item.id, label: item.label, planned: item.checked });
+      }));
+    })));
+  return { kernels, fundamentalFive: fundamentalFive ? FUNDAMENTAL_FIVE_ELEMENTS : [] };
+}
+
+/**
+ * A new, empty observation.
+ * @param {string} [observer]
+ */
+function createObservation(observer = 'Administrator') {
+  const now = new Date().toISOString();
+  return {
+    id: createPlanId('observation'),
+    type: 'walkthrough',
+    observer,
+    observedAt: now,
+    // Rating and evidence per dimension ID, e.g. { '2.5': { rating: 'Proficient', evidence: '...' } }
+    dimensions: {},
+    // IDs of the PAX kernels and Fundamental Five elements seen
+    observed: [],
+    notes: [],
+    sharedAt: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Observations of a submission the teacher can see.
+ */
+function sharedObservations(entry) {
+  return entry.observations.filter(observation => observation.sharedAt);
+}
+
+/**
+ * Save an observation on a submission, replacing an earlier copy.
+ * @returns {Object|null} the updated submission
+ */
+function saveObservation(submissionId, observation) {
+  const saved = Object.assign({}, observation, { updatedAt: new Date().toISOString() });
+  return updateSubmission(submissionId, (entry) => {
+    const index = entry.observations.findIndex(existing => existing.id === saved.id);
+    if (index === -1) {
+      entry.observations.push(saved);
+    } else {
+      entry.observations[index] = saved;
+    }
+  });
+}
+
+/**
+ * Share an observation with the teacher who wrote the plan.
+ */
+function shareObservation(submissionId, observationId) {
+  return updateSubmission(submissionId, (entry) => {
+    const observation = entry.observations.find(existing => existing.id === observationId);
+    if (!observation) return;
+    observation.sharedAt = new Date().toISOString();
+    observation.updatedAt = observation.sharedAt;
+  });
+}
+
+/**
+ * A datetime-local input value for an ISO time, in local time.
+ */
+function toLocalDateTime(iso) {
+  const date = new Date(iso);
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Render the timestamped notes of an observation.
+ */
+function renderObservationNotes(notes) {
+  if (notes.length === 0) return `<p class="metadata">${t('No notes yet.')}</p>`;
+  return `<ul class="observation-notes">${notes.map(note => `
+    <li><span class="comment-date">${new Date(note.createdAt).toLocaleTimeString(getLocale(), { hour: 'numeric', minute: '2-digit' })}</span> ${escapeHtml(note.text)}</li>`).join('')}
+  </ul>`;
+}
+
+/**
+ * Render the observation form for a plan.
+ * @param {Object} plan plan document
+ * @param {Object} observation
+ */
+function renderObservationForm(plan, observation) {
+  const lookFors = plannedLookFors(plan);
+  const checkbox = (item, suffix = '') => `
+        <label><input type="checkbox" data-observed="${escapeHtml(item.id)}"${observation.observed.includes(item.id) ? ' checked' : ''}/> ${escapeHtml(t(item.label))}${suffix}</label>`;
+  return `
+    <div class="observation-meta">
+      <label>${t('Type')}
+        <select name="observation-type">
+          ${Object.keys(OBSERVATION_TYPES).map(type => `<option value="${type}"${type === observation.type ? ' selected' : ''}>${t(OBSERVATION_TYPES[type])}</option>`).join('')}
+        </select>
+      </label>
+      <label>${t('Observer')} <input type="text" name="observer" value="${escapeHtml(observation.observer)}"/></label>
+      <label>${t('Observed')} <input type="datetime-local" name="observed-at" value="${toLocalDateTime(observation.observedAt)}"/></label>
+    </div>
+    ${TTESS_DOMAINS.map(domain => `
+    <fieldset class="observation-domain">
+      <legend>${t(domain.name)}</legend>
+      ${domain.dimensions.map((dimension) => {
+        const value = observation.dimensions[dimension.id] || { rating: '', evidence: '' };
+        return `
+      <div class="observation-dimension" data-dimension="${dimension.id}">
+        <label>${dimension.id} ${t(dimension.name)}
+          <select class="dimension-rating">
+            <option value="">${t('Not rated')}</option>
+            ${TTESS_RATINGS.map(rating => `<option value="${rating}"${rating === value.rating ? ' selected' : ''}>${t(rating)}</option>`).join('')}
+          </select>
+        </label>
+        <textarea class="dimension-evidence" placeholder="${t('Evidence')}" aria-label="${t('Evidence for {dimension}', { dimension: dimension.id })}">${escapeHtml(value.evidence)}</textarea>
+      </div>`;
+      }).join('')}
+    </fieldset>`).join('')}
+    <fieldset class="observation-domain">
+      <legend>${t('Planned practices observed')}</legend>
+      ${lookFors.kernels.length ? `<p><strong>${t('PAX kernels')}</strong>${lookFors.kernels.map(item => checkbox(item, item.planned ? ` (${t('planned')})` : '')).join('')}</p>` : ''}
+      ${lookFors.fundamentalFive.length ? `<p><strong>Fundamental Five</strong>${lookFors.fundamentalFive.map(item => checkbox(item)).join('')}</p>` : ''}
+      ${lookFors.kernels.length || lookFors.fundamentalFive.length ? '' : `<p>${t('This plan does not call for PAX kernels or Fundamental Five elements.')}</p>`}
+    </fieldset>
+    <fieldset class="observation-domain">
+      <legend>${t('Notes')}</legend>
+      <div class="observation-notes-list">${renderObservationNotes(observation.notes)}</div>
+      <textarea name="note" placeholder="${t('What you see and hear, e.g. students explaining their reasoning to partners')}"></textarea>
+      <button type="button" data-observation="add-note">${t('Add Note')}</button>
+    </fieldset>
+    <button type="submit">${t('Save Observation')}</button>
+    <button type="button" data-observation="cancel" class="secondary">${t('Cancel')}</button>
+  `;
+}
+
+/**
+ * Read the observation form back into an observation. Returns a new
+ * object; the original is left untouched.
+ */
+function readObservationForm(form, observation) {
+  const dimensions = {};
+  form.querySelectorAll('[data-dimension]').forEach((el) => {
+    const rating = el.querySelector('.dimension-rating').value;
+    const evidence = el.querySelector('.dimension-evidence').value.trim();
+    if (rating || evidence) dimensions[el.dataset.dimension] = { rating, evidence };
+  });
+  const observedAt = new Date(form.querySelector('[name="observed-at"]').value);
+  return Object.assign({}, observation, {
+    type: form.querySelector('[name="observation-type"]').value,
+    observer: form.querySelector('[name="observer"]').value.trim() || 'Administrator',
+    observedAt: Number.isNaN(observedAt.getTime()) ? observation.observedAt : observedAt.toISOString(),
+    dimensions,
+    observed: Array.from(form.querySelectorAll('[data-observed]:checked')).map(el => el.dataset.observed),
+  });
+}
+
+/**
+ * Render a saved observation, e.g. next to the plan on the teacher page.
+ * @param {Object} observation
+ * @param {Object} plan plan document the observation belongs to
+ */
+function renderObservation(observation, plan) {
+  const lookFors = plannedLookFors(plan);
+  const seen = [...lookFors.kernels, ...lookFors.fundamentalFive].filter(item => observation.observed.includes(item.id));
+  const rated = TTESS_DOMAINS.map(domain => ({
+    domain,
+    dimensions: domain.dimensions.filter(dimension => observation.dimensions[dimension.id]),
+  })).filter(group => group.dimensions.length);
+  return `
+    <div class="observation" data-observation-id="${escapeHtml(observation.id)}">
+      <h3>${OBSERVATION_TYPES[observation.type] ? t(OBSERVATION_TYPES[observation.type]) : escapeHtml(observation.type)} <span class="comment-date">${new Date(observation.observedAt).toLocaleString(getLocale())} · ${escapeHtml(observation.observer)}${observation.sharedAt ? ` · ${t('shared {date}', { date: new Date(observation.sharedAt).toLocaleDateString(getLocale()) })}` : ''}</span></h3>
+      ${rated.length ? `
+      <table class="observation-ratings">
+        <tr><th>${t('Dimension')}</th><th>${t('Rating')}</th><th>${t('Evidence')}</th></tr>
+        ${rated.map(group => `
+        <tr><th colspan="3">${t(group.domain.name)}</th></tr>
+        ${group.dimensions.map(dimension => `
+        <tr>
+          <td>${dimension.id} ${t(dimension.name)}</td>
+          <td>${escapeHtml(t(observation.dimensions[dimension.id].rating || '-'))}</td>
+          <td>${escapeHtml(observation.dimensions[dimension.id].evidence || '')}</td>
+        </tr>`).join('')}`).join('')}
+      </table>` : ''}
+      <p><strong>${t('Practices observed:')}</strong> ${seen.length ? seen.map(item => escapeHtml(t(item.label))).join(', ') : t('none recorded')}</p>
+      ${observation.notes.length ? renderObservationNotes(observation.notes) : ''}
+    </div>
+  `;
+}
@@ -0,0 +1,684 @@
+/*
+ * Plan Export
+ * Turns a plan document into a Word document (.docx) laid out like the
+ * T‑TESS lesson plan template, or into a PDF, without printing the page.
+ * Both formats are generated from the plan document itself: tables,
+ * checkbox states and hyperlinks added with Add Link are preserved.
+ * Nothing here depends on the DOM, so exports also work outside the
+ * browser.
+ */
+
+// Template named in the title when a plan does not record its own
+const DEFAULT_EXPORT_TEMPLATE_NAME = 'T‑TESS Distinguished';
+
+// ---------------------------------------------------------------------------
+// Export blocks: a format-neutral outline of the plan shared by DOCX and PDF
+// ---------------------------------------------------------------------------
+
+/**
+ * Decode the HTML entities that appear in plan content.
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Convert an inline HTML fragment into paragraphs of styled text runs.
+ * Understands <strong>/<b>, <em>/<i>, <a href>, <br> and block tags
+ * (p, div, li) as paragraph breaks; other tags are dropped.
+ * @param {string} html
+ * @returns {Array<Array<{text: string, bold?: boolean, italic?: boolean, href?: string}>>}
+ */
+function htmlToParagraphs(html) {
+  const paragraphs = [[]];
+  const style = { bold: 0, italic: 0, href: [] };
+  const breakParagraph = () => {
+    if (paragraphs[paragraphs.length - 1].length) paragraphs.push([]);
+  };
+  const pattern = /<(\/?)([a-zA-Z0-9]+)([^>]*)>|([^<]+)/g;
+  let match;
+  while ((match = pattern.exec(String(html || ''))) !== null) {
+    const [, closing, rawTag, attrs, text] = match;
+    if (text !== undefined) {
+      const clean = decodeEntities(text.replace(/\s+/g, ' '));
+      if (!clean.trim() && !paragraphs[paragraphs.length - 1].length) continue;
+      paragraphs[paragraphs.length - 1].push({
+        text: clean,
+        bold: style.bold > 0,
+        italic: style.italic > 0,
+        href: style.href[style.href.length - 1] || undefined,
+      });
+      continue;
+    }
+    const tag = rawTag.toLowerCase();
+    const delta = closing ? -1 : 1;
+    if (tag === 'strong' || tag === 'b' || tag === 'h3' || tag === 'th') style.bold = Math.max(0, style.bold + delta);
+    if (tag === 'em' || tag === 'i') style.italic = Math.max(0, style.italic + delta);
+    if (tag === 'a') {
+      if (closing) {
+        style.href.pop();
+      } else {
+        const href = attrs.match(/href\s*=\s*"([^"]*)"|href\s*=\s*'([^']*)'/i);
+        style.href.push(href ? decodeEntities(href[1] || href[2]) : '');
+      }
+    }
+    if (tag === 'br' || ['p', 'div', 'li', 'ul', 'tr', 'h2', 'h3', 'table'].includes(tag)) breakParagraph();
+  }
+  return paragraphs
+    .map(runs => {
+      // Trim whitespace at the paragraph edges
+      if (runs.length) {
+        runs[0].text = runs[0].text.replace(/^\s+/, '');
+        runs[runs.length - 1].text = runs[runs.length - 1].text.replace(/\s+$/, '');
+      }
+      return runs.filter(run => run.text);
+    })
+    .filter(runs => runs.length);
+}
+
+/**
+ * The document title, named after the template the plan was built from,
+ * in the plan's language.
+ */
+function exportTitle(doc) {
+  const template = (doc.template && doc.template.name) || DEFAULT_EXPORT_TEMPLATE_NAME;
+  return planText('{template} Lesson Plan', planLocale(doc), { template });
+}
+
+/**
+ * The displayed value of a fill-in field (underscores when blank).
+ */
+function exportFieldText(doc, key, blank = '__________________________') {
+  return doc.fields[key] || blank;
+}
+
+/**
+ * Export items for a content block inside a table cell or a section.
+ * Items are paragraphs, bullets or checkbox lines, in the locale given
+ * (the plan's own by default), as renderBlock() shows them.
+ */
+function exportBlockItems(doc, block, locale = planLocale(doc)) {
+  const paragraphs = html => htmlToParagraphs(html).map(runs => ({ kind: 'paragraph', runs }));
+  switch (block.type) {
+    case 'subheading':
+      return [{ kind: 'heading', level: 2, text: decodeEntities(localizedText(block, 'text', locale)) }];
+    case 'text':
+      return paragraphs(localizedText(block, 'html', locale));
+    case 'html':
+      return paragraphs(block.html);
+    case 'list':
+      return localizedText(block, 'items', locale).map(item => ({ kind: 'bullet', runs: [].concat(...htmlToParagraphs(item)) }));
+    case 'criteria':
+      return doc.successCriteria.map(item => ({ kind: 'bullet', runs: [].concat(...htmlToParagraphs(planText(item, locale))) }));
+    case 'checklist':
+      return block.items.map(item => ({ kind: 'check', checked: !!item.checked, runs: [{ text: decodeEntities(planText(item.label, locale)) }] }));
+    case 'groups':
+      return block.groups.map(group => ({
+        kind: 'bullet',
+        runs: [
+          { text: group.name, bold: true },
+          { text: ` (${groupStudentsText(group)})${group.skills ? `: ${group.skills}` : ''}` },
+        ],
+      }));
+    case 'field':
+      return [{
+        kind: 'paragraph',
+        runs: [
+          { text: `${planText(block.label, locale)}: `, bold: !block.inline },
+          { text: exportFieldText(doc, block.key, block.blank) },
+        ],
+      }];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Build the export outline of a plan: title, overview, then each section
+ * as headings, paragraphs, bullets, checkbox lines and tables.
+ * @param {Object} doc plan document
+ * @returns {Array<Object>}
+ */
+function planExportBlocks(doc) {
+  const { grade, subject, program, standard } = doc.meta;
+  const locale = planLocale(doc);
+  const label = text => `${planText(text, locale)} `;
+  const blocks = [
+    { kind: 'title', text: exportTitle(doc) },
+    {
+      kind: 'paragraph',
+      runs: [
+        { text: label('Grade:'), bold: true }, { text: `${planText(grade, locale)} | ` },
+        { text: label('Subject:'), bold: true }, { text: `${planText(subject, locale)} | ` },
+        { text: label('Program:'), bold: true }, { text: `${program} | ` },
+        { text: label('Unit/Lesson:'), bold: true }, { text: formatUnitLesson(doc.meta) || '-' },
+        ...(standard ? [{ text: ' | ' }, { text: label('Standard/Concept:'), bold: true }, { text: standard }] : []),
+      ],
+    },
+  ];
+  doc.sections.forEach(section => {
+    if (section.heading) blocks.push({ kind: 'heading', level: 1, text: decodeEntities(localizedText(section, 'heading', locale)) });
+    section.blocks.forEach(block => {
+      if (block.type === 'rows') {
+        blocks.push({
+          kind: 'table',
+          widths: [0.3, 0.7],
+          rows: block.rows.map(row => {
+            let value;
+            if (row.field) {
+              value = [{ kind: 'paragraph', runs: [{ text: exportFieldText(doc, row.field, row.blank) }] }];
+            } else if (row.blocks) {
+              value = [].concat(...row.blocks.map(inner => exportBlockItems(doc, inner, locale)));
+            } else {
+              value = htmlToParagraphs(localizedText(row, 'html', locale)).map(runs => ({ kind: 'paragraph', runs }));
+            }
+            return [[{ kind: 'paragraph', runs: [{ text: decodeEntities(planText(row.label, locale)), bold: true }] }], value];
+          }),
+        });
+      } else if (block.type === 'groups' && block.layout !== 'list') {
+        const cell = (text, bold) => [{ kind: 'paragraph', runs: [{ text, bold }] }];
+        blocks.push({
+          kind: 'table',
+          widths: [0.3, 0.35, 0.35],
+          rows: [
+            ['Group', 'Students', 'Targeted Skills'].map(col => cell(planText(col, locale), true)),
+            ...block.groups.map(group => [cell(group.name, false), cell(groupStudentsText(group), false), cell(group.skills || '-', false)]),
+          ],
+        });
+      } else if (block.type === 'grid') {
+        const cell = (html, bold) => htmlToParagraphs(html).map(runs => ({
+          kind: 'paragraph',
+          runs: runs.map(run => Object.assign({}, run, { bold: run.bold || bold })),
+        }));
+        blocks.push({
+          kind: 'table',
+          widths: block.columns.map((col, i) => (i === 0 ? 0.3 : 0.7 / (block.columns.length - 1))),
+          rows: [block.columns.map(col => cell(planText(col, locale), true)), ...block.rows.map(row => row.map(html => cell(html, false)))],
+        });
+      } else {
+        blocks.push(...exportBlockItems(doc, block, locale));
+      }
+    });
+  });
+  return blocks;
+}
+
+/**
+ * A download-friendly file name for a plan, without extension.
+ */
+function exportFileName(doc) {
+  const { grade, subject, unit, lesson } = doc.meta;
+  const parts = ['lesson-plan', grade, subject, unit && `unit-${unit}`, lesson && `lesson-${lesson}`];
+  return parts.filter(Boolean).join('-').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
+}
+
+// ---------------------------------------------------------------------------
+// ZIP container (stored, uncompressed) used for .docx packages
+// ---------------------------------------------------------------------------
+
+let crcTable = null;
+
+/**
+ * CRC-32 checksum of a byte array, as required by the ZIP format.
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Package files into an uncompressed ZIP archive.
+ * @param {Array<{name: string, content: string}>} files
+ * @returns {Uint8Array}
+ */
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const entries = files.map(file => {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.content);
+    return { name, data, crc: crc32(data) };
+  });
+  const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0);
+  const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+  const out = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(out.buffer);
+  let offset = 0;
+  const offsets = [];
+  entries.forEach(e => {
+    offsets.push(offset);
+    view.setUint32(offset, 0x04034b50, true);
+    view.setUint16(offset + 4, 20, true);
+    view.setUint16(offset + 8, 0, true);
+    view.setUint16(offset + 12, 0x21, true); // 1980-01-01
+    view.setUint32(offset + 14, e.crc, true);
+    view.setUint32(offset + 18, e.data.length, true);
+    view.setUint32(offset + 22, e.data.length, true);
+    view.setUint16(offset + 26, e.name.length, true);
+    out.set(e.name, offset + 30);
+    out.set(e.data, offset + 30 + e.name.length);
+    offset += 30 + e.name.length + e.data.length;
+  });
+  const centralStart = offset;
+  entries.forEach((e, i) => {
+    view.setUint32(offset, 0x02014b50, true);
+    view.setUint16(offset + 4, 20, true);
+    view.setUint16(offset + 6, 20, true);
+    view.setUint16(offset + 14, 0x21, true);
+    view.setUint32(offset + 16, e.crc, true);
+    view.setUint32(offset + 20, e.data.length, true);
+    view.setUint32(offset + 24, e.data.length, true);
+    view.setUint16(offset + 28, e.name.length, true);
+    view.setUint32(offset + 42, offsets[i], true);
+    out.set(e.name, offset + 46);
+    offset += 46 + e.name.length;
+  });
+  view.setUint32(offset, 0x06054b50, true);
+  view.setUint16(offset + 8, entries.length, true);
+  view.setUint16(offset + 10, entries.length, true);
+  view.setUint32(offset + 12, offset - centralStart, true);
+  view.setUint32(offset + 16, centralStart, true);
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// DOCX
+// ---------------------------------------------------------------------------
+
+/**
+ * Escape text for WordprocessingML.
+ */
+function xmlEscape(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Build a .docx package for a plan.
+ * @param {Object} doc plan document
+ * @returns {Uint8Array} the .docx file contents
+ */
+function planToDocx(doc) {
+  const links = [];
+  const linkId = href => {
+    links.push(href);
+    return `rIdLink${links.length}`;
+  };
+  const run = r => {
+    const props = `${r.bold ? '<w:b/>' : ''}${r.italic ? '<w:i/>' : ''}${r.href ? '<w:rStyle w:val="Hyperlink"/>' : ''}${r.symbol ? '<w:rFonts w:ascii="Segoe UI Symbol" w:hAnsi="Segoe UI Symbol"/>' : ''}`;
+    const xml = `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${xmlEscape(r.text)}</w:t></w:r>`;
+    return r.href ? `<w:hyperlink r:id="${linkId(r.href)}" w:history="1">${xml}</w:hyperlink>` : xml;
+  };
+  const paragraph = (runs, props = '') => `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${runs.map(run).join('')}</w:p>`;
+  const item = block => {
+    switch (block.kind) {
+      case 'title':
+        return paragraph([{ text: block.text }], '<w:pStyle w:val="Title"/>');
+      case 'heading':
+        return paragraph([{ text: block.text }], `<w:pStyle w:val="Heading${block.level}"/>`);
+      case 'bullet':
+        return paragraph([{ text: '•\t' }, ...block.runs], '<w:tabs><w:tab w:val="left" w:pos="360"/></w:tabs><w:ind w:left="360" w:hanging="360"/>');
+      case 'check':
+        return paragraph([{ text: block.checked ? '☒ ' : '☐ ', symbol: true }, ...block.runs]);
+      case 'table':
+        return table(block);
+      default:
+        return paragraph(block.runs);
+    }
+  };
+  // Text width of a US Letter page with 0.75in margins, in twentieths of a point
+  const tableWidth = 10080;
+  const border = side => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="999999"/>`;
+  const table = block => {
+    const widths = block.widths.map(w => Math.round(w * tableWidth));
+    const tblPr = `<w:tblPr><w:tblW w:w="${tableWidth}" w:type="dxa"/><w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('')}</w:tblBorders><w:tblCellMar><w:left w:w="100" w:type="dxa"/><w:right w:w="100" w:type="dxa"/></w:tblCellMar></w:tblPr>`;
+    const grid = `<w:tblGrid>${widths.map(w => `<w:gridCol w:w="${w}"/>`).join('')}</w:tblGrid>`;
+    const rows = block.rows.map(row => `<w:tr>${row.map((cell, i) => `<w:tc><w:tcPr><w:tcW w:w="${widths[i]}" w:type="dxa"/></w:tcPr>${cell.length ? cell.map(item).join('') : '<w:p/>'}</w:tc>`).join('')}</w:tr>`).join('');
+    // An empty paragraph keeps consecutive tables from merging
+    return `<w:tbl>${tblPr}${grid}${rows}</w:tbl><w:p/>`;
+  };
+
+  const body = planExportBlocks(doc).map(item).join('');
+  const documentXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<w:body>${body}<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1080" w:right="1080" w:bottom="1080" w:left="1080" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr></w:body>
+</w:document>`;
+  const stylesXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+  <w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="80"/></w:pPr></w:pPrDefault></w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+  <w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:pPr><w:jc w:val="center"/><w:spacing w:after="200"/></w:pPr><w:rPr><w:b/><w:color w:val="20407E"/><w:sz w:val="36"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="120"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:color w:val="20407E"/><w:sz w:val="28"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="160" w:after="80"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:b/><w:sz w:val="24"/></w:rPr></w:style>
+  <w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr></w:style>
+</w:styles>`;
+  const documentRels = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rIdStyles" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+  ${links.map((href, i) => `<Relationship Id="rIdLink${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="${xmlEscape(href)}" TargetMode="External"/>`).join('\n  ')}
+</Relationships>`;
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+  <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+</Types>`,
+    },
+    {
+      name: '_rels/.rels',
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`,
+    },
+    { name: 'word/document.xml', content: documentXml },
+    { name: 'word/styles.xml', content: stylesXml },
+    { name: 'word/_rels/document.xml.rels', content: documentRels },
+  ]);
+}
+
+// ---------------------------------------------------------------------------
+// PDF
+// ---------------------------------------------------------------------------
+
+// Glyph widths (1/1000 em) of the standard Helvetica fonts for ASCII 32–126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+// Characters outside Latin-1 mapped into the WinAnsi encoding of the standard fonts
+const WIN_ANSI_EXTRAS = {
+  '–': 0x96, '—': 0x97, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '…': 0x85, '€': 0x80,
+};
+const PDF_REPLACEMENTS = { '‑': '-', '−': '-', '→': '->', '×': 'x', '【': '[', '】': ']', '†': '+' };
+
+/**
+ * Encode text as WinAnsi bytes (one character per byte in the string).
+ */
+function toWinAnsi(text) {
+  return Array.from(String(text)).map(ch => {
+    const replaced = PDF_REPLACEMENTS[ch] || ch;
+    if (replaced.length > 1) return replaced;
+    const code = replaced.charCodeAt(0);
+    if (WIN_ANSI_EXTRAS[replaced]) return String.fromCharCode(WIN_ANSI_EXTRAS[replaced]);
+    return code < 256 ? replaced : '?';
+  }).join('');
+}
+
+/**
+ * Width of WinAnsi text in points.
+ */
+function pdfTextWidth(text, bold, size) {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let total = 0;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code >= 32 && code <= 126) total += widths[code - 32];
+    else if (code === 0x97) total += 1000;
+    else if (code === 0x85) total += 1000;
+    else if (code === 0x95) total += 350;
+    else if (code >= 0x91 && code <= 0x94) total += 333;
+    else total += 556;
+  }
+  return (total * size) / 1000;
+}
+
+/**
+ * Escape a WinAnsi string for a PDF string literal.
+ */
+function pdfString(text) {
+  return `(${text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)')})`;
+}
+
+/**
+ * Break styled runs into lines that fit a width.
+ * @returns {Array<{segments: Array<Object>, width: number}>}
+ */
+function layoutRuns(runs, maxWidth, size) {
+  const lines = [];
+  let line = { segments: [], width: 0 };
+  const pushWord = (word, run) => {
+    const bold = !!run.bold;
+    const width = pdfTextWidth(word, bold, size);
+    if (line.width + width > maxWidth && line.segments.length && word.trim()) {
+      lines.push(line);
+      line = { segments: [], width: 0 };
+      word = word.replace(/^\s+/, '');
+    }
+    const wordWidth = pdfTextWidth(word, bold, size);
+    const last = line.segments[line.segments.length - 1];
+    if (last && last.bold === bold && last.italic === !!run.italic && last.href === run.href) {
+      last.text += word;
+      last.width += wordWidth;
+    } else {
+      line.segments.push({ text: word, bold, italic: !!run.italic, href: run.href, width: wordWidth });
+    }
+    line.width += wordWidth;
+  };
+  runs.forEach(run => {
+    (toWinAnsi(run.text).match(/\s*\S+|\s+/g) || []).forEach(word => pushWord(word, run));
+  });
+  if (line.segments.length) lines.push(line);
+  return lines;
+}
+
+/**
+ * Build a PDF for a plan.
+ * @param {Object} doc plan document
+ * @returns {Uint8Array} the PDF file contents
+ */
+function planToPdf(doc) {
+  const page = { width: 612, height: 792, margin: 54 };
+  const contentWidth = page.width - page.margin * 2;
+  const pages = [];
+  let current = null;
+  let y = 0;
+
+  const newPage = () => {
+    current = { ops: [], links: [] };
+    pages.push(current);
+    y = page.height - page.margin;
+  };
+  const ensureSpace = height => {
+    if (!current || y - height < page.margin) newPage();
+  };
+  const fontName = seg => (seg.bold ? '/F2' : seg.italic ? '/F3' : '/F1');
+  const drawLine = (line, x, baseline, size, color) => {
+    let cursor = x;
+    line.segments.forEach(seg => {
+      const fill = seg.href ? '0.02 0.39 0.76 rg' : color;
+      current.ops.push(`BT ${fill} ${fontName(seg)} ${size} Tf ${cursor.toFixed(2)} ${baseline.toFixed(2)} Td ${pdfString(seg.text)} Tj ET`);
+      if (seg.href) {
+        current.ops.push(`0.02 0.39 0.76 RG 0.5 w ${cursor.toFixed(2)} ${(baseline - 1.5).toFixed(2)} m ${(cursor + seg.width).toFixed(2)} ${(baseline - 1.5).toFixed(2)} l S`);
+        current.links.push({ rect: [cursor, baseline - 3, cursor + seg.width, baseline + size], href: seg.href });
+      }
+      cursor += seg.width;
+    });
+  };
+  const drawCheckbox = (x, baseline, checked) => {
+    current.ops.push(`0 0 0 RG 0.8 w ${x.toFixed(2)} ${baseline.toFixed(2)} 8 8 re S`);
+    if (checked) {
+      current.ops.push(`${(x + 1.5).toFixed(2)} ${(baseline + 1.5).toFixed(2)} m ${(x + 6.5).toFixed(2)} ${(baseline + 6.5).toFixed(2)} l ${(x + 1.5).toFixed(2)} ${(baseline + 6.5).toFixed(2)} m ${(x + 6.5).toFixed(2)} ${(baseline + 1.5).toFixed(2)} l S`);
+    }
+  };
+
+  // Lay out a paragraph-like item into positioned lines; returns its height
+  const measureItem = (item, width) => {
+    const size = item.kind === 'title' ? 18 : item.kind === 'heading' ? (item.level === 1 ? 14 : 12) : 10;
+    const indent = item.kind === 'bullet' || item.kind === 'check' ? 14 : 0;
+    const runs = item.runs || [{ text: item.text, bold: true }];
+    const lines = layoutRuns(runs, width - indent, size);
+    const leading = size * 1.3;
+    const before = item.kind === 'heading' ? (item.level === 1 ? 10 : 6) : 0;
+    return { size, indent, lines, leading, before, height: before + Math.max(1, lines.length) * leading + 3 };
+  };
+  const drawItem = (item, layout, x, top) => {
+    const color = item.kind === 'title' || (item.kind === 'heading' && item.level === 1) ? '0.125 0.25 0.494 rg' : '0 0 0 rg';
+    let baseline = top - layout.before - layout.size;
+    if (item.kind === 'bullet') {
+      current.ops.push(`BT 0 0 0 rg /F1 ${layout.size} Tf ${(x + 3).toFixed(2)} ${baseline.toFixed(2)} Td ${pdfString(toWinAnsi('•'))} Tj ET`);
+    }
+    if (item.kind === 'check') drawCheckbox(x + 1, baseline - 1, item.checked);
+    layout.lines.forEach(line => {
+      const offset = item.kind === 'title' ? (contentWidth - line.width) / 2 : layout.indent;
+      drawLine(line, x + offset, baseline, layout.size, color);
+      baseline -= layout.leading;
+    });
+  };
+
+  const padding = 4;
+  const drawTable = block => {
+    const widths = block.widths.map(w => w * contentWidth);
+    block.rows.forEach(row => {
+      const cells = row.map((items, i) => {
+        const layouts = items.map(item => measureItem(item, widths[i] - padding * 2));
+        return { items, layouts, height: layouts.reduce((sum, l) => sum + l.height, 0) };
+      });
+      const rowHeight = Math.max(...cells.map(cell => cell.height), 12) + padding * 2;
+      ensureSpace(rowHeight);
+      let x = page.margin;
+      cells.forEach((cell, i) => {
+        current.ops.push(`0.6 0.6 0.6 RG 0.5 w ${x.toFixed(2)} ${(y - rowHeight).toFixed(2)} ${widths[i].toFixed(2)} ${rowHeight.toFixed(2)} re S`);
+        let top = y - padding;
+        cell.items.forEach((item, j) => {
+          drawItem(item, cell.layouts[j], x + padding, top);
+          top -= cell.layouts[j].height;
+        });
+        x += widths[i];
+      });
+      y -= rowHeight;
+    });
+    y -= 8;
+  };
+
+  newPage();
+  planExportBlocks(doc).forEach(block => {
+    if (block.kind === 'table') {
+      drawTable(block);
+      return;
+    }
+    const layout = measureItem(block, contentWidth);
+    // Keep headings with the content that follows them
+    ensureSpace(block.kind === 'heading' ? layout.height + 40 : layout.height);
+    drawItem(block, layout, page.margin, y);
+    y -= layout.height;
+  });
+
+  // Serialize: catalog, page tree, fonts, then each page with its content and link annotations
+  const objects = [];
+  const addObject = body => {
+    objects.push(body);
+    return objects.length;
+  };
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const fontIds = ['Helvetica', 'Helvetica-Bold', 'Helvetica-Oblique']
+    .map(name => addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`));
+  const pageIds = pages.map((p, index) => {
+    const pageLabel = planText('{title} — page {page} of {pages}', planLocale(doc), { title: exportTitle(doc), page: index + 1, pages: pages.length });
+    const footer = `BT 0.4 0.4 0.4 rg /F1 8 Tf ${page.margin} 30 Td ${pdfString(toWinAnsi(pageLabel))} Tj ET`;
+    const stream = [...p.ops, footer].join('\n');
+    const contentId = addObject(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    const annotIds = p.links.map(link => addObject(`<< /Type /Annot /Subtype /Link /Rect [${link.rect.map(n => n.toFixed(2)).join(' ')}] /Border [0 0 0] /A << /S /URI /URI ${pdfString(toWinAnsi(link.href))} >> >>`));
+    return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${page.width} ${page.height}] /Resources << /Font << /F1 ${fontIds[0]} 0 R /F2 ${fontIds[1]} 0 R /F3 ${fontIds[2]} 0 R >> >> /Contents ${contentId} 0 R${annotIds.length ? ` /Annots [${annotIds.map(id => `${id} 0 R`).join(' ')}]` : ''} >>`);
+  });
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let pdf = '%PDF-1.4\n%âãÏÓ\n';
+  const offsets = objects.map((body, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('')}`;
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  const bytes = new Uint8Array(pdf.length);
+  for (let i = 0; i < pdf.length; i++) bytes[i] = pdf.charCodeAt(i) & 0xff;
+  return bytes;
+}
+
+// ---------------------------------------------------------------------------
+// Browser downloads
+// ---------------------------------------------------------------------------
+
+/**
+ * Offer bytes to the user as a file download.
+ */
+function downloadFile(bytes, fileName, type) {
+  const url = URL.createObjectURL(new Blob([bytes], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Download a plan as a Word document.
+ */
+function exportPlanDocx(doc) {
+  downloadFile(planToDocx(doc), `${exportFileName(doc)}.docx`, 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+}
+
+/**
+ * Download a plan as a PDF.
+ */
+function exportPlanPdf(doc) {
+  downloadFile(planToPdf(doc), `${exportFileName(doc)}.pdf`, 'application/pdf');
+}
+
+/**
+ * Export buttons for a plan shown outside the generator, such as the
+ * hub detail views.
+ * @param {() => Object} getPlan returns the plan document to export
+ * @returns {HTMLElement}
+ */
+function createExportButtons(getPlan) {
+  const buttons = document.createElement('div');
+  buttons.className = 'export-buttons';
+  buttons.innerHTML = `
+    <button type="button" data-export="docx">Export Word (.docx)</button>
+    <button type="button" data-export="pdf">Export PDF</button>
+  `;
+  buttons.addEventListener('click', (e) => {
+    const format = e.target.dataset.export;
+    if (format === 'docx') exportPlanDocx(getPlan());
+    if (format === 'pdf') exportPlanPdf(getPlan());
+  });
+  return buttons;
+}
@@ -0,0 +1,511 @@
+/*
+ * Plan Generator
+ * Builds a lesson plan document from the selected grade, subject,
+ * program, unit, lesson and standard. The plan follows a plan template
+ * (plan-templates.js; T‑TESS Distinguished by default), takes its
+ * materials, procedures and stations from the program module
+ * (program-modules.js), embeds the Fundamental Five instructional
+ * practices and incorporates PAX Good Behavior Game strategies. The
+ * student-facing text (kid‑friendly objective, learning goal and lesson
+ * frame) is written in the plan's language (i18n.js); bilingual plans
+ * frame the lesson in English and Spanish side by side. Used by the
+ * generator page and the weekly/unit planner.
+ */
+
+(function (factory) {
+  if (typeof module !== 'undefined') {
+    module.exports = factory(require);
+  } else {
+    Object.assign(window, factory(() => window));
+  }
+}((require) => {
+  const { BILINGUAL_LOCALES, LOCALES, PLAN_LANGUAGES, frameStarters, translateText } = require('./i18n.js');
+  const { createPlanDocument, escapeHtml, formatUnitLesson, planLocale } = require('./plan-model.js');
+  const { findCatalogLesson } = require('./curriculum.js');
+  const { validateStandards } = require('./teks.js');
+  const { defaultProgramFor, resolveProgramContent } = require('./program-modules.js');
+  const {
+    DEFAULT_PLAN_TEMPLATE, PROCEDURE_STEP_KINDS, campusPlanTemplate, parseStepMinutes,
+  } = require('./plan-templates.js');
+
+  /**
+   * Create a plan for one lesson: validate the TEKS in the standard
+   * field, look the lesson up in the curriculum catalog, write the
+   * kid‑friendly lesson frame and generate the plan document.
+   * @param {{grade: string, subject: string, program: string, strand?: string, unit: string, lesson: string, standard: string, language?: string}} selection
+   *   language is one of the PLAN_LANGUAGES keys (i18n.js); English by default
+   * @param {Object} [options]
+   * @param {Object|null} [options.catalog] curriculum catalog (curriculum.js)
+   * @param {Object|null} [options.author] plan author (teachers.js)
+   * @param {Object} [options.template] plan template (plan-templates.js); the campus default when omitted
+   * @param {Array<Object>} [options.groups] small groups from the class roster (class-roster.js)
+   * @param {string[]} [options.misconceptions] open misconceptions from earlier lessons (lesson-results.js)
+   * @returns {{plan: Object|null, errors: string[], warnings: string[]}} errors list
+   *   malformed TEKS codes (no plan is made); warnings list codes missing
+   *   from the bundled TEKS list
+   */
+  function createLessonPlan({ grade, subject, program, strand = '', unit, lesson, standard = '', language = 'en' }, { catalog = null, author = null, template = campusPlanTemplate(), groups = [], misconceptions = [] } = {}) {
+    // TEKS codes must be well formed; other text is a concept
+    const { standards, concepts, errors, warnings } = validateStandards(standard, subject);
+    if (errors.length) {
+      return { plan: null, errors, warnings };
+    }
+    const concept = concepts.join(', ');
+    const curriculum = findCatalogLesson(catalog, { program, grade, unit, lesson });
+    // Always auto‑generate the kid‑friendly lesson frame based on unit and
+    // lesson, in every locale so the hubs can show the plan in either
+    const frames = {};
+    Object.keys(LOCALES).forEach((locale) => {
+      frames[locale] = {
+        objective: generateKidFriendlyObjective({ program, subject, unit, lesson, standard: concept, curriculum, locale }),
+        product: generateKidFriendlyProduct({ program, subject, unit, lesson, standard: concept, curriculum, locale }),
+      };
+    });
+    const plan = generatePlan({ grade, subject, standard, standards, concepts, frames, language, program, strand, unit, lesson, author, curriculum, template, groups, misconceptions });
+    return { plan, errors: [], warnings };
+  }
+
+  /**
+   * Build a lesson plan given form inputs. This function
+   * assembles the sections of the plan into a structured plan
+   * document (see plan-model.js); call renderPlan() to turn it
+   * into HTML. The template (plan-templates.js) decides which
+   * sections appear and in what order; content is drawn from Texas
+   * TEKS standards, the program module, Fundamental Five and PAX GBG
+   * guidelines.
+   * @param {Object} data
+   * @param {Object<string, {objective: string, product: string}>} data.frames kid‑friendly objective and product by locale
+   * @param {string} [data.language] one of the PLAN_LANGUAGES keys; English by default
+   * @param {Object} [data.template] plan template; the built-in T‑TESS template by default
+   * @param {Array<Object>} [data.groups] the teacher's small groups; generic groups when empty
+   * @param {string[]} [data.misconceptions] misconceptions earlier lessons left unresolved
+   * @returns {Object} plan document
+   */
+  function generatePlan(data) {
+    const { grade, subject, standard, standards = [], concepts = [], frames, program, strand, unit, lesson, author, curriculum } = data;
+    const template = data.template || DEFAULT_PLAN_TEMPLATE;
+    const { pax, fundamentalFive } = template.practices;
+    const groups = data.groups || [];
+    const misconceptions = data.misconceptions || [];
+
+    // Materials, procedures and stations come from the program module
+    const programContent = resolveProgramContent({ program, subject, strand }, curriculum);
+
+    /*
+     * Assemble a comprehensive lesson plan from the template. The built-in
+     * template mimics the sections of the TTESS Distinguished Lesson Plan
+     * Template: Lesson information, objectives and success criteria,
+     * formative assessments, materials, classroom culture (PAX +
+     * Fundamental Five), lesson frame, lesson procedures (with
+     * sub‑sections), differentiation, teacher reflection, administrator
+     * look‑fors, and an internalization guide. When available, the unit
+     * and lesson numbers drive the kid‑friendly objective and product; the
+     * optional TEKS concept supplements descriptions. Teachers fill in the
+     * blank fields of the plan.
+     */
+    const doc = createPlanDocument({ grade, subject, program, strand: programContent.strand, unit, lesson, standard });
+    doc.language = PLAN_LANGUAGES[data.language] ? data.language : 'en';
+    // Plan text is written in the plan's locale; bilingual plans are based on English
+    const locale = planLocale(doc);
+    const otherLocales = Object.keys(LOCALES).filter(other => other !== locale);
+    const { objective, product } = frames[locale];
+    doc.frame = { objective, product, translations: {} };
+    otherLocales.forEach((other) => { doc.frame.translations[other] = frames[other]; });
+    doc.curriculum = curriculum || null;
+    doc.standards = standards;
+    doc.template = { id: template.id, name: template.name };
+    // Prefill Section 1 from the teacher's profile
+    if (author) {
+      doc.author = author;
+      doc.fields.teacher = author.name;
+    }
+
+    // Form and catalog text is escaped wherever it goes into plan markup;
+    // the standard falls back to the catalog lesson's TEKS codes
+    const standardDisplay = escapeHtml(standard || (curriculum ? curriculum.teks.join(', ') : ''));
+    const unitLessonDisplay = escapeHtml(formatUnitLesson(doc.meta));
+    // Validated TEKS are listed with their full descriptions, when the dataset has them
+    const teksLine = teks => `<strong>${escapeHtml(teks.code)}</strong>${teks.description ? ` — ${escapeHtml(teks.description)}` : ''}`;
+    const teksDisplay = standards.length
+      ? [...standards.map(teksLine), ...concepts.map(escapeHtml)].join('<br>')
+      : standardDisplay;
+
+    // Success criteria are used by the objective and frame sections
+    doc.successCriteria = subject === 'Reading'
+      ? [
+          'Use phonological or phonics skills (e.g., blend and segment sounds, decode high‑frequency words).',
+          'Demonstrate comprehension by answering text‑dependent questions and summarizing key ideas.',
+          'Apply new vocabulary in speaking and writing activities.',
+        ]
+      : [
+          'Demonstrate conceptual understanding by solving problems using appropriate strategies or models.',
+          'Explain mathematical reasoning verbally or in writing.',
+          'Apply new vocabulary and use manipulatives or visuals to justify solutions.',
+        ];
+
+    // Student-facing text in the plan's language, kept in the other locales
+    // for the hubs; bilingual plans show English and Spanish together
+    const inPlanLanguage = (render) => {
+      if (doc.language === 'bilingual') {
+        return { html: BILINGUAL_LOCALES.map(render).join('<br>') };
+      }
+      const translations = {};
+      otherLocales.forEach((other) => { translations[other] = render(other); });
+      return { html: render(locale), translations };
+    };
+
+    // Default checklist items of a template section, for this subject
+    const checklistItems = (definition, key) => {
+      const checklist = (definition.checklists || []).find(item => item.key === key);
+      return (checklist ? checklist.items : [])
+        .filter(item => !item.subjects || item.subjects.includes(subject))
+        .map(item => ({ id: item.id, label: item.label, checked: false }));
+    };
+
+    // The blocks of each section the template can include
+    const sectionBuilders = {
+      // Lesson Information
+      info: () => [{
+        type: 'rows',
+        rows: [
+          { label: 'Teacher', field: 'teacher' },
+          { label: 'Grade / Subject', ...inPlanLanguage(code => escapeHtml(`${translateText(grade || 'K–2', code)} ${translateText(subject, code)}`)) },
+          { label: 'Lesson Date', field: 'lessonDate' },
+          { label: 'Unit / Lesson #', html: unitLessonDisplay || '___/___' },
+          ...(curriculum ? [{ label: 'Lesson Title', html: escapeHtml(`${curriculum.unitTitle} — ${curriculum.title}`) }] : []),
+          { label: 'TEKS', html: teksDisplay || '__________________________' },
+          { label: 'Lesson Duration', field: 'duration' },
+        ],
+      }],
+
+      // Objective, Learning Goals, Success Criteria; the objective is for
+      // the teacher, the learning goal for students
+      objective: () => [
+        {
+          type: 'text',
+          ...inPlanLanguage(code => `<strong>${translateText('Lesson Objective:', code)}</strong> ${escapeHtml(frames[code].objective.replace(frameStarters(code).weWill, frameStarters(code).studentsWill))} ${translateText('(include decoding, comprehension, vocabulary, skills as appropriate).', code)}`),
+        },
+        {
+          type: 'text',
+          ...inPlanLanguage(code => `<strong>${translateText('Student‑Friendly Learning Goal', code)}:</strong> "${escapeHtml(frames[code].objective.replace(frameStarters(code).weWill, frameStarters(code).todayIWill))}"`),
+        },
+        { type: 'text', ...inPlanLanguage(code => `<strong>${translateText('Success Criteria (Distinguished):', code)}</strong>`) },
+        { type: 'criteria' },
+      ],
+
+      // Formative Assessment & Exit Ticket
+      assessment: (definition) => {
+        const cfuItems = checklistItems(definition, 'cfu');
+        return [
+          ...(cfuItems.length ? [
+            { type: 'text', html: '<strong>Checks for Understanding Throughout Lesson:</strong>' },
+            { type: 'checklist', items: cfuItems },
+          ] : []),
+          { type: 'field', key: 'exitTicket', label: 'Exit Ticket', blank: '_________________________________________________' },
+        ];
+      },
+
+      // Materials & Resources
+      materials: () => [
+        {
+          type: 'list',
+          items: [
+            ...programContent.materials,
+            ...(curriculum ? curriculum.materials.map(escapeHtml) : []),
+            'Whiteboards / Markers',
+            'Anchor Charts',
+            ...(pax ? ['PAX GBG Team Board'] : []),
+            ...(fundamentalFive ? ['Fundamental Five Frame‑the‑Lesson Board'] : []),
+          ],
+        },
+        { type: 'field', key: 'otherMaterials', label: 'Other', blank: '_____________________________________' },
+      ],
+
+      // Classroom Culture (PAX + Fundamental Five)
+      culture: (definition) => {
+        const rounds = checklistItems(definition, 'gbgRounds');
+        const kernels = checklistItems(definition, 'paxKernels');
+        const rows = [
+          ...(pax ? [
+            {
+              label: 'PAX Vision for Lesson',
+              blocks: [
+                { type: 'field', key: 'paxMoreOf', label: 'More of', inline: true, blank: '________' },
+                { type: 'field', key: 'paxLessOf', label: 'Less of', inline: true, blank: '________' },
+              ],
+            },
+            { label: 'PAX Signals & Routines', html: 'Harmonicas, PAX Quiet, PAX Hands/Eyes/Heart' },
+            ...(rounds.length ? [{ label: 'Good Behavior Game Rounds', blocks: [{ type: 'checklist', inline: true, items: rounds }] }] : []),
+            ...(kernels.length ? [{ label: 'PAX Kernels', blocks: [{ type: 'checklist', inline: true, items: kernels }] }] : []),
+          ] : []),
+          ...(fundamentalFive ? [{ label: 'Fundamental Five Elements', html: 'Frame the Lesson, Power Zone, Frequent Talk, Recognize & Reinforce, Critical Writing' }] : []),
+        ];
+        return rows.length ? [{ type: 'rows', rows }] : null;
+      },
+
+      // Lesson Frame (Fundamental Five); side by side in bilingual plans
+      frame: () => {
+        const beginning = (code) => {
+          const starters = frameStarters(code);
+          return `<p><strong>${starters.today}</strong> ${escapeHtml(frames[code].objective.replace(starters.weWill, '').trim())}</p>
+          <p><strong>${starters.product}</strong> ${escapeHtml(frames[code].product.replace(starters.iWill, '').trim())}</p>
+          <p><strong>${starters.success}</strong> ${translateText(doc.successCriteria[0], code)}</p>`;
+        };
+        const end = code => `<p>${translateText('Review the objective and success criteria. Provide a reflective prompt or exit question for students to connect learning back to the goal.', code)}</p>`;
+        if (doc.language === 'bilingual') {
+          return [{
+            type: 'grid',
+            columns: ['Frame the Lesson', ...BILINGUAL_LOCALES.map(code => LOCALES[code])],
+            rows: [
+              ['Beginning / Inicio', ...BILINGUAL_LOCALES.map(beginning)],
+              ['End / Cierre', ...BILINGUAL_LOCALES.map(end)],
+            ],
+          }];
+        }
+        return [{
+          type: 'rows',
+          rows: [
+            { label: 'Frame the Lesson (Beginning)', ...inPlanLanguage(beginning) },
+            { label: 'Frame the Lesson (End)', ...inPlanLanguage(end) },
+          ],
+        }];
+      },
+
+      // Lesson Procedures (program module + T‑TESS Distinguished)
+      procedures: (definition) => {
+        const steps = {
+          opening: [{
+            type: 'list',
+            items: [
+              pax ? 'PAX Quiet signal and attention getter' : 'Attention signal',
+              'Review objective and success criteria with students',
+              'Engage prior knowledge or connection to previous lesson',
+              ...(programContent.opening || []),
+            ],
+          }],
+          vocabulary: [{
+            type: 'list',
+            items: [
+              curriculum && curriculum.vocabulary.length
+                ? `Introduce lesson vocabulary with student‑friendly definitions: <strong>${escapeHtml(curriculum.vocabulary.join(', '))}</strong>`
+                : 'Introduce new vocabulary with student‑friendly definitions',
+              'Use gestures, images or realia to reinforce understanding',
+              'Have students Turn & Talk using the vocabulary in context',
+              ...(pax ? ['Begin a PAX GBG mini‑round to reinforce focus and cooperation'] : []),
+            ],
+          }],
+          instruction: [{ type: 'list', items: programContent.instruction.items }],
+          practice: [{
+            type: 'list',
+            items: [...programContent.practice.items, ...(pax ? ['PAX reinforcement (e.g., tootles)'] : [])],
+          }],
+          partner: [{
+            type: 'list',
+            items: [
+              'Students engage in purposeful talk tasks',
+              ...programContent.partner,
+              ...(pax ? ['Conduct GBG mini‑round #2 to maintain focus'] : []),
+            ],
+          }],
+          stations: [
+            { type: 'text', html: 'Set up stations with tasks aligned to the lesson objective:' },
+            {
+              type: 'list',
+              items: [
+                ...programContent.stations,
+                groups.length
+                  ? 'Teacher small‑group: Pull these groups for guided instruction and feedback on their targeted skills:'
+                  : 'Teacher small‑group: Provide guided instruction and feedback to targeted learners',
+              ],
+            },
+            ...(groups.length ? [{ type: 'groups', layout: 'list', groups }] : []),
+          ],
+          closure: [{
+            type: 'list',
+            items: [
+              'Review the learning goal and success criteria',
+              `Ask students to reflect on how they met the goal${fundamentalFive ? '; incorporate FSGPT' : ''}`,
+              'Administer exit ticket aligned to the objective',
+              pax ? 'Celebrate with PAX tootles or quick recognition' : 'Celebrate with quick recognition',
+            ],
+          }],
+        };
+        // Instruction and practice take the program's titles
+        const programTitles = { instruction: programContent.instruction.title, practice: programContent.practice.title };
+        return definition.steps.reduce((blocks, step, i) => {
+          const title = step.title || programTitles[step.id] || PROCEDURE_STEP_KINDS[step.id];
+          // The minutes are kept on the heading for the class display's timer
+          const minutes = parseStepMinutes(step.minutes);
+          const range = minutes && (minutes.min === minutes.max ? `${minutes.min}` : `${minutes.min}–${minutes.max}`);
+          const heading = code => `${String.fromCharCode(65 + i)}. ${translateText(title, code)}${minutes ? ` (${range} min)` : ''}`;
+          const subheading = { type: 'subheading', text: heading(locale), minutes };
+          const translations = {};
+          otherLocales.forEach((other) => {
+            if (heading(other) !== subheading.text) translations[other] = heading(other);
+          });
+          if (Object.keys(translations).length) subheading.translations = translations;
+          return blocks.concat(
+            subheading,
+            ...steps[step.id],
+          );
+        }, []);
+      },
+
+      // Differentiation: the teacher's own groups when there is a roster
+      differentiation: () => {
+        const behaviorRow = ['Students Needing Behavior Support', `Use ${pax ? 'PAX kernels and ' : ''}clear expectations, positive recognition, and structured choices to encourage engagement.`];
+        if (groups.length) {
+          return [
+            { type: 'groups', layout: 'table', groups },
+            { type: 'grid', columns: ['Student Group', 'Supports Planned'], rows: [behaviorRow] },
+          ];
+        }
+        return [{
+          type: 'grid',
+          columns: ['Student Group', 'Supports Planned'],
+          rows: [
+            ['Struggling Learners', 'Provide concrete supports (e.g., manipulatives, additional phonics practice), scaffolded questioning, and more frequent check‑ins.'],
+            ['On‑Level Learners', 'Offer guided practice with gradual release, peer collaboration, and feedback opportunities.'],
+            ['Advanced Learners', 'Challenge with extension tasks, open‑ended problems or enrichment texts, and opportunities to teach peers.'],
+            behaviorRow,
+          ],
+        }];
+      },
+
+      // Lesson Internalization Guide (for the teacher to fill in)
+      internalization: () => [
+        { type: 'text', html: 'Prior to teaching, use this guide to internalize the lesson:' },
+        {
+          type: 'list',
+          items: [
+            '<strong>Key Concepts & Vocabulary:</strong> Identify essential ideas and words students must understand.',
+            '<strong>Anticipated Misconceptions:</strong> What errors or misunderstandings might occur? Plan strategies to address them.',
+            '<strong>Differentiation & Scaffolds:</strong> How will you adjust for struggling and advanced learners? What supports will you provide?',
+            '<strong>Cross‑Curricular Connections:</strong> How does this lesson connect to other subjects or real‑world experiences?',
+            ...(fundamentalFive ? ['<strong>Fundamental Five Strategies:</strong> Plan for framing the lesson, positioning in the power zone, frequent purposeful talk, recognition and reinforcement, and critical writing.'] : []),
+            ...(pax ? ['<strong>PAX Integration:</strong> How will you use PAX GBG rounds and kernels to support a positive culture?'] : []),
+            '<strong>Assessment & Evidence:</strong> What specific evidence will show that students met the success criteria?',
+          ],
+        },
+        { type: 'text', html: '<em>Use these prompts to jot down notes and ensure you are fully prepared for high‑quality instruction.</em>' },
+        // Misconceptions from earlier lessons' results to address again
+        ...(misconceptions.length ? [
+          { type: 'subheading', text: 'Misconceptions Still Open from Earlier Lessons' },
+          { type: 'list', items: misconceptions.map(escapeHtml) },
+        ] : []),
+      ],
+
+      // Teacher Reflection
+      reflection: () => {
+        const practices = [pax && 'PAX', fundamentalFive && 'Fundamental Five'].filter(Boolean).join(' & ');
+        return [
+          { type: 'text', html: 'After the lesson, reflect on the following prompts. Document your responses in the space provided:' },
+          {
+            type: 'list',
+            items: [
+              'What evidence showed mastery?',
+              'What misunderstandings appeared?',
+              'How will I adjust instruction tomorrow?',
+              `How did ${practices || 'our classroom routines'} improve engagement?`,
+            ],
+          },
+          { type: 'field', key: 'reflectionNotes', label: 'Notes', blank: '________________________________________________' },
+        ];
+      },
+
+      // Administrator Look‑Fors
+      lookfors: () => [
+        { type: 'text', html: 'This lesson is designed to produce evidence in:' },
+        {
+          type: 'list',
+          items: [
+            '<strong>Domain 1 (Planning)</strong>: alignment to TEKS/standards, intentional strategies, differentiation for varied learners.',
+            '<strong>Domain 2 (Instruction)</strong>: student engagement, effective questioning, checks for understanding, student thinking and discourse.',
+            `<strong>Domain 3 (Classroom Culture)</strong>: ${pax ? 'PAX routines and kernels' : 'classroom routines'}, respectful interactions, classroom management, joy in learning.`,
+          ],
+        },
+      ],
+    };
+
+    // Compose the plan in the template's order; {n} numbers the sections.
+    // Headings with a translation are kept in the other locales too.
+    let number = 0;
+    doc.sections = template.sections.map(definition => {
+      const blocks = sectionBuilders[definition.id](definition);
+      if (!blocks) return null;
+      if (definition.heading.includes('{n}')) number += 1;
+      const headingIn = code => translateText(definition.heading, code).replace('{n}', number).replace('{program}', programContent.label);
+      const section = { id: definition.id, heading: headingIn(locale), blocks };
+      const translations = {};
+      otherLocales.forEach((other) => {
+        if (headingIn(other) !== section.heading) translations[other] = headingIn(other);
+      });
+      if (Object.keys(translations).length) section.translations = translations;
+      return section;
+    }).filter(Boolean);
+    return doc;
+  }
+
+  /**
+   * Generate a kid‑friendly objective when the teacher does not supply one.
+   * The objective comes from the curriculum catalog lesson when there is
+   * one (in Spanish, when the catalog has the lesson's Spanish
+   * objectives); otherwise it references the selected program, unit,
+   * lesson and standard.
+   * @param {Object} options
+   * @param {string} [options.locale] 'en' or 'es'
+   */
+  function generateKidFriendlyObjective({ program, subject, unit, lesson, standard, curriculum, locale = 'en' }) {
+    const spanish = locale === 'es';
+    // Lessons found in the curriculum catalog use their real objectives
+    const catalogText = curriculum && (spanish ? curriculum.es : curriculum);
+    if (catalogText && catalogText.objectives && catalogText.objectives.length) {
+      return spanish
+        ? `Nosotros vamos a ${catalogText.objectives.join(' y ')} (${catalogText.title}).`
+        : `We will ${catalogText.objectives.join(' and ')} (${catalogText.title}).`;
+    }
+    const prog = program || defaultProgramFor(subject);
+    const [unitWord, lessonWord] = spanish ? ['Unidad', 'Lección'] : ['Unit', 'Lesson'];
+    let unitLessonPart = '';
+    if (unit) {
+      unitLessonPart += `${unitWord} ${unit}`;
+    }
+    if (lesson) {
+      unitLessonPart += unitLessonPart ? `, ${lessonWord} ${lesson}` : `${lessonWord} ${lesson}`;
+    }
+    if (spanish) {
+      const area = subject === 'Reading' ? 'lectura' : 'matemáticas';
+      const conceptPart = standard ? ` sobre ${standard.toLowerCase()}` : '';
+      return `Nosotros vamos a explorar ${unitLessonPart ? `la ${unitLessonPart}` : 'nuestra lección'} del programa ${prog} de ${area}${conceptPart} para desarrollar nuestras destrezas de ${area}.`;
+    }
+    // Build a generic description of the subject
+    const skillPhrase = subject === 'Reading' ? 'our reading skills' : 'our math skills';
+    const conceptPart = standard ? ` about ${standard.toLowerCase()}` : '';
+    const objective = `We will explore ${unitLessonPart || 'our lesson'} from the ${prog} ${subject} program${conceptPart} to develop ${skillPhrase}.`;
+    return objective;
+  }
+
+  /**
+   * Generate a kid‑friendly evidence statement when the teacher does not supply one.
+   * This describes how students will show mastery in a general way.
+   * @param {Object} options
+   * @param {string} [options.locale] 'en' or 'es'
+   */
+  function generateKidFriendlyProduct({ program, subject, unit, lesson, standard, curriculum, locale = 'en' }) {
+    const prog = program || defaultProgramFor(subject);
+    if (locale === 'es') {
+      const action = subject === 'Reading' ? 'leyendo cuentos y jugando juegos de aprendizaje' : 'resolviendo problemas y explicando nuestro razonamiento';
+      const title = curriculum && (curriculum.es ? curriculum.es.title : curriculum.title);
+      return `Voy a demostrar lo que aprendí ${title ? `sobre ${title}` : `en ${prog}`} ${action}.`;
+    }
+    const action = subject === 'Reading' ? 'reading stories and playing learning games' : 'solving problems and explaining our thinking';
+    const topic = curriculum ? `about ${curriculum.title}` : `in ${prog}`;
+    const product = `I will show what I learned ${topic} by ${action}.`;
+    return product;
+  }
+
+  return {
+    createLessonPlan,
+    generatePlan,
+  };
+}));
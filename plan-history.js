@@ -0,0 +1,78 @@
+/*
+ * Plan Version History
+ * Shared panel for the generator and internalization pages that lists
+ * the saved versions of a draft, shows what changed between them and
+ * restores an older version.
+ */
+
+/**
+ * Render the output of diffPlanDocuments() as HTML.
+ * @param {Array<{label: string, removed: string[], added: string[]}>} changes
+ */
+function renderPlanDiff(changes) {
+  if (!changes.length) {
+    return '<p><em>No differences.</em></p>';
+  }
+  return `<dl class="plan-diff">${changes.map(change => `
+    <dt><strong>${escapeHtml(change.label)}</strong></dt>
+    ${change.removed.map(line => `<dd><del style="color:#b02a37;">− ${escapeHtml(line)}</del></dd>`).join('')}
+    ${change.added.map(line => `<dd><ins style="color:#1e7b34; text-decoration:none;">+ ${escapeHtml(line)}</ins></dd>`).join('')}
+  `).join('')}</dl>`;
+}
+
+/**
+ * Show the version history of a plan in a container element.
+ * @param {Element} container panel to render into
+ * @param {string} planId stable plan ID
+ * @param {() => Object} getCurrent returns the working copy of the plan
+ * @param {(doc: Object) => void} onRestore called with the restored plan
+ */
+function showVersionHistory(container, planId, getCurrent, onRestore) {
+  const draft = getDraft(planId);
+  container.style.display = 'block';
+  if (!draft || draft.versions.length === 0) {
+    container.innerHTML = '<h3>Version History</h3><p>No saved versions yet.</p>';
+    return;
+  }
+  const versions = draft.versions.slice().reverse();
+  container.innerHTML = `
+    <h3>Version History</h3>
+    <ul style="list-style-type:none; padding-left:0;">
+      ${versions.map(v => `
+        <li style="margin-bottom:0.5rem;">
+          <strong>Version ${v.version}</strong> — ${escapeHtml(v.label)} — ${new Date(v.savedAt).toLocaleString()}
+          <button type="button" data-compare="${v.version}">Compare with current</button>
+          ${v.version > versions[versions.length - 1].version ? `<button type="button" data-previous="${v.version}">Changes from previous</button>` : ''}
+          <button type="button" data-restore="${v.version}">Restore</button>
+        </li>`).join('')}
+    </ul>
+    <div class="history-diff"></div>
+  `;
+  const diffOutput = container.querySelector('.history-diff');
+  const findVersion = number => draft.versions.find(v => v.version === number);
+  container.querySelectorAll('[data-compare]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const version = findVersion(Number(btn.dataset.compare));
+      diffOutput.innerHTML = `<h4>Version ${version.version} → current</h4>` + renderPlanDiff(diffPlanDocuments(version.plan, getCurrent()));
+    });
+  });
+  container.querySelectorAll('[data-previous]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const index = draft.versions.indexOf(findVersion(Number(btn.dataset.previous)));
+      const [previous, version] = [draft.versions[index - 1], draft.versions[index]];
+      diffOutput.innerHTML = `<h4>Version ${previous.version} → ${version.version}</h4>` + renderPlanDiff(diffPlanDocuments(previous.plan, version.plan));
+    });
+  });
+  container.querySelectorAll('[data-restore]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const version = Number(btn.dataset.restore);
+      if (!confirm(`Restore version ${version}? Your current plan will be kept in the history.`)) return;
+      commitDraftVersion(getCurrent(), 'Before restore');
+      const restored = restoreDraftVersion(planId, version);
+      if (restored) {
+        onRestore(restored);
+        showVersionHistory(container, planId, getCurrent, onRestore);
+      }
+    });
+  });
+}
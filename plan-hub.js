@@ -0,0 +1,335 @@
+/*
+ * Plan Hub
+ * List view shared by the teacher page and the administrator hub.
+ * Submitted plans are shown as a compact, searchable table with
+ * filters and sorting; clicking a row opens the full plan in a detail
+ * view instead of rendering every plan body at once. Labels are
+ * written in English and shown in the interface language (i18n.js).
+ */
+
+// Filters offered above the plan list. `value` reads the field from a
+// submission and may return a list when a plan has several values.
+const HUB_FILTERS = [
+  { key: 'teacher', label: 'Teacher', value: entry => planAuthorName(entry.plan) },
+  { key: 'grade', label: 'Grade', value: entry => entry.plan.meta.grade },
+  { key: 'subject', label: 'Subject', value: entry => entry.plan.meta.subject, display: subject => t(subject) },
+  { key: 'program', label: 'Program', value: entry => entry.plan.meta.program },
+  { key: 'unitLesson', label: 'Unit/Lesson', value: entry => formatUnitLesson(entry.plan.meta) },
+  {
+    key: 'standard',
+    label: 'TEKS',
+    value: entry => (entry.plan.standards.length ? entry.plan.standards.map(teks => teks.code) : entry.plan.meta.standard),
+  },
+  { key: 'language', label: 'Language', value: entry => entry.plan.language, display: language => PLAN_LANGUAGES[language] || language },
+  { key: 'status', label: 'Status', value: entry => entry.status, display: status => t(SUBMISSION_STATUS[status] || status) },
+];
+
+// Sort orders offered above the plan list
+const HUB_SORTS = {
+  newest: { label: 'Newest first', compare: (a, b) => b.submittedAt.localeCompare(a.submittedAt) },
+  oldest: { label: 'Oldest first', compare: (a, b) => a.submittedAt.localeCompare(b.submittedAt) },
+  grade: { label: 'Grade', compare: (a, b) => a.plan.meta.grade.localeCompare(b.plan.meta.grade) },
+  subject: { label: 'Subject', compare: (a, b) => a.plan.meta.subject.localeCompare(b.plan.meta.subject) },
+  unitLesson: {
+    label: 'Unit/Lesson',
+    compare: (a, b) => (Number(a.plan.meta.unit) || 0) - (Number(b.plan.meta.unit) || 0)
+      || (Number(a.plan.meta.lesson) || 0) - (Number(b.plan.meta.lesson) || 0),
+  },
+  status: { label: 'Status', compare: (a, b) => a.status.localeCompare(b.status) },
+  teacher: { label: 'Teacher', compare: (a, b) => planAuthorName(a.plan).localeCompare(planAuthorName(b.plan)) },
+};
+
+// Ways the plan list can be split into groups
+const HUB_GROUPS = {
+  teacher: { label: 'Teacher', value: entry => planAuthorName(entry.plan) },
+  grade: { label: 'Grade', value: entry => entry.plan.meta.grade },
+  subject: { label: 'Subject', value: entry => entry.plan.meta.subject },
+};
+
+/**
+ * All searchable text of a submission: metadata, filled-in fields,
+ * section content and review comments, lower-cased.
+ */
+function planSearchText(entry) {
+  const { plan } = entry;
+  const parts = [
+    ...Object.keys(plan.meta).map(key => plan.meta[key]),
+    ...Object.keys(plan.fields).map(key => plan.fields[key]),
+    ...plan.successCriteria.map(plainText),
+    ...plan.sections.map(section => [section.heading, ...sectionLines(section)].join('\n')),
+    ...entry.comments.map(comment => comment.text),
+  ];
+  return parts.join('\n').toLowerCase();
+}
+
+/**
+ * Apply the hub filters to a list of submissions.
+ * @param {Array<Object>} entries normalized submissions
+ * @param {Object} criteria filter values keyed like HUB_FILTERS plus
+ *   `from`/`to` (YYYY-MM-DD, submission date) and `query` (full text)
+ */
+function filterPlans(entries, criteria) {
+  const terms = (criteria.query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  return entries.filter(entry => {
+    const matchesFields = HUB_FILTERS.every(filter => !criteria[filter.key] || [].concat(filter.value(entry)).includes(criteria[filter.key]));
+    if (!matchesFields) return false;
+    const day = entry.submittedAt.slice(0, 10);
+    if (criteria.from && day < criteria.from) return false;
+    if (criteria.to && day > criteria.to) return false;
+    if (terms.length) {
+      const text = planSearchText(entry);
+      return terms.every(term => text.includes(term));
+    }
+    return true;
+  });
+}
+
+/**
+ * Sort submissions by one of the HUB_SORTS keys (newest first by default).
+ */
+function sortPlans(entries, sortKey) {
+  const sort = HUB_SORTS[sortKey] || HUB_SORTS.newest;
+  return entries.slice().sort(sort.compare);
+}
+
+/**
+ * Build the filter toolbar for the given submissions.
+ */
+function renderHubToolbar(entries) {
+  const selects = HUB_FILTERS.map(filter => {
+    const values = Array.from(new Set([].concat(...entries.map(filter.value)).filter(Boolean))).sort();
+    const display = filter.display || (value => value);
+    return `
+      <label>${t(filter.label)}
+        <select data-filter="${filter.key}">
+          <option value="">${t('All')}</option>
+          ${values.map(value => `<option value="${escapeHtml(value)}">${escapeHtml(display(value))}</option>`).join('')}
+        </select>
+      </label>`;
+  }).join('');
+  return `
+    <label class="hub-search">${t('Search')} <input type="search" data-filter="query" placeholder="${t('Search plan content, fields and comments')}"/></label>
+    ${selects}
+    <label>${t('From')} <input type="date" data-filter="from"/></label>
+    <label>${t('To')} <input type="date" data-filter="to"/></label>
+    <label>${t('Sort')}
+      <select data-sort>
+        ${Object.keys(HUB_SORTS).map(key => `<option value="${key}">${t(HUB_SORTS[key].label)}</option>`).join('')}
+      </select>
+    </label>
+    <label>${t('Group by')}
+      <select data-group>
+        <option value="">${t('No grouping')}</option>
+        ${Object.keys(HUB_GROUPS).map(key => `<option value="${key}">${t(HUB_GROUPS[key].label)}</option>`).join('')}
+      </select>
+    </label>
+  `;
+}
+
+/**
+ * Render the plan list as a table; each row links to the detail view
+ * and has a checkbox for choosing plans to export.
+ * @param {Array<Object>} entries filtered and sorted submissions
+ * @param {Array<{label: string, value: (entry: Object) => string}>} [extraColumns]
+ * @param {Set<string>} [selected] IDs of the submissions chosen for export
+ */
+function renderPlanTable(entries, extraColumns = [], selected = new Set()) {
+  if (entries.length === 0) {
+    return `<p>${t('No plans match the current filters.')}</p>`;
+  }
+  return `
+    <table class="plan-list">
+      <tr>
+        <th><span class="visually-hidden">${t('Select')}</span></th><th>${t('Submitted')}</th>${extraColumns.map(col => `<th>${t(col.label)}</th>`).join('')}<th>${t('Grade')}</th><th>${t('Subject')}</th><th>${t('Program')}</th><th>${t('Unit/Lesson')}</th><th>${t('TEKS')}</th><th>${t('Status')}</th>
+      </tr>
+      ${entries.map(entry => `
+      <tr data-plan="${escapeHtml(entry.id)}" tabindex="0">
+        <td><input type="checkbox" data-select="${escapeHtml(entry.id)}" aria-label="${t('Select for export')}"${selected.has(entry.id) ? ' checked' : ''}/></td>
+        <td>${new Date(entry.submittedAt).toLocaleDateString(getLocale())}</td>${extraColumns.map(col => `<td>${escapeHtml(col.value(entry) || '')}</td>`).join('')}
+        <td>${escapeHtml(entry.plan.meta.grade)}</td>
+        <td>${escapeHtml(t(entry.plan.meta.subject))}</td>
+        <td>${escapeHtml(entry.plan.meta.program)}</td>
+        <td>${escapeHtml(formatUnitLesson(entry.plan.meta) || '-')}</td>
+        <td>${escapeHtml(entry.plan.meta.standard || '-')}</td>
+        <td>${renderStatusBadge(entry)}</td>
+      </tr>`).join('')}
+    </table>
+    <p class="metadata">${entries.length === 1 ? t('1 plan') : t('{count} plans', { count: entries.length })}</p>
+  `;
+}
+
+/**
+ * Render the plan list split into groups, one table per group.
+ * @param {Array<Object>} entries filtered and sorted submissions
+ * @param {string} groupKey one of the HUB_GROUPS keys
+ * @param {Array<Object>} [extraColumns]
+ * @param {Set<string>} [selected]
+ */
+function renderGroupedPlanTables(entries, groupKey, extraColumns = [], selected = new Set()) {
+  const group = HUB_GROUPS[groupKey];
+  if (!group || entries.length === 0) {
+    return renderPlanTable(entries, extraColumns, selected);
+  }
+  const groups = {};
+  entries.forEach(entry => {
+    const name = group.value(entry) || '—';
+    (groups[name] = groups[name] || []).push(entry);
+  });
+  return Object.keys(groups).sort().map(name => `
+    <h2 class="hub-group">${t(group.label)}: ${escapeHtml(name)}</h2>
+    ${renderPlanTable(groups[name], extraColumns, selected)}
+  `).join('');
+}
+
+/**
+ * Backup controls shown above the plan list.
+ */
+function renderLibraryBar() {
+  return `
+    <button type="button" data-library="export-all" data-i18n>Export library</button>
+    <button type="button" data-library="export-selected" disabled>${t('Export selected')}</button>
+    <label class="library-import"><span data-i18n>Import library</span> <input type="file" data-library="import" accept="application/json,.json"/></label>
+    <span class="library-status" role="status"></span>
+  `;
+}
+
+/**
+ * Wire up a hub page: backup controls, toolbar, list and click-through
+ * detail view. The open plan is kept in the URL hash
+ * (#plan=<submission id>) so the browser's Back button returns to the
+ * list.
+ * @param {Object} options
+ * @param {Element} options.container element that receives the hub
+ * @param {() => Array<Object>} options.load reads the page's submissions
+ * @param {(entry: Object, detail: Element, refresh: () => void) => void} options.renderDetail
+ *   fills the detail view for one submission
+ * @param {string} options.emptyMessage shown when nothing was submitted
+ * @param {Array<Object>} [options.extraColumns] additional list columns
+ */
+function mountPlanHub({ container, load, renderDetail, emptyMessage, extraColumns = [] }) {
+  container.innerHTML = `
+    <div class="hub-library">${renderLibraryBar()}</div>
+    <div class="hub-empty"></div>
+    <div class="hub-toolbar"></div>
+    <div class="hub-list"></div>
+    <div class="hub-detail" style="display:none;"></div>
+  `;
+  const toolbar = container.querySelector('.hub-toolbar');
+  const list = container.querySelector('.hub-list');
+  const detail = container.querySelector('.hub-detail');
+  const library = container.querySelector('.hub-library');
+  const empty = container.querySelector('.hub-empty');
+  const exportSelectedBtn = library.querySelector('[data-library="export-selected"]');
+  const libraryStatus = library.querySelector('.library-status');
+  const selected = new Set();
+  let entries = load();
+
+  const readCriteria = () => {
+    const criteria = {};
+    toolbar.querySelectorAll('[data-filter]').forEach(el => { criteria[el.dataset.filter] = el.value; });
+    return criteria;
+  };
+  const showList = () => {
+    if (entries.length === 0) {
+      list.innerHTML = '';
+      return;
+    }
+    const sortKey = toolbar.querySelector('[data-sort]').value;
+    const groupKey = toolbar.querySelector('[data-group]').value;
+    list.innerHTML = renderGroupedPlanTables(sortPlans(filterPlans(entries, readCriteria()), sortKey), groupKey, extraColumns, selected);
+    list.querySelectorAll('[data-plan]').forEach(row => {
+      const open = () => { location.hash = `plan=${encodeURIComponent(row.dataset.plan)}`; };
+      row.addEventListener('click', (e) => {
+        if (!e.target.dataset.select) open();
+      });
+      row.addEventListener('keydown', (e) => { if (e.key === 'Enter') open(); });
+    });
+  };
+  const route = () => {
+    const match = location.hash.match(/^#plan=(.+)$/);
+    const entry = match && entries.find(e => e.id === decodeURIComponent(match[1]));
+    if (!entry) {
+      detail.style.display = 'none';
+      library.style.display = '';
+      toolbar.style.display = '';
+      list.style.display = '';
+      showList();
+      return;
+    }
+    library.style.display = 'none';
+    toolbar.style.display = 'none';
+    list.style.display = 'none';
+    detail.style.display = 'block';
+    detail.innerHTML = `<a href="#" class="back">${t('← Back to plan list')}</a>`;
+    const body = document.createElement('div');
+    detail.appendChild(body);
+    renderDetail(entry, body, () => {
+      entries = load();
+      route();
+    });
+  };
+
+  // Rebuild the toolbar and list, e.g. after plans were imported
+  const reload = () => {
+    entries = load();
+    empty.innerHTML = entries.length === 0 ? `<p>${t(emptyMessage)}</p>` : '';
+    toolbar.innerHTML = entries.length === 0 ? '' : renderHubToolbar(entries);
+    route();
+  };
+
+  const updateExportSelected = () => {
+    exportSelectedBtn.disabled = selected.size === 0;
+    exportSelectedBtn.textContent = selected.size ? t('Export selected ({count})', { count: selected.size }) : t('Export selected');
+  };
+
+  list.addEventListener('change', (e) => {
+    const id = e.target.dataset.select;
+    if (!id) return;
+    if (e.target.checked) {
+      selected.add(id);
+    } else {
+      selected.delete(id);
+    }
+    updateExportSelected();
+  });
+  library.addEventListener('click', (e) => {
+    const action = e.target.dataset.library;
+    if (action !== 'export-all' && action !== 'export-selected') return;
+    const archive = exportPlanLibrary(action === 'export-selected' ? { submissionIds: Array.from(selected) } : {});
+    downloadFile(JSON.stringify(archive, null, 2), libraryFileName(), 'application/json');
+    const plans = archive.submissions.length === 1 ? t('1 submitted plan') : t('{count} submitted plans', { count: archive.submissions.length });
+    const drafts = archive.drafts.length === 1 ? t('1 draft') : t('{count} drafts', { count: archive.drafts.length });
+    libraryStatus.textContent = t('Exported {plans} and {drafts}.', { plans, drafts });
+  });
+  library.querySelector('[data-library="import"]').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    file.text().then((text) => {
+      const { added, updated, unchanged } = importPlanLibrary(text);
+      libraryStatus.textContent = t('Imported: {added} new, {updated} updated, {unchanged} already up to date.', { added, updated, unchanged });
+      reload();
+    }).catch((err) => {
+      libraryStatus.textContent = t('Could not import this file: {message}', { message: err.message });
+    }).then(() => { e.target.value = ''; });
+  });
+  toolbar.addEventListener('input', showList);
+  toolbar.addEventListener('change', showList);
+  window.addEventListener('hashchange', route);
+  // Show plans from other machines once the library syncs, but leave an
+  // open plan alone so a comment being typed is not lost
+  window.addEventListener(STORAGE_SYNC_EVENT, () => {
+    if (detail.style.display === 'none') {
+      reload();
+    } else {
+      entries = load();
+    }
+  });
+  // Redraw the list, or the open plan, in the newly chosen language
+  window.addEventListener(LOCALE_CHANGE_EVENT, () => {
+    translatePage(library);
+    updateExportSelected();
+    reload();
+  });
+  translatePage(library);
+  reload();
+}
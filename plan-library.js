@@ -0,0 +1,213 @@
+/*
+ * Plan Library Backup
+ * Exports submitted plans, drafts, teacher profiles and campus plan
+ * templates to a single JSON archive and merges such an archive back
+ * into the library.
+ * Archives carry a schema version so older backups keep importing as
+ * the format grows; teachers use them to hand plans to administrators
+ * and to move between devices.
+ */
+
+(function (factory) {
+  if (typeof module !== 'undefined') {
+    module.exports = factory(require);
+  } else {
+    Object.assign(window, factory(() => window));
+  }
+}((require) => {
+  const { PLAN_SCHEMA_VERSION, migratePlanDocument, normalizeStoredPlan } = require('./plan-model.js');
+  const { planStorage } = require('./plan-storage.js');
+  const { mergeSubmissions } = require('./submission-merge.js');
+  const { getDraft, listDrafts, listSubmissions, readStored } = require('./plan-store.js');
+  const { listTeachers, saveTeacher } = require('./teachers.js');
+
+  const LIBRARY_FORMAT = 'lesson-plan-library';
+  const LIBRARY_SCHEMA_VERSION = 1;
+
+  /**
+   * Build a library archive.
+   * @param {Object} [selection]
+   * @param {string[]} [selection.submissionIds] export only these
+   *   submissions (and the drafts of their plans); all when omitted
+   * @returns {Object} the archive, ready for JSON.stringify
+   */
+  function exportPlanLibrary({ submissionIds } = {}) {
+    let submissions = listSubmissions();
+    let drafts = listDrafts();
+    if (submissionIds) {
+      submissions = submissions.filter(entry => submissionIds.includes(entry.id));
+      const planIds = submissions.map(entry => entry.planId);
+      drafts = drafts.filter(draft => planIds.includes(draft.id));
+    } else {
+      // A plan opened in the internalization tab before drafts existed
+      const internalizing = readStored('currentInternalizationPlan', null);
+      if (internalizing) {
+        const plan = normalizeStoredPlan(internalizing).plan;
+        if (!drafts.some(draft => draft.id === plan.id)) {
+          drafts.push({ id: plan.id, updatedAt: plan.updatedAt, plan, versions: [] });
+        }
+      }
+    }
+    const authorIds = submissions.concat(drafts).map(item => item.plan.author && item.plan.author.id).filter(Boolean);
+    return {
+      format: LIBRARY_FORMAT,
+      schemaVersion: LIBRARY_SCHEMA_VERSION,
+      planSchemaVersion: PLAN_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      submissions,
+      drafts,
+      teachers: listTeachers().filter(teacher => !submissionIds || authorIds.includes(teacher.id)),
+      templates: submissionIds ? [] : planStorage().list('templates'),
+    };
+  }
+
+  /**
+   * Check that a parsed file is a library archive this version can read.
+   * @throws {Error} describing the problem
+   */
+  function validatePlanLibrary(archive) {
+    if (!archive || archive.format !== LIBRARY_FORMAT) {
+      throw new Error('This file is not a lesson plan library backup.');
+    }
+    if (!(archive.schemaVersion <= LIBRARY_SCHEMA_VERSION)) {
+      throw new Error(`This backup was made by a newer version of the app (library schema ${archive.schemaVersion}).`);
+    }
+    if (!Array.isArray(archive.submissions) || !Array.isArray(archive.drafts || [])) {
+      throw new Error('The backup is missing its list of plans.');
+    }
+    if (!Array.isArray(archive.teachers || []) || !Array.isArray(archive.templates || [])) {
+      throw new Error('The backup\'s teacher profiles or plan templates are not lists.');
+    }
+    return archive;
+  }
+
+  /**
+   * Migrate a plan from an archive, checking it is a plan document.
+   * @throws {Error} when it is not
+   */
+  function readArchivedPlan(plan) {
+    if (!plan || typeof plan !== 'object') {
+      throw new Error('it has no lesson plan');
+    }
+    const migrated = migratePlanDocument(plan);
+    if (typeof migrated.id !== 'string' || !migrated.id || !Array.isArray(migrated.sections)) {
+      throw new Error('its lesson plan has no ID or sections');
+    }
+    return migrated;
+  }
+
+  /**
+   * Read every entry of an archive before anything is written, so one
+   * damaged entry stops the import instead of leaving it half done.
+   * @returns {{submissions: Array, drafts: Array, teachers: Array, templates: Array}}
+   *   the entries, migrated to the current plan schema
+   * @throws {Error} naming the first entry that cannot be read
+   */
+  function readPlanLibrary(archive) {
+    const readAll = (items, label, read) => items.map((item, index) => {
+      try {
+        if (!item || typeof item !== 'object') throw new Error('it is empty');
+        return read(item);
+      } catch (err) {
+        throw new Error(`${label} ${index + 1} in the backup cannot be read: ${err.message}.`);
+      }
+    });
+    const needsId = (item) => {
+      if (typeof item.id !== 'string' || !item.id) throw new Error('it has no ID');
+    };
+    return {
+      submissions: readAll(archive.submissions, 'Submitted plan', (entry) => {
+        const normalized = normalizeStoredPlan(entry);
+        return Object.assign(normalized, { plan: readArchivedPlan(normalized.plan) });
+      }),
+      drafts: readAll(archive.drafts || [], 'Draft', (draft) => {
+        if (!Array.isArray(draft.versions || [])) throw new Error('its versions are not a list');
+        const plan = readArchivedPlan(draft.plan);
+        const versions = (draft.versions || []).map(v => Object.assign({}, v, { plan: readArchivedPlan(v && v.plan) }));
+        return Object.assign({}, draft, { id: plan.id, plan, versions });
+      }),
+      teachers: readAll(archive.teachers || [], 'Teacher profile', (teacher) => {
+        needsId(teacher);
+        if (typeof teacher.name !== 'string') throw new Error('it has no name');
+        return teacher;
+      }),
+      templates: readAll(archive.templates || [], 'Plan template', (template) => {
+        needsId(template);
+        if (!Array.isArray(template.sections)) throw new Error('it has no sections');
+        return template;
+      }),
+    };
+  }
+
+  /**
+   * Merge a library archive into this browser's library. Submissions are
+   * matched by submission ID and drafts by plan ID; when both sides have
+   * a copy, the more recently changed one wins, so importing the same
+   * backup twice changes nothing. Nothing is written unless every entry
+   * of the archive can be read.
+   * @param {string} text contents of an archive file
+   * @returns {{added: number, updated: number, unchanged: number}} counts of submissions and drafts
+   */
+  function importPlanLibrary(text) {
+    const archive = readPlanLibrary(validatePlanLibrary(JSON.parse(text)));
+    const result = { added: 0, updated: 0, unchanged: 0 };
+    const tally = (existing, merged) => {
+      if (!existing) result.added += 1;
+      else if (JSON.stringify(existing) === JSON.stringify(merged)) result.unchanged += 1;
+      else result.updated += 1;
+    };
+
+    const existing = {};
+    const byId = {};
+    listSubmissions().forEach(entry => {
+      existing[entry.id] = JSON.stringify(entry);
+      byId[entry.id] = entry;
+    });
+    archive.submissions.forEach(entry => {
+      const merged = mergeSubmissions(byId[entry.id], entry);
+      tally(byId[entry.id], merged);
+      byId[entry.id] = merged;
+    });
+    // Relink revisions that arrived from different backups
+    Object.keys(byId).forEach(id => {
+      const original = byId[id].revisionOf && byId[byId[id].revisionOf];
+      if (original) original.supersededBy = id;
+    });
+    Object.keys(byId)
+      .filter(id => existing[id] !== JSON.stringify(byId[id]))
+      .forEach(id => planStorage().put('submissions', byId[id]));
+
+    archive.drafts.forEach(draft => {
+      const current = getDraft(draft.id);
+      if (current && current.updatedAt >= draft.updatedAt) {
+        tally(current, current);
+        return;
+      }
+      tally(current, draft);
+      planStorage().put('drafts', draft);
+    });
+
+    const known = listTeachers().map(teacher => teacher.id);
+    archive.teachers.filter(teacher => !known.includes(teacher.id)).forEach(saveTeacher);
+    // Campus templates follow the same rule as drafts: the newer copy wins
+    archive.templates.forEach(template => {
+      const current = planStorage().get('templates', template.id);
+      if (!current || current.updatedAt < template.updatedAt) planStorage().put('templates', template);
+    });
+    return result;
+  }
+
+  /**
+   * File name for a library archive, e.g. lesson-plans-2025-01-31.json.
+   */
+  function libraryFileName() {
+    return `lesson-plans-${new Date().toISOString().slice(0, 10)}.json`;
+  }
+
+  return {
+    exportPlanLibrary,
+    validatePlanLibrary,
+    importPlanLibrary,
+    libraryFileName,
+  };
+}));
@@ -0,0 +1,559 @@
+/*
+ * Lesson Plan Document Model
+ * A lesson plan is stored as a versioned JSON document rather than as
+ * raw markup. The document records the lesson metadata, the filled-in
+ * blanks (teacher, lesson date, duration, exit ticket, ...), success
+ * criteria, checklist states, links and an ordered list of sections
+ * made of typed content blocks. HTML is always rendered from the
+ * document, and edits made in the rendered plan are read back into it.
+ * Sections and blocks may carry `translations` of their text keyed by
+ * locale so a plan can be shown in another language (see i18n.js).
+ * Headings, labels, fields and metadata are plain text and are escaped
+ * when rendered; `html` blocks and list items are markup, so whoever
+ * builds them escapes the user input they contain.
+ */
+
+(function (factory) {
+  if (typeof module !== 'undefined') {
+    module.exports = factory(require);
+  } else {
+    Object.assign(window, factory(() => window));
+  }
+}((require) => {
+  const { translateText } = require('./i18n.js');
+
+  // Bump when the document shape changes and add a step to migratePlanDocument().
+  const PLAN_SCHEMA_VERSION = 10;
+
+  // Blank fields every plan carries; values are filled in by the teacher
+  const PLAN_FIELDS = {
+    teacher: 'Teacher',
+    lessonDate: 'Lesson Date',
+    duration: 'Lesson Duration',
+    exitTicket: 'Exit Ticket',
+    otherMaterials: 'Other Materials',
+    paxMoreOf: 'PAX Vision (More of)',
+    paxLessOf: 'PAX Vision (Less of)',
+    reflectionNotes: 'Reflection Notes',
+  };
+
+  /**
+   * Create a reasonably unique identifier for a plan or other record.
+   * @param {string} prefix
+   */
+  function createPlanId(prefix = 'plan') {
+    const random = Math.random().toString(36).slice(2, 8);
+    return `${prefix}-${Date.now().toString(36)}-${random}`;
+  }
+
+  /**
+   * Create an empty plan document. Sections are added by generatePlan().
+   * @param {Object} meta grade, subject, program, strand, unit, lesson, standard
+   */
+  function createPlanDocument(meta) {
+    const now = new Date().toISOString();
+    const fields = {};
+    Object.keys(PLAN_FIELDS).forEach(key => { fields[key] = ''; });
+    return {
+      schemaVersion: PLAN_SCHEMA_VERSION,
+      id: createPlanId(),
+      createdAt: now,
+      updatedAt: now,
+      meta: {
+        grade: meta.grade || '',
+        subject: meta.subject || '',
+        program: meta.program || '',
+        // Program strand, e.g. Amplify Skills or Knowledge (see program-modules.js)
+        strand: meta.strand || '',
+        unit: meta.unit || '',
+        lesson: meta.lesson || '',
+        standard: meta.standard || '',
+      },
+      // Teacher profile that wrote the plan (see teachers.js)
+      author: null,
+      // Curriculum catalog lesson the plan was built from (see curriculum.js)
+      curriculum: null,
+      // Validated TEKS student expectations (see teks.js)
+      standards: [],
+      // Place in a multi-lesson sequence and scheduled date (see planner.js)
+      sequence: null,
+      // Plan template the sections were built from (see plan-templates.js)
+      template: null,
+      // Internalization lesson type and checked-off steps with notes (see internalization.js)
+      internalization: { lessonType: '', steps: {} },
+      // Language of the student-facing text: 'en', 'es' or 'bilingual' (see i18n.js)
+      language: 'en',
+      frame: { objective: '', product: '' },
+      fields,
+      successCriteria: [],
+      sections: [],
+      links: [],
+    };
+  }
+
+  /**
+   * Deep copy a plan document so callers never mutate a stored revision.
+   */
+  function clonePlanDocument(doc) {
+    return JSON.parse(JSON.stringify(doc));
+  }
+
+  /**
+   * Bring an older plan document up to the current schema version.
+   */
+  function migratePlanDocument(doc) {
+    const migrated = clonePlanDocument(doc);
+    if (!migrated.schemaVersion) {
+      migrated.schemaVersion = 1;
+    }
+    if (migrated.schemaVersion < 2) {
+      // Version 2 records the plan's author
+      migrated.author = null;
+      migrated.schemaVersion = 2;
+    }
+    if (migrated.schemaVersion < 3) {
+      // Version 3 records the curriculum catalog lesson
+      migrated.curriculum = null;
+      migrated.schemaVersion = 3;
+    }
+    if (migrated.schemaVersion < 4) {
+      // Version 4 records validated TEKS codes with their descriptions
+      migrated.standards = [];
+      migrated.schemaVersion = 4;
+    }
+    if (migrated.schemaVersion < 5) {
+      // Version 5 records the lesson sequence a plan belongs to
+      migrated.sequence = null;
+      migrated.schemaVersion = 5;
+    }
+    if (migrated.schemaVersion < 6) {
+      // Version 6 records the program strand the plan was built from
+      migrated.meta.strand = migrated.meta.strand || '';
+      migrated.schemaVersion = 6;
+    }
+    if (migrated.schemaVersion < 7) {
+      // Version 7 records the plan template; older plans used the T‑TESS layout
+      migrated.template = { id: 'ttess-distinguished', name: 'T‑TESS Distinguished' };
+      migrated.schemaVersion = 7;
+    }
+    if (migrated.schemaVersion < 8) {
+      // Version 8 records the teacher's internalization checklist
+      migrated.internalization = { lessonType: '', steps: {} };
+      migrated.schemaVersion = 8;
+    }
+    if (migrated.schemaVersion < 9) {
+      // Version 9 records the plan's language; older plans are in English
+      migrated.language = 'en';
+      migrated.schemaVersion = 9;
+    }
+    if (migrated.schemaVersion < 10) {
+      // Version 10 keeps a procedure step's minutes on its heading; older
+      // plans only wrote them into the text, e.g. "A. Opening Routine (3–5 min)"
+      migrated.sections.filter(section => section.id === 'procedures').forEach(section => {
+        section.blocks.filter(block => block.type === 'subheading').forEach(block => {
+          const match = String(block.text).match(/\((\d+)\s*(?:[–-]\s*(\d+))?\s*min\)$/);
+          block.minutes = match ? { min: Number(match[1]), max: Number(match[2] || match[1]) } : null;
+        });
+      });
+      migrated.schemaVersion = 10;
+    }
+    migrated.fields = Object.assign(createPlanDocument({}).fields, migrated.fields);
+    migrated.links = migrated.links || [];
+    return migrated;
+  }
+
+  /**
+   * Normalize a stored submission. Entries saved
+   * before plans were structured only carry an `html` string; they are
+   * wrapped in a document with a single raw HTML section so every caller
+   * can work with documents.
+   * @param {Object} entry stored plan entry
+   * @returns {{ id: string, planId: string, revision: number, status: string, submittedAt: string, plan: Object, comments: Array }}
+   */
+  function normalizeStoredPlan(entry) {
+    if (entry.plan) {
+      return withReviewDefaults(Object.assign({}, entry, { plan: migratePlanDocument(entry.plan) }));
+    }
+    const doc = createPlanDocument(entry);
+    // Derive the ID from the timestamp so both hub lists agree on it
+    doc.id = entry.id || `plan-legacy-${Date.parse(entry.timestamp || 0).toString(36)}`;
+    doc.createdAt = entry.timestamp || doc.createdAt;
+    doc.updatedAt = doc.createdAt;
+    doc.sections = [{ id: 'legacy', heading: '', blocks: [{ type: 'html', html: entry.html || '' }] }];
+    return withReviewDefaults({ submittedAt: entry.timestamp || doc.createdAt, plan: doc });
+  }
+
+  /**
+   * Fill in the review fields for entries submitted before plans could be
+   * reviewed. Submission IDs combine the plan ID and revision number.
+   */
+  function withReviewDefaults(entry) {
+    const revision = entry.revision || 1;
+    return Object.assign({
+      id: `${entry.plan.id}-r${revision}`,
+      planId: entry.plan.id,
+      revision,
+      revisionOf: null,
+      supersededBy: null,
+      status: 'submitted',
+      reviewedAt: null,
+      comments: [],
+      // Post-lesson exit-ticket results and reflection (see lesson-results.js)
+      results: null,
+      // T‑TESS walkthroughs and observations (see observations.js)
+      observations: [],
+    }, entry);
+  }
+
+  /**
+   * Format the Unit/Lesson pair the way the plan displays it (e.g. "2/5").
+   */
+  function formatUnitLesson(meta) {
+    const { unit, lesson } = meta;
+    return unit || lesson ? `${unit || ''}${unit && lesson ? '/' : ''}${lesson || ''}` : '';
+  }
+
+  /**
+   * The locale a plan's own text is written in: Spanish plans in Spanish,
+   * English and bilingual plans in English.
+   */
+  function planLocale(doc) {
+    return doc.language === 'es' ? 'es' : 'en';
+  }
+
+  /**
+   * Translate a label of the plan (a row or field label, an overview
+   * heading) when the localization strings (i18n.js) are loaded, filling
+   * in its {name} placeholders either way.
+   */
+  function planText(text, locale, params = {}) {
+    if (typeof translateText === 'function') return translateText(text, locale, params);
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  }
+
+  /**
+   * A section's or block's text in a locale: its translation when it has
+   * one, otherwise the text as written.
+   */
+  function localizedText(item, key, locale) {
+    return item.translations && item.translations[locale] !== undefined ? item.translations[locale] : item[key];
+  }
+
+  /**
+   * Render a plan document to HTML. Editable regions carry data-section,
+   * data-block, data-field and data-check attributes so readPlanEdits()
+   * can map the rendered markup back to the document. Pass another locale
+   * to show the plan in that language, e.g. in the hubs; only a plan
+   * shown in its own locale should be read back with readPlanEdits().
+   * @param {Object} doc plan document
+   * @param {{locale?: string}} [options] the plan's own locale by default
+   * @returns {string}
+   */
+  function renderPlan(doc, { locale = planLocale(doc) } = {}) {
+    const { grade, subject, program, strand, standard } = doc.meta;
+    const unitLessonDisplay = formatUnitLesson(doc.meta);
+    const label = text => escapeHtml(planText(text, locale));
+    const overview = doc.sections.some(section => section.id === 'legacy') ? '' : `
+      <h2>${label('Overview')}</h2>
+      <p><strong>${label('Grade:')}</strong> ${escapeHtml(grade)} | <strong>${label('Subject:')}</strong> ${label(subject)} | <strong>${label('Program:')}</strong> ${escapeHtml(program)}${strand ? ` ${escapeHtml(strand)}` : ''} | <strong>${label('Unit/Lesson:')}</strong> ${escapeHtml(unitLessonDisplay || '-')}${standard ? ` | <strong>${label('Standard/Concept:')}</strong> ${escapeHtml(standard)}` : ''}</p>
+    `;
+    const sections = doc.sections.map(section => `
+      <section data-section="${escapeHtml(section.id)}">
+        ${section.heading ? `<h2>${escapeHtml(localizedText(section, 'heading', locale))}</h2>` : ''}
+        ${section.blocks.map((block, i) => renderBlock(doc, block, String(i), locale)).join('')}
+      </section>
+    `).join('');
+    return overview + sections;
+  }
+
+  /**
+   * Render a single content block.
+   * @param {Object} doc plan document (for fields and success criteria)
+   * @param {Object} block
+   * @param {string} path position of the block inside its section
+   * @param {string} [locale] language to show the block in
+   */
+  function renderBlock(doc, block, path, locale = planLocale(doc)) {
+    const label = text => escapeHtml(planText(text, locale));
+    switch (block.type) {
+      case 'subheading':
+        return `<h3 data-block="${path}">${escapeHtml(localizedText(block, 'text', locale))}</h3>`;
+      case 'text':
+        return `<p data-block="${path}">${localizedText(block, 'html', locale)}</p>`;
+      case 'list':
+        return `<ul data-block="${path}">${localizedText(block, 'items', locale).map(item => `<li>${item}</li>`).join('')}</ul>`;
+      case 'criteria':
+        return `<ul data-block="${path}">${doc.successCriteria.map(c => `<li>${planText(c, locale)}</li>`).join('')}</ul>`;
+      case 'checklist':
+        if (block.inline) {
+          return block.items.map(item => `
+          <label><input type="checkbox" data-check="${escapeHtml(item.id)}"${item.checked ? ' checked' : ''}/> ${label(item.label)}</label>`).join('');
+        }
+        return `<ul style="list-style-type:none;">${block.items.map(item => `<li><input type="checkbox" data-check="${escapeHtml(item.id)}"${item.checked ? ' checked' : ''}/> ${label(item.label)}</li>`).join('')}</ul>`;
+      case 'field': {
+        const fieldLabel = block.inline ? `${label(block.label)}: ` : `<strong>${label(block.label)}:</strong> `;
+        const field = renderField(doc, block.key, block.blank);
+        return block.inline ? `<span>${block.label ? fieldLabel : ''}${field}</span>` : `<p>${fieldLabel}${field}</p>`;
+      }
+      case 'rows':
+        return `
+      <table style="width:100%; border-collapse: collapse;">
+        ${block.rows.map((row, r) => `<tr><td style="font-weight:bold;${r === 0 ? ' width:30%;' : ''}">${label(row.label)}</td>${renderRowValue(doc, row, `${path}.${r}`, locale)}</tr>`).join('\n      ')}
+      </table>`;
+      case 'grid':
+        return `
+      <table data-block="${path}" style="width:100%; border-collapse: collapse;">
+        <tr>${block.columns.map((col, c) => `<th style="text-align:left;${c === 0 ? ' width:30%;' : ''}">${label(col)}</th>`).join('')}</tr>
+        ${block.rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('\n      ')}
+      </table>`;
+      case 'html':
+        return `<div data-block="${path}">${block.html}</div>`;
+      case 'groups':
+        if (block.layout === 'list') {
+          return `<ul>${block.groups.map(group => `<li><strong>${escapeHtml(group.name)}</strong> (${escapeHtml(groupStudentsText(group))})${group.skills ? `: ${escapeHtml(group.skills)}` : ''}</li>`).join('')}</ul>`;
+        }
+        return `
+      <table style="width:100%; border-collapse: collapse;">
+        <tr><th style="text-align:left; width:30%;">${label('Group')}</th><th style="text-align:left;">${label('Students')}</th><th style="text-align:left;">${label('Targeted Skills')}</th></tr>
+        ${block.groups.map(group => `<tr><td>${escapeHtml(group.name)}</td><td>${escapeHtml(groupStudentsText(group))}</td><td>${escapeHtml(group.skills || '-')}</td></tr>`).join('\n      ')}
+      </table>`;
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * The students of a small group as shown in a plan. Names come from the
+   * class roster on this device (class-roster.js); anywhere else the plan
+   * shows only how many students the group has.
+   */
+  function groupStudentsText(group) {
+    const names = typeof rosterStudentNames === 'function' ? rosterStudentNames(group.studentIds) : [];
+    if (names.length) return names.join(', ');
+    return `${group.studentIds.length} student${group.studentIds.length === 1 ? '' : 's'}`;
+  }
+
+  /**
+   * Render the value cell of a label/value table row.
+   */
+  function renderRowValue(doc, row, path, locale = planLocale(doc)) {
+    if (row.field) {
+      return `<td>${renderField(doc, row.field, row.blank)}</td>`;
+    }
+    if (row.blocks) {
+      return `<td>${row.blocks.map((block, i) => renderBlock(doc, block, `${path}.${i}`, locale)).join(' | ')}</td>`;
+    }
+    return `<td data-block="${path}">${localizedText(row, 'html', locale)}</td>`;
+  }
+
+  /**
+   * Render a fill-in blank. Empty fields show an underscore line.
+   */
+  function renderField(doc, key, blank = '__________________________') {
+    const value = doc.fields[key];
+    return `<span class="plan-field" data-field="${key}">${escapeHtml(value || blank)}</span>`;
+  }
+
+  /**
+   * Find the block addressed by a data-block path inside a section.
+   * Paths are dot separated: "3" is the fourth block, "0.2" is the third
+   * row of a rows block and "0.2.1" a block nested inside that row.
+   */
+  function resolveBlock(section, path) {
+    const parts = path.split('.').map(Number);
+    let block = section.blocks[parts[0]];
+    for (let i = 1; block && i < parts.length; i += 2) {
+      const row = block.rows && block.rows[parts[i]];
+      if (!row) return null;
+      if (i + 1 >= parts.length) return { row };
+      block = row.blocks && row.blocks[parts[i + 1]];
+    }
+    return block ? { block } : null;
+  }
+
+  /**
+   * Read edits made in a rendered plan back into its document. Returns a
+   * new document; the original is left untouched.
+   * @param {Object} doc the document the markup was rendered from
+   * @param {Element} root element holding the rendered plan
+   * @returns {Object}
+   */
+  function readPlanEdits(doc, root) {
+    const updated = clonePlanDocument(doc);
+    root.querySelectorAll('[data-field]').forEach(el => {
+      const value = el.textContent.trim();
+      updated.fields[el.dataset.field] = /^_*$/.test(value) ? '' : value;
+    });
+    const checks = {};
+    root.querySelectorAll('[data-check]').forEach(el => { checks[el.dataset.check] = el.checked; });
+    updated.sections.forEach(section => {
+      const sectionEl = Array.from(root.querySelectorAll('[data-section]')).find(el => el.dataset.section === section.id);
+      if (!sectionEl) return;
+      sectionEl.querySelectorAll('[data-block]').forEach(el => {
+        const target = resolveBlock(section, el.dataset.block);
+        if (!target) return;
+        // Edited text no longer matches its translations, so they are dropped
+        const edit = (item, key, value) => {
+          if (JSON.stringify(item[key]) !== JSON.stringify(value)) delete item.translations;
+          item[key] = value;
+        };
+        if (target.row) {
+          edit(target.row, 'html', el.innerHTML.trim());
+          return;
+        }
+        const { block } = target;
+        if (block.type === 'subheading') {
+          edit(block, 'text', el.textContent.trim());
+        } else if (block.type === 'text' || block.type === 'html') {
+          edit(block, 'html', el.innerHTML.trim());
+        } else if (block.type === 'list') {
+          edit(block, 'items', Array.from(el.querySelectorAll('li')).map(li => li.innerHTML.trim()).filter(Boolean));
+        } else if (block.type === 'criteria') {
+          // Criteria are stored in English and shown translated; one left
+          // as shown keeps its stored text
+          const shown = doc.successCriteria.map((criterion) => {
+            const li = el.ownerDocument.createElement('li');
+            li.innerHTML = planText(criterion, planLocale(doc));
+            return li.innerHTML.trim();
+          });
+          updated.successCriteria = Array.from(el.querySelectorAll('li')).map(li => li.innerHTML.trim()).filter(Boolean)
+            .map(text => (shown.includes(text) ? doc.successCriteria[shown.indexOf(text)] : text));
+        } else if (block.type === 'grid') {
+          block.rows = Array.from(el.querySelectorAll('tr')).slice(1)
+            .map(tr => Array.from(tr.children).map(td => td.innerHTML.trim()));
+        }
+      });
+    });
+    forEachChecklistItem(updated, item => {
+      if (item.id in checks) item.checked = checks[item.id];
+    });
+    updated.links = Array.from(root.querySelectorAll('a[href]')).map(a => {
+      const sectionEl = a.closest('[data-section]');
+      return {
+        sectionId: sectionEl ? sectionEl.dataset.section : '',
+        text: a.textContent.trim(),
+        href: a.getAttribute('href'),
+      };
+    });
+    updated.updatedAt = new Date().toISOString();
+    return updated;
+  }
+
+  /**
+   * Visit every checklist item in a document, including those nested in
+   * table rows.
+   * @param {Object} doc
+   * @param {(item: Object, section: Object) => void} callback
+   */
+  function forEachChecklistItem(doc, callback) {
+    const visit = (blocks, section) => blocks.forEach(block => {
+      if (block.type === 'checklist') block.items.forEach(item => callback(item, section));
+      if (block.type === 'rows') block.rows.forEach(row => row.blocks && visit(row.blocks, section));
+    });
+    doc.sections.forEach(section => visit(section.blocks, section));
+  }
+
+  /**
+   * Escape user-entered text before placing it in HTML.
+   */
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Strip markup from a stored HTML fragment for comparisons and summaries.
+   */
+  function plainText(html) {
+    return String(html || '').replace(/<[^>]*>/g, '').replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&').trim();
+  }
+
+  /**
+   * Flatten the free-text content of a section into lines of plain text.
+   * Fields and checklists are compared separately by diffPlanDocuments().
+   */
+  function sectionLines(section) {
+    const lines = [];
+    const visit = blocks => blocks.forEach(block => {
+      if (block.type === 'subheading') lines.push(block.text);
+      if (block.type === 'text' || block.type === 'html') lines.push(plainText(block.html));
+      if (block.type === 'list') block.items.forEach(item => lines.push(plainText(item)));
+      if (block.type === 'grid') block.rows.forEach(row => lines.push(row.map(plainText).join(' — ')));
+      if (block.type === 'groups') block.groups.forEach(group => lines.push(`${group.name} (${group.studentIds.length}): ${group.skills}`));
+      if (block.type === 'rows') {
+        block.rows.forEach(row => {
+          if (row.html !== undefined) lines.push(`${row.label}: ${plainText(row.html)}`);
+          if (row.blocks) visit(row.blocks);
+        });
+      }
+    });
+    visit(section.blocks);
+    return lines.filter(Boolean);
+  }
+
+  /**
+   * Compare two revisions of a plan. Each change names the part of the
+   * plan that differs and lists the lines removed and added.
+   * @param {Object} before older plan document
+   * @param {Object} after newer plan document
+   * @returns {Array<{label: string, removed: string[], added: string[]}>}
+   */
+  function diffPlanDocuments(before, after) {
+    const changes = [];
+    const compare = (label, oldLines, newLines) => {
+      const removed = oldLines.filter(line => !newLines.includes(line));
+      const added = newLines.filter(line => !oldLines.includes(line));
+      if (removed.length || added.length) changes.push({ label, removed, added });
+    };
+    const single = value => (value ? [String(value)] : []);
+
+    Object.keys(after.meta).forEach(key => {
+      compare(key.charAt(0).toUpperCase() + key.slice(1), single(before.meta[key]), single(after.meta[key]));
+    });
+    Object.keys(PLAN_FIELDS).forEach(key => {
+      compare(PLAN_FIELDS[key], single(before.fields[key]), single(after.fields[key]));
+    });
+    compare('Success Criteria', before.successCriteria.map(plainText), after.successCriteria.map(plainText));
+
+    const checkedBefore = [];
+    const checkedAfter = [];
+    forEachChecklistItem(before, item => { if (item.checked) checkedBefore.push(item.label); });
+    forEachChecklistItem(after, item => { if (item.checked) checkedAfter.push(item.label); });
+    compare('Checked Items', checkedBefore, checkedAfter);
+
+    after.sections.forEach(section => {
+      const previous = before.sections.find(s => s.id === section.id);
+      compare(section.heading || section.id, previous ? sectionLines(previous) : [], sectionLines(section));
+    });
+    before.sections.filter(section => !after.sections.some(s => s.id === section.id)).forEach(section => {
+      compare(section.heading || section.id, sectionLines(section), []);
+    });
+
+    const linkLine = link => `${link.text} → ${link.href}`;
+    compare('Links', before.links.map(linkLine), after.links.map(linkLine));
+    return changes;
+  }
+
+  return {
+    PLAN_SCHEMA_VERSION,
+    createPlanId,
+    createPlanDocument,
+    clonePlanDocument,
+    migratePlanDocument,
+    normalizeStoredPlan,
+    formatUnitLesson,
+    planLocale,
+    planText,
+    localizedText,
+    renderPlan,
+    groupStudentsText,
+    readPlanEdits,
+    escapeHtml,
+    plainText,
+    sectionLines,
+    diffPlanDocuments,
+  };
+}));
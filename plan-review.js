@@ -0,0 +1,60 @@
+/*
+ * Plan Review
+ * Display helpers shared by the teacher page and the administrator hub
+ * for the review workflow: status badges, revision labels and review
+ * comments shown next to the plan section they refer to.
+ */
+
+/**
+ * Render the review status of a submission as a badge.
+ */
+function renderStatusBadge(entry) {
+  return `<span class="status-badge status-${entry.status}">${t(SUBMISSION_STATUS[entry.status] || entry.status)}</span>`;
+}
+
+/**
+ * Describe where a submission sits in its revision chain.
+ */
+function describeRevision(entry) {
+  let text = t('Revision {n}', { n: entry.revision });
+  if (entry.revisionOf) {
+    text += t(' (revises revision {n})', { n: entry.revision - 1 });
+  }
+  if (entry.supersededBy) {
+    text += t(' — superseded by a newer revision');
+  }
+  return text;
+}
+
+/**
+ * Options for choosing the plan section a comment refers to, with
+ * headings in the language of the page.
+ * @param {Object} plan plan document
+ */
+function renderSectionOptions(plan) {
+  return `<option value="">${t('Whole plan')}</option>` + plan.sections
+    .filter(section => section.heading)
+    .map(section => `<option value="${escapeHtml(section.id)}">${escapeHtml(localizedText(section, 'heading', getLocale()))}</option>`)
+    .join('');
+}
+
+/**
+ * Show review comments inside a rendered plan. Comments anchored to a
+ * section are placed at the end of that section; the rest go on top.
+ * @param {Element} content element holding renderPlan() output
+ * @param {Object} entry submission with comments
+ */
+function attachReviewComments(content, entry) {
+  content.querySelectorAll('.review-comment').forEach(el => el.remove());
+  entry.comments.forEach(comment => {
+    const note = document.createElement('div');
+    note.className = 'review-comment';
+    note.innerHTML = `<strong>${escapeHtml(comment.author)}</strong> <span class="comment-date">${new Date(comment.createdAt).toLocaleString()}</span><p>${escapeHtml(comment.text)}</p>`;
+    const section = comment.sectionId && Array.from(content.querySelectorAll('[data-section]')).find(el => el.dataset.section === comment.sectionId);
+    if (section) {
+      section.appendChild(note);
+    } else {
+      content.insertBefore(note, content.firstChild);
+    }
+  });
+}
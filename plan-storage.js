@@ -0,0 +1,292 @@
+/*
+ * Plan Storage
+ * One interface for where the plan library lives: submitted plans,
+ * drafts, teacher profiles and plan templates. The local backend keeps them in this
+ * browser's localStorage. The HTTP backend shares them through the sync
+ * server (server/server.js), so teachers and administrators on
+ * different machines see the same hub. Both backends read synchronously
+ * from a local copy; the HTTP backend writes through to the server and
+ * refreshes its copy when a page loads or regains focus.
+ *
+ * Every backend provides:
+ *   list(collection)              all items of 'submissions', 'drafts', 'teachers' or 'templates'
+ *   get(collection, id)           one item, or null
+ *   put(collection, item)         create or replace an item by its id
+ *   remove(collection, id)
+ *   addComment(submissionId, comment)
+ *   ready()                       resolves once the local copy is current
+ */
+
+(function (factory) {
+  if (typeof module !== 'undefined') {
+    module.exports = factory(require);
+  } else {
+    Object.assign(window, factory(() => window));
+  }
+}((require) => {
+  const { normalizeStoredPlan } = require('./plan-model.js');
+  const { mergeSubmissions, newerCopy } = require('./submission-merge.js');
+
+  // localStorage keys holding each collection's local copy
+  const STORAGE_KEYS = {
+    submissions: 'planSubmissions',
+    drafts: 'planDrafts',
+    teachers: 'teacherProfiles',
+    templates: 'planTemplates',
+  };
+  // Submissions used to be stored twice, once for each hub
+  const LEGACY_SUBMISSION_KEYS = ['teacherPlans', 'adminPlans'];
+  // Sync server resource for each collection
+  const STORAGE_PATHS = {
+    submissions: 'plans',
+    drafts: 'drafts',
+    teachers: 'users',
+    templates: 'templates',
+  };
+  // Changes waiting to be sent to the sync server
+  const SYNC_QUEUE_KEY = 'planSyncQueue';
+  // Fired on window after the local copy was refreshed from the server
+  const STORAGE_SYNC_EVENT = 'planstoragesync';
+
+  /**
+   * Combine the local and the sync server's copy of an item (see
+   * submission-merge.js); the server's copy wins a tie.
+   */
+  function mergeStoredCopies(collection, local, server) {
+    if (!local || !server) return local || server;
+    if (collection === 'submissions') {
+      return mergeSubmissions(normalizeStoredPlan(server), normalizeStoredPlan(local));
+    }
+    return newerCopy(server, local);
+  }
+
+  /**
+   * Storage backend that keeps the library in localStorage.
+   * @param {Storage} [store] defaults to window.localStorage
+   */
+  function createLocalStorageBackend(store = localStorage) {
+    const read = (collection) => {
+      const stored = store.getItem(STORAGE_KEYS[collection]);
+      const value = stored ? JSON.parse(stored) : [];
+      // Drafts are kept as an object keyed by plan ID
+      return Array.isArray(value) ? value : Object.keys(value).map(id => value[id]);
+    };
+    const write = (collection, items) => {
+      const value = collection === 'drafts'
+        ? items.reduce((drafts, draft) => Object.assign(drafts, { [draft.id]: draft }), {})
+        : items;
+      store.setItem(STORAGE_KEYS[collection], JSON.stringify(value));
+    };
+
+    // Fold the two per-hub lists of older versions into one
+    const legacy = LEGACY_SUBMISSION_KEYS.filter(key => store.getItem(key) !== null);
+    if (legacy.length) {
+      const byId = {};
+      read('submissions').concat(...legacy.map(key => JSON.parse(store.getItem(key))))
+        .map(normalizeStoredPlan)
+        .forEach(entry => { byId[entry.id] = mergeSubmissions(byId[entry.id], entry); });
+      write('submissions', Object.keys(byId).map(id => byId[id]));
+      legacy.forEach(key => store.removeItem(key));
+    }
+
+    const backend = {
+      name: 'local',
+      ready: () => Promise.resolve(),
+      list: read,
+      get(collection, id) {
+        return read(collection).find(item => item.id === id) || null;
+      },
+      put(collection, item) {
+        const items = read(collection);
+        const index = items.findIndex(existing => existing.id === item.id);
+        if (index === -1) {
+          items.push(item);
+        } else {
+          items[index] = item;
+        }
+        write(collection, items);
+        return item;
+      },
+      remove(collection, id) {
+        write(collection, read(collection).filter(item => item.id !== id));
+      },
+      addComment(submissionId, comment) {
+        const entry = backend.get('submissions', submissionId);
+        if (!entry) return null;
+        entry.comments = (entry.comments || []).concat(comment);
+        backend.put('submissions', entry);
+        return comment;
+      },
+      // Replace a whole collection, e.g. with the server's copy
+      replaceAll: write,
+    };
+    return backend;
+  }
+
+  /**
+   * Storage backend that shares the library through the sync server. It
+   * works from a localStorage copy, so pages stay usable offline; changes
+   * are queued and sent to the server in order, and queued changes
+   * survive a reload. A change older than the server's copy is merged
+   * with it (see mergeStoredCopies), never dropped.
+   * @param {string} baseUrl server address, '' for the server the page came from
+   * @param {Storage} [store] defaults to window.localStorage
+   */
+  function createHttpStorageBackend(baseUrl, store = localStorage) {
+    const cache = createLocalStorageBackend(store);
+    let flushing = null;
+    let syncing = null;
+
+    const request = (method, path, body) => fetch(`${baseUrl}/api/${path}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined,
+    }).then((response) => {
+      if (!response.ok) {
+        // A change refused as older (409) comes back with the server's copy
+        return response.json().catch(() => null).then((body) => {
+          throw Object.assign(new Error(`${method} /api/${path} failed with status ${response.status}`), { status: response.status, body });
+        });
+      }
+      return response.status === 204 ? null : response.json();
+    });
+    const readQueue = () => JSON.parse(store.getItem(SYNC_QUEUE_KEY) || '[]');
+    const writeQueue = queue => store.setItem(SYNC_QUEUE_KEY, JSON.stringify(queue));
+
+    const collectionOf = change => Object.keys(STORAGE_PATHS).find(collection => change.path.startsWith(`${STORAGE_PATHS[collection]}/`));
+    // Send one change. When the server holds a newer copy (409), merge it
+    // with the local copy, which may have changed again since, keep the
+    // result locally and send it in place of the change.
+    const send = (change, attempt = 1) => request(change.method, change.path, change.body)
+      .catch((err) => {
+        if (err.status !== 409 || !err.body || attempt > 3) throw err;
+        const collection = collectionOf(change);
+        const merged = mergeStoredCopies(collection, cache.get(collection, change.body.id) || change.body, err.body);
+        cache.put(collection, merged);
+        if (JSON.stringify(merged) === JSON.stringify(err.body)) return null;
+        return send(Object.assign({}, change, { body: merged }), attempt + 1);
+      });
+
+    // Send queued changes one at a time; stops at the first network error
+    const flush = () => {
+      if (!flushing) {
+        const next = () => {
+          const [change] = readQueue();
+          if (!change) return Promise.resolve();
+          return send(change)
+            .catch((err) => {
+              // Other refusals (a malformed request) would fail the same way on
+              // every retry; network errors and unsettled conflicts stay queued
+              if (!err.status || err.status >= 500 || err.status === 409) throw err;
+            })
+            .then(() => {
+              writeQueue(readQueue().slice(1));
+              return next();
+            });
+        };
+        flushing = next().then(() => { flushing = null; }, (err) => { flushing = null; throw err; });
+      }
+      return flushing;
+    };
+    const enqueue = (change) => {
+      // A newer save of the same item replaces one still waiting to be sent
+      const queue = readQueue().filter((queued, i) => i === 0 || queued.method !== 'PUT' || queued.path !== change.path);
+      writeQueue(queue.concat(change));
+      flush().catch(() => {});
+    };
+    const itemPath = (collection, id) => `${STORAGE_PATHS[collection]}/${encodeURIComponent(id)}`;
+
+    const backend = {
+      name: 'http',
+      lastError: null,
+      list: cache.list,
+      get: cache.get,
+      put(collection, item) {
+        cache.put(collection, item);
+        enqueue({ method: 'PUT', path: itemPath(collection, item.id), body: item });
+        return item;
+      },
+      remove(collection, id) {
+        cache.remove(collection, id);
+        enqueue({ method: 'DELETE', path: itemPath(collection, id) });
+      },
+      addComment(submissionId, comment) {
+        cache.addComment(submissionId, comment);
+        enqueue({ method: 'POST', path: `${itemPath('submissions', submissionId)}/comments`, body: comment });
+        return comment;
+      },
+      /**
+       * Send pending changes, then replace the local copy with the server's
+       * library. Resolves even when the server cannot be reached; the
+       * error is kept in lastError.
+       */
+      sync() {
+        if (!syncing) {
+          const collections = Object.keys(STORAGE_PATHS);
+          syncing = flush()
+            .then(() => Promise.all(collections.map(collection => request('GET', STORAGE_PATHS[collection]))))
+            .then((results) => {
+              // Keep changes made while the library was downloading
+              if (readQueue().length) return;
+              collections.forEach((collection, i) => cache.replaceAll(collection, results[i]));
+              backend.lastError = null;
+              if (typeof window !== 'undefined') window.dispatchEvent(new Event(STORAGE_SYNC_EVENT));
+            })
+            .catch((err) => { backend.lastError = err; })
+            .then(() => { syncing = null; });
+        }
+        return syncing;
+      },
+    };
+    const initialSync = backend.sync();
+    backend.ready = () => initialSync;
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', () => backend.sync());
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') backend.sync();
+      });
+    }
+    return backend;
+  }
+
+  let activeStorage = null;
+
+  /**
+   * The storage backend used by this page, chosen by PLAN_STORAGE in
+   * storage-config.js (the local backend when that file is not loaded).
+   */
+  function planStorage() {
+    if (!activeStorage) {
+      const config = typeof PLAN_STORAGE !== 'undefined' ? PLAN_STORAGE : { backend: 'local' };
+      activeStorage = config.backend === 'http'
+        ? createHttpStorageBackend(config.url || '')
+        : createLocalStorageBackend();
+    }
+    return activeStorage;
+  }
+
+  /**
+   * Whether there is a library to open: a backend was chosen with
+   * usePlanStorage() or the page has localStorage. Plain Node has neither.
+   */
+  function hasPlanStorage() {
+    return Boolean(activeStorage) || typeof localStorage !== 'undefined';
+  }
+
+  /**
+   * Use a specific backend from now on, e.g. in tests.
+   */
+  function usePlanStorage(backend) {
+    activeStorage = backend;
+  }
+
+  return {
+    STORAGE_KEYS,
+    STORAGE_SYNC_EVENT,
+    createLocalStorageBackend,
+    createHttpStorageBackend,
+    planStorage,
+    hasPlanStorage,
+    usePlanStorage,
+  };
+}));
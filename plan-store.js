@@ -0,0 +1,238 @@
+/*
+ * Lesson Plan Store
+ * Persists plan drafts and submitted plans through the storage backend
+ * (plan-storage.js). A draft is keyed by its stable plan ID so the
+ * generator page and the Internalize (New Tab) page edit the same plan,
+ * and each draft keeps a version history that teachers can compare and
+ * restore. Each submission is stored once and shown by both hubs.
+ */
+
+(function (factory) {
+  if (typeof module !== 'undefined') {
+    module.exports = factory(require);
+  } else {
+    Object.assign(window, factory(() => window));
+  }
+}((require) => {
+  const { clonePlanDocument, createPlanId, diffPlanDocuments, normalizeStoredPlan } = require('./plan-model.js');
+  const { STORAGE_KEYS, planStorage } = require('./plan-storage.js');
+
+  const DRAFTS_KEY = STORAGE_KEYS.drafts;
+  // Oldest versions are dropped past this count to stay within storage quota
+  const MAX_DRAFT_VERSIONS = 25;
+
+  /**
+   * Read a JSON value kept only on this device (not part of the shared
+   * library), falling back when it is missing.
+   */
+  function readStored(key, fallback) {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : fallback;
+  }
+
+  /**
+   * Write a JSON value kept only on this device.
+   */
+  function writeStored(key, value) {
+    localStorage.setItem(key, JSON.stringify(value));
+  }
+
+  /**
+   * All drafts keyed by plan ID.
+   * @returns {Object<string, {id: string, updatedAt: string, plan: Object, versions: Array}>}
+   */
+  function loadDrafts() {
+    const drafts = {};
+    planStorage().list('drafts').forEach(draft => { drafts[draft.id] = draft; });
+    return drafts;
+  }
+
+  /**
+   * Look up a single draft by plan ID.
+   */
+  function getDraft(planId) {
+    return planStorage().get('drafts', planId);
+  }
+
+  /**
+   * Drafts ordered by most recently edited first.
+   */
+  function listDrafts() {
+    return planStorage().list('drafts')
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Autosave the working copy of a plan. This does not create a version.
+   * @param {Object} doc plan document
+   */
+  function saveDraft(doc) {
+    const draft = getDraft(doc.id) || { id: doc.id, versions: [] };
+    draft.plan = doc;
+    draft.updatedAt = doc.updatedAt || new Date().toISOString();
+    return planStorage().put('drafts', draft);
+  }
+
+  /**
+   * Save the plan and record it as a new version in the draft's history.
+   * Nothing is recorded when the plan is unchanged since the last version.
+   * @param {Object} doc plan document
+   * @param {string} label short description, e.g. "Generated" or "Submitted"
+   * @returns {Object} the draft
+   */
+  function commitDraftVersion(doc, label) {
+    const draft = getDraft(doc.id) || { id: doc.id, versions: [] };
+    draft.plan = doc;
+    draft.updatedAt = doc.updatedAt || new Date().toISOString();
+    const last = draft.versions[draft.versions.length - 1];
+    if (last && diffPlanDocuments(last.plan, doc).length === 0) {
+      return planStorage().put('drafts', draft);
+    }
+    draft.versions.push({
+      version: last ? last.version + 1 : 1,
+      savedAt: new Date().toISOString(),
+      label,
+      plan: doc,
+    });
+    if (draft.versions.length > MAX_DRAFT_VERSIONS) {
+      draft.versions.splice(0, draft.versions.length - MAX_DRAFT_VERSIONS);
+    }
+    return planStorage().put('drafts', draft);
+  }
+
+  /**
+   * Make an older version the working copy again. The restore itself is
+   * recorded as a new version so it can be undone.
+   * @returns {Object|null} the restored plan document
+   */
+  function restoreDraftVersion(planId, version) {
+    const draft = getDraft(planId);
+    const entry = draft && draft.versions.find(v => v.version === version);
+    if (!entry) return null;
+    const restored = clonePlanDocument(entry.plan);
+    restored.updatedAt = new Date().toISOString();
+    commitDraftVersion(restored, `Restored version ${version}`);
+    return restored;
+  }
+
+  // Review states of a submitted plan and how the hubs label them
+  const SUBMISSION_STATUS = {
+    submitted: 'Submitted',
+    approved: 'Approved',
+    returned: 'Returned for revision',
+  };
+
+  /**
+   * All submitted plans, normalized to documents.
+   */
+  function listSubmissions() {
+    return planStorage().list('submissions').map(normalizeStoredPlan);
+  }
+
+  /**
+   * Apply a change to a submitted plan and save it.
+   * @param {string} submissionId
+   * @param {(entry: Object) => void} update mutates the entry in place
+   * @returns {Object|null} the updated entry
+   */
+  function updateSubmission(submissionId, update) {
+    const stored = planStorage().get('submissions', submissionId);
+    if (!stored) return null;
+    const entry = normalizeStoredPlan(stored);
+    update(entry);
+    return planStorage().put('submissions', entry);
+  }
+
+  /**
+   * The most recent revision submitted for a plan, if any.
+   */
+  function latestSubmission(planId) {
+    return listSubmissions()
+      .filter(entry => entry.planId === planId)
+      .sort((a, b) => b.revision - a.revision)[0] || null;
+  }
+
+  /**
+   * Submit a plan to the teacher page and the administrator hub.
+   * Resubmitting a plan that has not been reviewed yet replaces the
+   * pending entry. Once an administrator has approved or returned it, a
+   * resubmission creates a new revision linked to the previous one.
+   * @param {Object} doc plan document
+   * @returns {Object} the stored submission
+   */
+  function submitPlan(doc) {
+    const draft = commitDraftVersion(doc, 'Submitted');
+    const previous = latestSubmission(doc.id);
+    const pending = previous && previous.status === 'submitted';
+    const revision = !previous ? 1 : pending ? previous.revision : previous.revision + 1;
+    const planData = {
+      id: `${doc.id}-r${revision}`,
+      planId: doc.id,
+      revision,
+      revisionOf: pending ? previous.revisionOf : previous ? previous.id : null,
+      supersededBy: null,
+      status: 'submitted',
+      submittedAt: new Date().toISOString(),
+      reviewedAt: null,
+      version: draft.versions[draft.versions.length - 1].version,
+      plan: doc,
+      comments: pending ? previous.comments : [],
+    };
+    planStorage().put('submissions', planData);
+    if (planData.revisionOf) {
+      updateSubmission(planData.revisionOf, original => { original.supersededBy = planData.id; });
+    }
+    return planData;
+  }
+
+  /**
+   * Record an administrator's decision on a submitted plan.
+   * @param {string} submissionId
+   * @param {'approved'|'returned'|'submitted'} status
+   */
+  function setSubmissionStatus(submissionId, status) {
+    if (!SUBMISSION_STATUS[status]) {
+      throw new Error(`Unknown review status: ${status}`);
+    }
+    return updateSubmission(submissionId, entry => {
+      entry.status = status;
+      entry.reviewedAt = status === 'submitted' ? null : new Date().toISOString();
+    });
+  }
+
+  /**
+   * Leave a review comment on a submitted plan, anchored to a section.
+   * @param {string} submissionId
+   * @param {{ sectionId: string, text: string, author?: string }} comment
+   *   sectionId is empty for comments on the plan as a whole
+   */
+  function addReviewComment(submissionId, { sectionId, text, author = 'Administrator' }) {
+    const comment = {
+      id: createPlanId('comment'),
+      sectionId: sectionId || '',
+      author,
+      text,
+      createdAt: new Date().toISOString(),
+    };
+    planStorage().addComment(submissionId, comment);
+    return comment;
+  }
+
+  return {
+    MAX_DRAFT_VERSIONS,
+    readStored,
+    writeStored,
+    getDraft,
+    listDrafts,
+    saveDraft,
+    commitDraftVersion,
+    restoreDraftVersion,
+    SUBMISSION_STATUS,
+    listSubmissions,
+    updateSubmission,
+    latestSubmission,
+    submitPlan,
+    setSubmissionStatus,
+    addReviewComment,
+  };
+}));
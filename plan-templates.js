@@ -0,0 +1,488 @@
+/*
+ * Plan Templates
+ * A template decides which sections a generated plan has, in what
+ * order, with which headings, default checklist items and time
+ * allocations, and whether PAX Good Behavior Game and Fundamental Five
+ * practices are written into the plan. The T‑TESS Distinguished layout
+ * is built in; campus administrators copy it into their own templates
+ * and choose one as the campus default. Templates are shared through
+ * the storage backend like teacher profiles.
+ */
+
+(function (factory) {
+  if (typeof module !== 'undefined') {
+    module.exports = factory(require);
+  } else {
+    Object.assign(window, factory(() => window));
+  }
+}((require) => {
+  const { createPlanId, escapeHtml } = require('./plan-model.js');
+  const { hasPlanStorage, planStorage } = require('./plan-storage.js');
+
+  const DEFAULT_TEMPLATE_ID = 'ttess-distinguished';
+
+  // Sections the generator can build (see generatePlan())
+  const PLAN_SECTION_KINDS = {
+    info: 'Lesson Information',
+    objective: 'Objective, Learning Goals & Success Criteria',
+    assessment: 'Formative Assessment & Exit Ticket',
+    materials: 'Materials & Resources',
+    culture: 'Classroom Culture',
+    frame: 'Lesson Frame',
+    procedures: 'Lesson Procedures',
+    differentiation: 'Differentiation',
+    internalization: 'Lesson Internalization Guide',
+    reflection: 'Teacher Reflection',
+    lookfors: 'Administrator Look‑Fors',
+  };
+
+  // Steps of the Lesson Procedures section. Instruction and practice are
+  // titled by the program module unless the template gives a title.
+  const PROCEDURE_STEP_KINDS = {
+    opening: 'Opening Routine',
+    vocabulary: 'Vocabulary & Knowledge Building',
+    instruction: 'Instruction (titled by the program)',
+    practice: 'Skills Practice (titled by the program)',
+    partner: 'Partner Practice',
+    stations: 'Independent Practice / Stations',
+    closure: 'Closure & Exit Ticket',
+  };
+
+  /*
+   * The built-in template. In headings, {n} is replaced by the section's
+   * number among the numbered sections and {program} by the program
+   * module's label.
+   */
+  const DEFAULT_PLAN_TEMPLATE = {
+    id: DEFAULT_TEMPLATE_ID,
+    name: 'T‑TESS Distinguished',
+    builtIn: true,
+    practices: { pax: true, fundamentalFive: true },
+    sections: [
+      { id: 'info', heading: 'Section {n} — Lesson Information' },
+      { id: 'objective', heading: 'Section {n} — Objective, Learning Goals & Success Criteria' },
+      {
+        id: 'assessment',
+        heading: 'Section {n} — Formative Assessment & Exit Ticket',
+        checklists: [{
+          key: 'cfu',
+          label: 'Checks for Understanding Throughout Lesson',
+          items: [
+            { id: 'cfu-whiteboard', label: 'Whiteboard responses' },
+            { id: 'cfu-turn-talk', label: 'Turn & Talk' },
+            { id: 'cfu-cold-call', label: 'Cold call' },
+            { id: 'cfu-partner-reading', label: 'Partner reading checks' },
+            { id: 'cfu-choral-read', label: 'Choral read accuracy', subjects: ['Reading'] },
+            { id: 'cfu-vocabulary', label: 'Vocabulary application' },
+          ],
+        }],
+      },
+      { id: 'materials', heading: 'Section {n} — Materials & Resources' },
+      {
+        id: 'culture',
+        heading: 'Section {n} — Classroom Culture (PAX + Fundamental Five)',
+        checklists: [
+          {
+            key: 'gbgRounds',
+            label: 'Good Behavior Game Rounds',
+            items: [
+              { id: 'gbg-whole-group', label: 'Whole Group Reading / Instruction' },
+              { id: 'gbg-partner', label: 'Partner Work' },
+              { id: 'gbg-independent', label: 'Independent Practice' },
+            ],
+          },
+          {
+            key: 'paxKernels',
+            label: 'PAX Kernels',
+            items: [
+              { id: 'kernel-tootles', label: 'Tootles' },
+              { id: 'kernel-beat-timer', label: 'Beat the Timer' },
+              { id: 'kernel-random-sticks', label: 'Random Sticks' },
+              { id: 'kernel-wacky-prizes', label: 'Wacky Prizes' },
+            ],
+          },
+        ],
+      },
+      { id: 'frame', heading: 'Section {n} — Lesson Frame (Fundamental Five)' },
+      {
+        id: 'procedures',
+        heading: 'Section {n} — Lesson Procedures ({program} + TTESS Distinguished)',
+        steps: [
+          { id: 'opening', title: 'Opening Routine', minutes: '3–5' },
+          { id: 'vocabulary', title: 'Vocabulary & Knowledge Building', minutes: '5–8' },
+          { id: 'instruction', title: '', minutes: '10–15' },
+          { id: 'practice', title: '', minutes: '10–12' },
+          { id: 'partner', title: 'Partner Practice', minutes: '5–8' },
+          { id: 'stations', title: 'Independent Practice / Stations', minutes: '8–12' },
+          { id: 'closure', title: 'Closure & Exit Ticket', minutes: '5' },
+        ],
+      },
+      { id: 'differentiation', heading: 'Section {n} — Differentiation' },
+      { id: 'internalization', heading: 'Lesson Internalization Guide' },
+      { id: 'reflection', heading: 'Section {n} — Teacher Reflection (Distinguished Requirement)' },
+      { id: 'lookfors', heading: 'Section {n} — Administrator Look‑Fors (Distinguished Alignment)' },
+    ],
+  };
+
+  /**
+   * The built-in definition of a section, used for sections a campus
+   * template leaves out or does not configure.
+   */
+  function defaultTemplateSection(sectionId) {
+    return DEFAULT_PLAN_TEMPLATE.sections.find(section => section.id === sectionId);
+  }
+
+  /**
+   * Read the planned minutes of a procedure step, e.g. "5", "5–8" or
+   * "10 minutes".
+   * @returns {{min: number, max: number}|null} null when none are given
+   * or they cannot be read
+   */
+  function parseStepMinutes(text) {
+    const match = String(text || '').trim().match(/^(\d+)\s*(?:[–-]\s*(\d+))?\s*(?:min(?:ute)?s?\.?)?$/i);
+    if (!match) return null;
+    const min = Number(match[1]);
+    const max = match[2] ? Number(match[2]) : min;
+    return max >= min ? { min, max } : null;
+  }
+
+  /**
+   * Check that a template can be used to generate plans.
+   * @throws {Error} describing the first problem found
+   */
+  function validatePlanTemplate(template) {
+    if (!template || !(template.name || '').trim()) {
+      throw new Error('A plan template needs a name.');
+    }
+    if (!Array.isArray(template.sections) || template.sections.length === 0) {
+      throw new Error('A plan template needs at least one section.');
+    }
+    const seen = [];
+    template.sections.forEach(section => {
+      if (!PLAN_SECTION_KINDS[section.id]) {
+        throw new Error(`"${section.id}" is not a section the generator can build.`);
+      }
+      if (seen.includes(section.id)) {
+        throw new Error(`The ${PLAN_SECTION_KINDS[section.id]} section appears twice.`);
+      }
+      seen.push(section.id);
+      if (!(section.heading || '').trim()) {
+        throw new Error(`The ${PLAN_SECTION_KINDS[section.id]} section needs a heading.`);
+      }
+      (section.steps || []).forEach(step => {
+        if (!PROCEDURE_STEP_KINDS[step.id]) {
+          throw new Error(`"${step.id}" is not a lesson procedure step.`);
+        }
+        if ((step.minutes || '').trim() && !parseStepMinutes(step.minutes)) {
+          throw new Error(`The minutes for ${PROCEDURE_STEP_KINDS[step.id]} must be a number or a range such as 5–8.`);
+        }
+      });
+      (section.checklists || []).forEach(checklist => {
+        if (checklist.items.some(item => !(item.label || '').trim())) {
+          throw new Error(`Every item in ${checklist.label} needs a label.`);
+        }
+        const labels = checklist.items.map(item => item.label.trim().toLowerCase());
+        const repeated = checklist.items.find((item, index) => labels.indexOf(labels[index]) !== index);
+        if (repeated) {
+          throw new Error(`${checklist.label} lists "${repeated.label.trim()}" more than once.`);
+        }
+      });
+    });
+    return template;
+  }
+
+  /**
+   * Every template: the built-in one first, then the campus's by name.
+   */
+  function listPlanTemplates() {
+    const custom = planStorage().list('templates').sort((a, b) => a.name.localeCompare(b.name));
+    return [DEFAULT_PLAN_TEMPLATE, ...custom];
+  }
+
+  /**
+   * Look up a template by ID.
+   */
+  function getPlanTemplate(templateId) {
+    if (templateId === DEFAULT_TEMPLATE_ID) return DEFAULT_PLAN_TEMPLATE;
+    return templateId ? planStorage().get('templates', templateId) : null;
+  }
+
+  /**
+   * The template new plans use unless the teacher picks another: the one
+   * the campus chose, otherwise the built-in template. Without a library
+   * (e.g. generating under Node) there is no campus choice to read.
+   */
+  function campusPlanTemplate() {
+    if (!hasPlanStorage()) return DEFAULT_PLAN_TEMPLATE;
+    return planStorage().list('templates').find(template => template.campusDefault) || DEFAULT_PLAN_TEMPLATE;
+  }
+
+  /**
+   * Create or update a campus template. The built-in template cannot be
+   * changed; save a copy of it instead.
+   * @returns {Object} the saved template
+   */
+  function savePlanTemplate(template) {
+    if (template.id === DEFAULT_TEMPLATE_ID) {
+      throw new Error('The built-in template cannot be changed. Save a copy instead.');
+    }
+    validatePlanTemplate(template);
+    const saved = Object.assign({}, template, {
+      id: template.id || createPlanId('template'),
+      name: template.name.trim(),
+      builtIn: false,
+      campusDefault: Boolean(template.campusDefault),
+      updatedAt: new Date().toISOString(),
+    });
+    return planStorage().put('templates', saved);
+  }
+
+  /**
+   * A new, unsaved campus template copied from another.
+   */
+  function copyPlanTemplate(template, name) {
+    const copy = JSON.parse(JSON.stringify(template));
+    delete copy.id;
+    return Object.assign(copy, { name, builtIn: false, campusDefault: false });
+  }
+
+  /**
+   * Make a template the campus default. Pass the built-in template's ID
+   * to go back to it.
+   */
+  function setCampusPlanTemplate(templateId) {
+    planStorage().list('templates')
+      .filter(template => Boolean(template.campusDefault) !== (template.id === templateId))
+      .forEach(template => {
+        planStorage().put('templates', Object.assign({}, template, {
+          campusDefault: template.id === templateId,
+          updatedAt: new Date().toISOString(),
+        }));
+      });
+  }
+
+  function deletePlanTemplate(templateId) {
+    planStorage().remove('templates', templateId);
+  }
+
+  /**
+   * Options for a template menu, with the campus default selected.
+   */
+  function renderTemplateOptions() {
+    const campus = campusPlanTemplate();
+    return listPlanTemplates().map(template => `
+      <option value="${escapeHtml(template.id)}"${template.id === campus.id ? ' selected' : ''}>${escapeHtml(template.name)}${template.id === campus.id ? ' (campus default)' : ''}</option>`).join('');
+  }
+
+  /**
+   * Turn checklist lines typed in the editor back into items. Items whose
+   * label did not change keep their ID and subjects; new items get an ID
+   * no other item in the checklist uses.
+   */
+  function parseChecklistLines(text, previous) {
+    const taken = new Set(previous.map(item => item.id));
+    return text.split('\n').map(line => line.trim()).filter(Boolean).map(label => {
+      const existing = previous.find(item => item.label === label);
+      if (existing) return existing;
+      const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+      const base = `item-${slug || createPlanId('item')}`;
+      let id = base;
+      for (let n = 2; taken.has(id); n += 1) id = `${base}-${n}`;
+      taken.add(id);
+      return { id, label };
+    });
+  }
+
+  /**
+   * The template editor for the administrator hub: pick a template, copy
+   * it, change its sections and save it or make it the campus default.
+   * @param {Object} options
+   * @param {Element} options.container element that receives the editor
+   */
+  function mountTemplateEditor({ container }) {
+    let editing = null;
+    container.innerHTML = `
+      <div class="template-bar">
+        <label>Template <select class="template-select"></select></label>
+        <button type="button" data-action="copy">Copy</button>
+        <button type="button" data-action="default">Make Campus Default</button>
+        <button type="button" data-action="delete">Delete</button>
+      </div>
+      <div class="template-form"></div>
+      <div class="template-errors" role="alert"></div>
+      <p class="template-status" role="status"></p>
+    `;
+    const select = container.querySelector('.template-select');
+    const form = container.querySelector('.template-form');
+    const errors = container.querySelector('.template-errors');
+    const status = container.querySelector('.template-status');
+
+    // Included sections in the template's order, then the ones left out
+    const editorSections = (template) => {
+      const included = template.sections.map(section => Object.assign({ included: true }, section));
+      const left = DEFAULT_PLAN_TEMPLATE.sections
+        .filter(section => !included.some(item => item.id === section.id))
+        .map(section => Object.assign({ included: false }, section));
+      return included.concat(left);
+    };
+
+    const renderForm = () => {
+      const locked = editing.builtIn;
+      const disabled = locked ? ' disabled' : '';
+      form.innerHTML = `
+        ${locked ? '<p>The built-in template cannot be changed. Copy it to make a campus template.</p>' : ''}
+        <label>Name <input type="text" class="template-name" value="${escapeHtml(editing.name)}"${disabled}/></label>
+        <fieldset>
+          <legend>Practices written into plans</legend>
+          <label><input type="checkbox" data-practice="pax"${editing.practices.pax ? ' checked' : ''}${disabled}/> PAX Good Behavior Game</label>
+          <label><input type="checkbox" data-practice="fundamentalFive"${editing.practices.fundamentalFive ? ' checked' : ''}${disabled}/> Fundamental Five</label>
+        </fieldset>
+        <ol class="template-sections">
+          ${editorSections(editing).map((section, index, all) => `
+          <li data-section="${escapeHtml(section.id)}">
+            <label><input type="checkbox" class="section-included"${section.included ? ' checked' : ''}${disabled}/> ${escapeHtml(PLAN_SECTION_KINDS[section.id])}</label>
+            <button type="button" data-move="-1" aria-label="Move up"${locked || index === 0 ? ' disabled' : ''}>↑</button>
+            <button type="button" data-move="1" aria-label="Move down"${locked || index === all.length - 1 ? ' disabled' : ''}>↓</button>
+            <label>Heading <input type="text" class="section-heading" value="${escapeHtml(section.heading)}"${disabled}/></label>
+            ${(section.checklists || []).map(checklist => `
+            <label>${escapeHtml(checklist.label)} (one per line)
+              <textarea class="section-checklist" data-key="${checklist.key}" rows="${checklist.items.length + 1}"${disabled}>${escapeHtml(checklist.items.map(item => item.label).join('\n'))}</textarea>
+            </label>`).join('')}
+            ${section.steps ? `
+            <table class="template-steps">
+              <tr><th>Step</th><th>Included</th><th>Title</th><th>Minutes</th></tr>
+              ${Object.keys(PROCEDURE_STEP_KINDS).map(stepId => {
+                const step = section.steps.find(item => item.id === stepId);
+                return `
+              <tr data-step="${stepId}">
+                <td>${escapeHtml(PROCEDURE_STEP_KINDS[stepId])}</td>
+                <td><input type="checkbox" class="step-included"${step ? ' checked' : ''}${disabled}/></td>
+                <td><input type="text" class="step-title" value="${escapeHtml(step ? step.title : '')}"${disabled}/></td>
+                <td><input type="text" class="step-minutes" size="6" value="${escapeHtml(step ? step.minutes : '')}"${disabled}/></td>
+              </tr>`;
+              }).join('')}
+            </table>` : ''}
+          </li>`).join('')}
+        </ol>
+        <p>In headings, {n} is the section number and {program} the program's name.</p>
+        <button type="button" data-action="save"${disabled}>Save Template</button>
+      `;
+    };
+
+    // Read the form into a template; the order is the order on screen
+    const readForm = () => {
+      const sections = [...form.querySelectorAll('[data-section]')]
+        .filter(item => item.querySelector('.section-included').checked)
+        .map(item => {
+          const previous = editing.sections.find(section => section.id === item.dataset.section)
+            || defaultTemplateSection(item.dataset.section);
+          const section = { id: previous.id, heading: item.querySelector('.section-heading').value.trim() };
+          if (previous.checklists) {
+            section.checklists = previous.checklists.map(checklist => Object.assign({}, checklist, {
+              items: parseChecklistLines(item.querySelector(`[data-key="${checklist.key}"]`).value, checklist.items),
+            }));
+          }
+          if (previous.steps) {
+            section.steps = [...item.querySelectorAll('[data-step]')]
+              .filter(row => row.querySelector('.step-included').checked)
+              .map(row => ({
+                id: row.dataset.step,
+                title: row.querySelector('.step-title').value.trim(),
+                minutes: row.querySelector('.step-minutes').value.trim(),
+              }));
+          }
+          return section;
+        });
+      return Object.assign({}, editing, {
+        name: form.querySelector('.template-name').value,
+        practices: {
+          pax: form.querySelector('[data-practice="pax"]').checked,
+          fundamentalFive: form.querySelector('[data-practice="fundamentalFive"]').checked,
+        },
+        sections,
+      });
+    };
+
+    const show = (templateId) => {
+      select.innerHTML = renderTemplateOptions();
+      editing = getPlanTemplate(templateId) || campusPlanTemplate();
+      select.value = editing.id;
+      container.querySelector('[data-action="delete"]').disabled = Boolean(editing.builtIn);
+      errors.innerHTML = '';
+      renderForm();
+    };
+
+    select.addEventListener('change', () => {
+      status.textContent = '';
+      show(select.value);
+    });
+    form.addEventListener('click', (e) => {
+      const move = e.target.dataset.move;
+      if (move) {
+        const item = e.target.closest('[data-section]');
+        const sibling = move === '-1' ? item.previousElementSibling : item.nextElementSibling;
+        if (sibling) item.parentNode.insertBefore(item, move === '-1' ? sibling : sibling.nextElementSibling);
+        // Keep the arrows of the first and last rows disabled
+        const rows = [...form.querySelectorAll('[data-section]')];
+        rows.forEach((row, index) => {
+          row.querySelector('[data-move="-1"]').disabled = index === 0;
+          row.querySelector('[data-move="1"]').disabled = index === rows.length - 1;
+        });
+        return;
+      }
+      if (e.target.dataset.action !== 'save') return;
+      try {
+        editing = savePlanTemplate(readForm());
+        show(editing.id);
+        status.textContent = `Saved ${editing.name}.`;
+      } catch (err) {
+        errors.innerHTML = `<p>${escapeHtml(err.message)}</p>`;
+      }
+    });
+    container.querySelector('.template-bar').addEventListener('click', (e) => {
+      const action = e.target.dataset.action;
+      if (action === 'copy') {
+        const name = prompt('Name for the new template:', `${editing.name} (copy)`);
+        if (!name || !name.trim()) return;
+        editing = savePlanTemplate(copyPlanTemplate(editing, name));
+        show(editing.id);
+        status.textContent = `Created ${editing.name}.`;
+      } else if (action === 'default') {
+        setCampusPlanTemplate(editing.id);
+        show(editing.id);
+        status.textContent = `New plans on this campus now use ${editing.name}.`;
+      } else if (action === 'delete' && !editing.builtIn) {
+        if (!confirm(`Delete the template ${editing.name}? Plans already generated from it are not changed.`)) return;
+        deletePlanTemplate(editing.id);
+        show(campusPlanTemplate().id);
+        status.textContent = 'Template deleted.';
+      }
+    });
+
+    show(campusPlanTemplate().id);
+    // Templates changed on another machine show up in the menu; the form
+    // being edited is left alone
+    const refresh = () => {
+      select.innerHTML = renderTemplateOptions();
+      select.value = editing.id;
+    };
+    return { refresh };
+  }
+
+  return {
+    PROCEDURE_STEP_KINDS,
+    DEFAULT_PLAN_TEMPLATE,
+    parseStepMinutes,
+    parseChecklistLines,
+    validatePlanTemplate,
+    listPlanTemplates,
+    getPlanTemplate,
+    campusPlanTemplate,
+    savePlanTemplate,
+    copyPlanTemplate,
+    setCampusPlanTemplate,
+    deletePlanTemplate,
+    renderTemplateOptions,
+    mountTemplateEditor,
+  };
+}));
@@ -0,0 +1,270 @@
+/*
+ * Weekly / Unit Planner
+ * Generates a sequence of linked lesson plans at once, one per
+ * instructional day, and lays them out on a week calendar. Each plan
+ * records its place in the sequence and its scheduled day, and the
+ * day is written into Section 1's Lesson Date. Days without school
+ * come from a school calendar kept on this device.
+ */
+
+const SCHOOL_CALENDAR_KEY = 'schoolCalendar';
+// Upper bound on lessons generated at once (a long unit)
+const MAX_SEQUENCE_LESSONS = 40;
+
+/**
+ * A local calendar day as YYYY-MM-DD.
+ */
+function toIsoDay(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * The local date for a YYYY-MM-DD day.
+ */
+function parseIsoDay(day) {
+  return new Date(`${day}T00:00:00`);
+}
+
+/**
+ * The day a number of days before or after another.
+ */
+function addDays(day, count) {
+  const date = parseIsoDay(day);
+  date.setDate(date.getDate() + count);
+  return toIsoDay(date);
+}
+
+/**
+ * How a scheduled day is written out, e.g. into the Lesson Date field of
+ * a plan in the plan's locale.
+ * @param {string} day YYYY-MM-DD
+ * @param {string} [locale] defaults to the interface language
+ */
+function formatLessonDate(day, locale = getLocale()) {
+  return parseIsoDay(day).toLocaleDateString(locale, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * The school calendar: days without instruction (holidays, staff
+ * development, testing days).
+ * @returns {{closedDays: string[]}}
+ */
+function loadSchoolCalendar() {
+  return Object.assign({ closedDays: [] }, readStored(SCHOOL_CALENDAR_KEY, {}));
+}
+
+function saveSchoolCalendar(calendar) {
+  writeStored(SCHOOL_CALENDAR_KEY, calendar);
+}
+
+/**
+ * Read days without school typed one per line, either a single day
+ * (2026-11-11) or a range (2026-11-23 to 2026-11-27).
+ * @returns {{days: string[], errors: string[]}}
+ */
+function parseClosedDays(text) {
+  const result = { days: [], errors: [] };
+  const isDay = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(parseIsoDay(value).getTime());
+  text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+    const [from, to = from] = line.split(/\s+to\s+/i).map(part => part.trim());
+    if (!isDay(from) || !isDay(to) || to < from) {
+      result.errors.push(`"${line}" is not a date (YYYY-MM-DD) or a date range (YYYY-MM-DD to YYYY-MM-DD).`);
+      return;
+    }
+    for (let day = from; day <= to; day = addDays(day, 1)) {
+      if (!result.days.includes(day)) result.days.push(day);
+    }
+  });
+  result.days.sort();
+  return result;
+}
+
+/**
+ * Whether school is in session on a day: a weekday that is not a
+ * closed day in the calendar.
+ */
+function isInstructionalDay(day, calendar) {
+  const weekday = parseIsoDay(day).getDay();
+  return weekday !== 0 && weekday !== 6 && !calendar.closedDays.includes(day);
+}
+
+/**
+ * Instructional days from a start day on, either a number of them or
+ * all of them through an end day.
+ * @param {string} startDay YYYY-MM-DD
+ * @param {{count?: number, endDay?: string}} limit
+ * @param {{closedDays: string[]}} calendar
+ * @returns {string[]}
+ */
+function instructionalDays(startDay, { count, endDay }, calendar) {
+  const days = [];
+  // A year of calendar days is more than any sequence needs
+  for (let day = startDay, i = 0; i < 366; day = addDays(day, 1), i++) {
+    if (endDay ? day > endDay : days.length >= count) break;
+    if (isInstructionalDay(day, calendar)) days.push(day);
+  }
+  return days;
+}
+
+/**
+ * Generate linked plans for consecutive lessons of a unit, one per
+ * instructional day, and save each as a draft. Lessons in the
+ * curriculum catalog use their own TEKS; the standard field applies to
+ * lessons that are not in the catalog.
+ * @param {Object} request
+ * @param {string} request.grade
+ * @param {string} request.subject
+ * @param {string} request.program
+ * @param {string} [request.strand] program strand (program-modules.js)
+ * @param {string} request.unit
+ * @param {number} request.fromLesson first lesson number
+ * @param {number} [request.toLesson] last lesson number; or use endDate
+ * @param {string} request.startDate first day (YYYY-MM-DD)
+ * @param {string} [request.endDate] plan every instructional day through this day
+ * @param {string} [request.standard] TEKS codes or concepts
+ * @param {string} [request.language] plan language (PLAN_LANGUAGES in i18n.js)
+ * @param {Object} options
+ * @param {Object|null} options.catalog curriculum catalog
+ * @param {Object|null} options.author plan author
+ * @param {{closedDays: string[]}} options.calendar school calendar
+ * @param {Object} [options.template] plan template (plan-templates.js)
+ * @param {Array<Object>} [options.groups] small groups from the class roster
+ * @param {string[]} [options.misconceptions] open misconceptions from earlier lessons
+ * @returns {{plans: Array<Object>, errors: string[], warnings: string[]}} nothing is
+ *   saved when there are errors; warnings name TEKS missing from the bundled list
+ */
+function generateLessonSequence(request, { catalog = null, author = null, calendar, template = campusPlanTemplate(), groups = [], misconceptions = [] }) {
+  const { grade, subject, program, strand = '', unit, fromLesson, toLesson, startDate, endDate, standard = '', language = 'en' } = request;
+  if (!unit || !fromLesson || !startDate || (!toLesson && !endDate)) {
+    return { plans: [], errors: ['Choose a unit, a first lesson, a start date and either a last lesson or an end date.'] };
+  }
+  if (toLesson && toLesson < fromLesson) {
+    return { plans: [], errors: ['The last lesson comes before the first lesson.'] };
+  }
+  const limit = toLesson ? { count: toLesson - fromLesson + 1 } : { endDay: endDate };
+  if ((limit.count || 0) > MAX_SEQUENCE_LESSONS) {
+    return { plans: [], errors: [`Plan at most ${MAX_SEQUENCE_LESSONS} lessons at once.`] };
+  }
+  const days = instructionalDays(startDate, limit, calendar);
+  if (days.length > MAX_SEQUENCE_LESSONS) {
+    return { plans: [], errors: [`Plan at most ${MAX_SEQUENCE_LESSONS} lessons at once.`] };
+  }
+  if (days.length === 0) {
+    return { plans: [], errors: ['There are no school days in the chosen dates.'] };
+  }
+  if (limit.count && days.length < limit.count) {
+    return { plans: [], errors: ['There are not enough school days in the next year for these lessons.'] };
+  }
+
+  const lastLesson = fromLesson + days.length - 1;
+  const sequenceId = createPlanId('sequence');
+  const title = `${program} ${grade} ${subject} Unit ${unit}, Lessons ${fromLesson}–${lastLesson}`;
+  const plans = [];
+  const errors = [];
+  const warnings = [];
+  days.forEach((day, i) => {
+    const lesson = String(fromLesson + i);
+    const catalogLesson = findCatalogLesson(catalog, { program, grade, unit, lesson });
+    const lessonStandard = catalogLesson && catalogLesson.teks.length ? catalogLesson.teks.join(', ') : standard;
+    const { plan, errors: problems, warnings: notes } = createLessonPlan(
+      { grade, subject, program, strand, unit: String(unit), lesson, standard: lessonStandard, language },
+      { catalog, author, template, groups, misconceptions },
+    );
+    warnings.push(...notes.map(note => `Lesson ${lesson}: ${note}`));
+    if (problems.length) {
+      errors.push(...problems.map(problem => `Lesson ${lesson}: ${problem}`));
+      return;
+    }
+    plan.sequence = { id: sequenceId, title, index: i + 1, count: days.length, date: day };
+    plan.fields.lessonDate = formatLessonDate(day, planLocale(plan));
+    plans.push(plan);
+  });
+  if (errors.length) {
+    return { plans: [], errors, warnings };
+  }
+  plans.forEach(plan => commitDraftVersion(plan, 'Generated'));
+  return { plans, errors: [], warnings };
+}
+
+/**
+ * Drafts that have a day on the planner calendar.
+ */
+function scheduledPlans() {
+  return listDrafts().map(draft => draft.plan).filter(plan => plan.sequence && plan.sequence.date);
+}
+
+/**
+ * Move a scheduled plan to another day and update its Lesson Date.
+ * Plans can only move to instructional days.
+ * @param {string} planId
+ * @param {string} day YYYY-MM-DD
+ * @param {{closedDays: string[]}} calendar school calendar
+ * @returns {{plan: Object|null, errors: string[]}} the rescheduled plan,
+ *   or why it was not moved
+ */
+function reschedulePlan(planId, day, calendar) {
+  const draft = getDraft(planId);
+  if (!draft || !draft.plan.sequence) {
+    return { plan: null, errors: ['This plan is not on the planner.'] };
+  }
+  if (!isInstructionalDay(day, calendar)) {
+    return { plan: null, errors: [`There is no school on ${formatLessonDate(day)}; choose a school day.`] };
+  }
+  const plan = clonePlanDocument(draft.plan);
+  plan.sequence.date = day;
+  plan.fields.lessonDate = formatLessonDate(day, planLocale(plan));
+  plan.updatedAt = new Date().toISOString();
+  commitDraftVersion(plan, `Rescheduled to ${formatLessonDate(day)}`);
+  return { plan, errors: [] };
+}
+
+/**
+ * Submit every plan scheduled in a week to the hubs. Plans whose
+ * latest submission already has the same content are skipped.
+ * @param {string} week Monday of the week (YYYY-MM-DD)
+ * @param {Array<Object>} plans scheduled plans to choose from
+ * @returns {Array<Object>} the new submissions
+ */
+function submitWeek(week, plans) {
+  return plans
+    .filter(plan => weekStart(parseIsoDay(plan.sequence.date)) === week)
+    .filter(plan => {
+      const latest = latestSubmission(plan.id);
+      return !latest || latest.plan.updatedAt !== plan.updatedAt;
+    })
+    .map(submitPlan);
+}
+
+/**
+ * Render one week of the planner calendar, Monday to Friday. Plan cards
+ * can be dragged to another day or moved with their date field.
+ * @param {string} week Monday of the week (YYYY-MM-DD)
+ * @param {Array<Object>} plans scheduled plans
+ * @param {{closedDays: string[]}} calendar
+ */
+function renderPlannerWeek(week, plans, calendar) {
+  const days = [0, 1, 2, 3, 4].map(offset => addDays(week, offset));
+  const card = (plan) => {
+    const latest = latestSubmission(plan.id);
+    const title = plan.curriculum ? plan.curriculum.title : `Lesson ${plan.meta.lesson}`;
+    return `
+      <div class="planner-card" draggable="true" data-plan-id="${escapeHtml(plan.id)}">
+        <strong>${escapeHtml(plan.meta.subject)} ${escapeHtml(formatUnitLesson(plan.meta))}</strong>
+        <div>${escapeHtml(title)}</div>
+        <div class="planner-card-meta">${plan.sequence.index} of ${plan.sequence.count} · ${latest ? renderStatusBadge(latest) : '<span class="status-badge">Draft</span>'}</div>
+        <a href="index.html?plan=${encodeURIComponent(plan.id)}">Open</a>
+        <label>Move to <input type="date" class="planner-move" value="${escapeHtml(plan.sequence.date)}"/></label>
+      </div>`;
+  };
+  return `
+    <div class="planner-week">
+      ${days.map(day => `
+      <div class="planner-day${isInstructionalDay(day, calendar) ? '' : ' planner-closed'}" data-day="${day}">
+        <h3>${parseIsoDay(day).toLocaleDateString(getLocale(), { weekday: 'short', month: 'numeric', day: 'numeric' })}</h3>
+        ${isInstructionalDay(day, calendar) ? '' : '<p class="planner-note">No school</p>'}
+        ${plans.filter(plan => plan.sequence.date === day).map(card).join('')}
+      </div>`).join('')}
+    </div>
+  `;
+}
@@ -0,0 +1,285 @@
+/*
+ * Program Modules
+ * The curriculum programs a plan can be built from. A module supplies
+ * the program's materials, the instruction, practice and partner steps
+ * of Section 7 and the station activities. Amplify Reading is split
+ * into its Skills and Knowledge strands; Bluebonnet Math is built
+ * around its daily routines. Another program is added by registering
+ * a module here (and a catalog for it in data/curriculum.json); the
+ * generator needs no changes.
+ */
+
+(function (factory) {
+  if (typeof module !== 'undefined') {
+    module.exports = factory(require);
+  } else {
+    Object.assign(window, factory(() => window));
+  }
+}((require) => {
+  const { escapeHtml } = require('./plan-model.js');
+
+  /**
+   * Content a module or strand provides:
+   * @typedef {Object} ProgramContent
+   * @property {string} label shown in the Section 7 heading
+   * @property {string[]} materials Section 4 materials
+   * @property {string[]} [opening] steps added to the opening routine
+   * @property {{title: string, items: string[]}} instruction Section 7 C
+   * @property {{title: string, items: string[]}} practice Section 7 D
+   * @property {string[]} partner Section 7 E
+   * @property {string[]} stations Section 7 F
+   */
+
+  // Registered modules, in the order the program menus list them
+  const PROGRAM_MODULES = [];
+
+  /**
+   * Add a program module, replacing one with the same program name.
+   * @param {Object} module
+   * @param {string} module.program program name as stored in plan metadata
+   * @param {string[]} module.subjects subjects the program teaches
+   * @param {Object<string, ProgramContent>} [module.strands] content per strand
+   * @param {string} [module.defaultStrand] strand used when none is chosen
+   * @param {ProgramContent} [module.content] content when there are no strands
+   */
+  function registerProgramModule(module) {
+    if (!module.program || !Array.isArray(module.subjects) || (!module.content && !module.strands)) {
+      throw new Error('A program module needs a program name, subjects and content or strands.');
+    }
+    const index = PROGRAM_MODULES.findIndex(existing => existing.program === module.program);
+    if (index === -1) {
+      PROGRAM_MODULES.push(module);
+    } else {
+      PROGRAM_MODULES[index] = module;
+    }
+    return module;
+  }
+
+  /**
+   * The module for a program name, or null.
+   */
+  function findProgramModule(program) {
+    return PROGRAM_MODULES.find(module => module.program === program) || null;
+  }
+
+  /**
+   * The program a subject starts with on the generator forms.
+   */
+  function defaultProgramFor(subject) {
+    const module = PROGRAM_MODULES.find(candidate => candidate.subjects.includes(subject));
+    return module ? module.program : '';
+  }
+
+  /**
+   * The strands a program offers, e.g. ['Skills', 'Knowledge'].
+   */
+  function programStrands(program) {
+    const module = findProgramModule(program);
+    return module && module.strands ? Object.keys(module.strands) : [];
+  }
+
+  /**
+   * Options for a program menu, one per registered module.
+   */
+  function renderProgramOptions() {
+    return PROGRAM_MODULES.map(module => `<option value="${escapeHtml(module.program)}">${escapeHtml(module.program)}</option>`).join('');
+  }
+
+  /**
+   * Options for a strand menu. The first option leaves the choice to the
+   * catalog lesson (or the program's default strand).
+   */
+  function renderStrandOptions(program) {
+    const strands = programStrands(program);
+    if (!strands.length) return '';
+    return ['<option value="">Match the catalog lesson</option>',
+      ...strands.map(strand => `<option value="${escapeHtml(strand)}">${escapeHtml(strand)}</option>`)].join('');
+  }
+
+  /**
+   * Pick the content for a lesson. The strand comes from the form, then
+   * from the catalog lesson, then from the module's default. A program
+   * without a module, or one that does not teach the subject, gets the
+   * general content for the subject.
+   * @param {{program: string, subject: string, strand?: string}} selection
+   * @param {Object|null} [curriculum] catalog lesson (curriculum.js)
+   * @returns {ProgramContent & {strand: string}}
+   */
+  function resolveProgramContent({ program, subject, strand = '' }, curriculum = null) {
+    const module = findProgramModule(program);
+    if (!module || !module.subjects.includes(subject)) {
+      return Object.assign({ strand: '' }, generalProgramContent(program, subject));
+    }
+    if (!module.strands) {
+      return Object.assign({ strand: '' }, module.content);
+    }
+    const chosen = [strand, curriculum && curriculum.strand, module.defaultStrand]
+      .find(name => name && module.strands[name]) || Object.keys(module.strands)[0];
+    return Object.assign({ strand: chosen }, module.strands[chosen]);
+  }
+
+  /**
+   * Content for a program that has no module of its own.
+   */
+  function generalProgramContent(program, subject) {
+    const reading = subject === 'Reading';
+    return {
+      label: program || subject,
+      materials: [
+        `${escapeHtml(program || subject)} Teacher Guide / Slides`,
+        ...(reading ? ['Vocabulary Cards', 'Decodables / Knowledge Text'] : ['Manipulatives / Math Tools']),
+      ],
+      instruction: {
+        title: reading ? 'Read‑Aloud / Decodable Reading' : 'Concept Instruction / Guided Practice',
+        items: [
+          `Teacher modeling of ${reading ? 'fluency and comprehension strategies' : 'mathematical concept or problem‑solving strategy'}`,
+          'Pose text‑dependent or concept questions to check understanding',
+          'Incorporate Turn & Talk and other CFUs (Cold call, whiteboard responses)',
+          'Record student evidence responses to gauge progress',
+        ],
+      },
+      practice: {
+        title: 'Skills Practice / Word Work',
+        items: reading
+          ? ['Blending and segmenting sounds; dictation or spelling patterns', 'Small‑group adjustments based on student needs']
+          : ['Problem sets using manipulatives; fact fluency games', 'Small‑group adjustments to differentiate for skill levels'],
+      },
+      partner: [reading ? 'Rereading, retelling or comprehension tasks' : 'Pair‑problem solving and explanation'],
+      stations: reading
+        ? ['Station 1: Decodable practice', 'Station 2: Vocabulary activity or graphic organizer', 'Station 3: Writing response to reading']
+        : ['Station 1: Problem solving with manipulatives', 'Station 2: Math games (e.g., number bonds, math facts)', 'Station 3: Application problems'],
+    };
+  }
+
+  registerProgramModule({
+    program: 'Amplify',
+    subjects: ['Reading'],
+    defaultStrand: 'Skills',
+    strands: {
+      Skills: {
+        label: 'Amplify Skills Strand',
+        materials: [
+          'Amplify Skills Teacher Guide / Slides',
+          'Large Letter Cards and Sound Cards',
+          'Skills Decodable Reader',
+          'Activity Book pages',
+          'Amplify Reading games on student devices',
+        ],
+        instruction: {
+          title: 'Explicit Phonics & Decodable Reading',
+          items: [
+            'Warm up with oral blending and segmenting of the day’s sounds',
+            'Introduce or review the spelling pattern with the Sound Cards; model reading and writing words that use it',
+            'Teach the tricky words for the lesson (what is regular, what must be remembered)',
+            'Read the decodable chapter: teacher models, then choral and echo reading; ask text‑dependent questions',
+          ],
+        },
+        practice: {
+          title: 'Word Work & Dictation',
+          items: [
+            'Dictation of words and a sentence with the new spelling pattern',
+            'Sort or build words with letter cards; check spelling against the pattern',
+            'Small‑group reteach of the sound for students who missed it in the warm‑up',
+          ],
+        },
+        partner: [
+          'Partner reread of the decodable chapter with finger tracking',
+          'Partners ask each other one question about the chapter',
+        ],
+        stations: [
+          'Station 1: Amplify Reading games — Cut It Out or Gem & Nye to isolate and blend sounds',
+          'Station 2: Amplify Reading games — Curioso Crossing or Food Truck to practice high‑frequency words and spelling patterns',
+          'Station 3: Reread the decodable and complete the Activity Book page',
+        ],
+      },
+      Knowledge: {
+        label: 'Amplify Knowledge Strand',
+        materials: [
+          'Amplify Knowledge Teacher Guide / Slides',
+          'Read‑Aloud Anthology',
+          'Flip Book or Image Cards',
+          'Domain vocabulary cards',
+          'Activity Book pages',
+        ],
+        instruction: {
+          title: 'Read‑Aloud & Discussion',
+          items: [
+            'Introduce the read‑aloud and connect it to what students already know about the domain',
+            'Read aloud with the Flip Book images; pause at the Teacher Guide stopping points to check understanding',
+            'Ask literal, inferential and evaluative comprehension questions; students answer in complete sentences',
+            'Record student evidence responses to gauge progress',
+          ],
+        },
+        practice: {
+          title: 'Word Work & Application',
+          items: [
+            'Word Work on one Tier 2 word from the read‑aloud (say it, define it, use it in a sentence)',
+            'Drawing or writing response about the main idea of the read‑aloud',
+            'Small‑group support with Image Cards to retell the read‑aloud in order',
+          ],
+        },
+        partner: [
+          'Think‑Pair‑Share on a discussion question from the read‑aloud',
+          'Partners retell the read‑aloud using the domain vocabulary',
+        ],
+        stations: [
+          'Station 1: Retell the read‑aloud in order with Image Cards',
+          'Station 2: Domain vocabulary activity or graphic organizer',
+          'Station 3: Amplify eReader — read a domain text and write about characters and events',
+        ],
+      },
+    },
+  });
+
+  registerProgramModule({
+    program: 'Bluebonnet',
+    subjects: ['Math'],
+    content: {
+      label: 'Bluebonnet Math Routines',
+      materials: [
+        'Bluebonnet Learning Teacher Guide / Slides',
+        'Student Activity Book pages',
+        'Manipulatives / Math Tools named in the margin notes',
+        'Bluebonnet digital tools and assessments',
+      ],
+      opening: ['Fluency routine from the lesson (Number Talk, Choral Counting or Counting Collections)'],
+      instruction: {
+        title: 'Launch, Explore & Discuss (Concrete → Pictorial → Abstract)',
+        items: [
+          'Launch the problem of the day; students restate what they know and what they need to find',
+          'Explore with manipulatives or visual models from the margin notes first, then pictures, then numbers',
+          'Discuss student strategies: select and sequence work that connects the models to the equation',
+          'Record student evidence responses to gauge progress',
+        ],
+      },
+      practice: {
+        title: 'Guided & Independent Practice',
+        items: [
+          'Activity Book problems that move from models to numbers',
+          'Students explain their reasoning with math sentence frames',
+          'Small‑group adjustments to differentiate for skill levels',
+        ],
+      },
+      partner: [
+        'Pair problem solving: one partner solves, the other asks “How do you know?”',
+        'Partners compare strategies and explain which model helped them',
+      ],
+      stations: [
+        'Station 1: Problem solving with manipulatives',
+        'Station 2: Fluency games from the Bluebonnet routines (e.g., number bonds, math facts)',
+        'Station 3: Bluebonnet digital tools for STAAR‑style practice with immediate feedback',
+      ],
+    },
+  });
+
+  return {
+    PROGRAM_MODULES,
+    registerProgramModule,
+    findProgramModule,
+    defaultProgramFor,
+    programStrands,
+    renderProgramOptions,
+    renderStrandOptions,
+    resolveProgramContent,
+  };
+}));
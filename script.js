@@ -2,11 +2,9 @@
  * Lesson Plan Generator
  * This client-side script collects form data from the teacher, then
  * synthesizes a detailed lesson plan aligned to the T‑TESS
- * distinguished rating. It integrates Amplify Reading or Bluebonnet
- * Math resources, embeds the Fundamental Five instructional practices,
- * and incorporates PAX Good Behavior Game strategies. Each plan
- * section is rendered in markdown-like HTML so that teachers can
- * internalize and print the plan easily.
+ * distinguished rating (see plan-generator.js). Each plan is built as a
+ * structured plan document (plan-model.js) and rendered to HTML so
+ * that teachers can internalize and print the plan easily.
  */
 
 // Wait for the DOM to load before attaching event handlers
@@ -20,38 +18,338 @@ document.addEventListener('DOMContentLoaded', () => {
   const actionsDiv = document.getElementById('plan-actions');
   const internalizeBtn = document.getElementById('internalize-btn');
   const internalizeTabBtn = document.getElementById('internalize-tab-btn');
+  const displayBtn = document.getElementById('display-btn');
   const modal = document.getElementById('internalization-modal');
   const modalContent = document.getElementById('internalization-content');
   const closeModalBtn = document.getElementById('close-modal-btn');
+  const historyBtn = document.getElementById('history-btn');
+  const exportDocxBtn = document.getElementById('export-docx-btn');
+  const exportPdfBtn = document.getElementById('export-pdf-btn');
+  const historyPanel = document.getElementById('version-history');
+  const autosaveStatus = document.getElementById('autosave-status');
+  const draftSelect = document.getElementById('draft-select');
+  const catalogPreview = document.getElementById('catalog-preview');
+  const catalogFile = document.getElementById('catalog-file');
+  const teacherSelect = document.getElementById('teacher-select');
+  const newTeacherBtn = document.getElementById('new-teacher-btn');
+  const teacherForm = document.getElementById('teacher-form');
+  const localeSelect = document.getElementById('locale-select');
+  // Plan document currently shown in the output area
+  let currentPlan = null;
+  let autosaveTimer = null;
+  // Curriculum catalog (curriculum.js); null until loaded or when unavailable
+  let curriculumCatalog = null;
+  // TEKS codes the catalog put in the standard field, so they can be replaced
+  let catalogStandard = '';
+
+  /**
+   * Show a plan document in the output area and remember its ID in the
+   * page URL so a reload resumes the same draft.
+   */
+  function showPlan(doc) {
+    currentPlan = doc;
+    output.innerHTML = renderPlan(doc);
+    output.style.display = 'block';
+    actionsDiv.style.display = 'block';
+    history.replaceState(null, '', `?plan=${encodeURIComponent(doc.id)}`);
+  }
+
+  /**
+   * Copy a plan's metadata and template back into the form, e.g. when
+   * resuming a draft.
+   */
+  function fillForm(plan) {
+    const { meta } = plan;
+    ['grade', 'subject', 'program', 'unit', 'lesson', 'standard'].forEach(name => {
+      form[name].value = meta[name] || '';
+    });
+    updateStrandOptions();
+    form.strand.value = meta.strand || '';
+    form.language.value = plan.language || 'en';
+    if (plan.template && getPlanTemplate(plan.template.id)) {
+      form.template.value = plan.template.id;
+    }
+  }
+
+  /**
+   * Offer the strands of the selected program, if it has any.
+   */
+  function updateStrandOptions() {
+    const options = renderStrandOptions(form.program.value);
+    form.strand.innerHTML = options;
+    document.getElementById('strand-field').style.display = options ? '' : 'none';
+  }
+
+  form.program.innerHTML = renderProgramOptions();
+  form.program.value = defaultProgramFor(form.subject.value);
+  updateStrandOptions();
+  form.program.addEventListener('change', updateStrandOptions);
+  // Plan templates the campus administrator set up (plan-templates.js)
+  form.template.innerHTML = renderTemplateOptions();
+  // New plans are written in the interface language unless the teacher picks another
+  form.language.innerHTML = renderLanguageOptions(PLAN_LANGUAGES, getLocale());
+  if (localeSelect) mountLocaleMenu(localeSelect);
+
+  /**
+   * Read the teacher's edits into the current plan and save the draft.
+   */
+  function autosave() {
+    clearTimeout(autosaveTimer);
+    if (!currentPlan) return;
+    currentPlan = readPlanEdits(currentPlan, output);
+    saveDraft(currentPlan);
+    autosaveStatus.textContent = t('Draft saved {time}', { time: new Date().toLocaleTimeString(getLocale()) });
+  }
+
+  // Autosave shortly after the teacher stops typing or toggles a checkbox
+  const scheduleAutosave = () => {
+    clearTimeout(autosaveTimer);
+    autosaveStatus.textContent = t('Saving…');
+    autosaveTimer = setTimeout(autosave, 1000);
+  };
+  output.addEventListener('input', scheduleAutosave);
+  output.addEventListener('change', scheduleAutosave);
+
+  /**
+   * Fill the teacher profile dropdown and select the active profile.
+   */
+  function refreshTeacherSelect() {
+    const active = getActiveTeacher();
+    teacherSelect.innerHTML = `<option value="">${t('— Choose your profile —')}</option>` + listTeachers()
+      .map(teacher => `<option value="${escapeHtml(teacher.id)}">${escapeHtml(teacher.name)}${teacher.campus ? ` (${escapeHtml(teacher.campus)})` : ''}</option>`)
+      .join('');
+    teacherSelect.value = active ? active.id : '';
+    if (active && active.grade && !currentPlan) {
+      form.grade.value = active.grade;
+    }
+  }
+
+  // Teacher profiles: the active profile prefills Section 1 and authors the plan
+  if (teacherSelect) {
+    refreshTeacherSelect();
+    teacherSelect.addEventListener('change', () => {
+      setActiveTeacher(teacherSelect.value || null);
+      const active = getActiveTeacher();
+      if (active && active.grade) form.grade.value = active.grade;
+    });
+    newTeacherBtn.addEventListener('click', () => {
+      teacherForm.style.display = teacherForm.style.display === 'none' ? 'block' : 'none';
+    });
+    teacherForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      try {
+        const teacher = saveTeacher({
+          name: teacherForm.elements['teacher-name'].value,
+          grade: teacherForm.elements['teacher-grade'].value,
+          campus: teacherForm.elements['teacher-campus'].value,
+        });
+        setActiveTeacher(teacher.id);
+        teacherForm.reset();
+        teacherForm.style.display = 'none';
+        refreshTeacherSelect();
+      } catch (err) {
+        alert(t(err.message));
+      }
+    });
+  }
+
+  /**
+   * Show what the catalog knows about the selected unit/lesson and
+   * prefill the TEKS field from it. A standard the teacher typed is
+   * never overwritten.
+   */
+  function updateCatalogPreview() {
+    const selection = {
+      program: form.program.value,
+      grade: form.grade.value,
+      unit: form.unit.value,
+      lesson: form.lesson.value,
+    };
+    if (!selection.unit || !selection.lesson) {
+      catalogPreview.textContent = '';
+      return;
+    }
+    const entry = findCatalogLesson(curriculumCatalog, selection);
+    const typedStandard = form.standard.value.trim();
+    if (!entry) {
+      catalogPreview.textContent = curriculumCatalog
+        ? t('This lesson is not in the curriculum catalog; a general objective will be used.')
+        : t('No curriculum catalog is loaded; a general objective will be used.');
+      if (typedStandard && typedStandard === catalogStandard) {
+        form.standard.value = '';
+        form.standard.dispatchEvent(new Event('change'));
+      }
+      catalogStandard = '';
+      return;
+    }
+    catalogPreview.innerHTML = `<strong>${escapeHtml(entry.unitTitle)} — ${escapeHtml(entry.title)}</strong><br>`
+      + `${t('Objectives:')} ${escapeHtml(entry.objectives.join('; '))}<br>`
+      + `${t('Vocabulary:')} ${escapeHtml(entry.vocabulary.join(', ') || '-')}`;
+    if (!typedStandard || typedStandard === catalogStandard) {
+      catalogStandard = entry.teks.join(', ');
+      form.standard.value = catalogStandard;
+      form.standard.dispatchEvent(new Event('change'));
+    }
+  }
+
+  ['grade', 'program', 'unit', 'lesson'].forEach(name => {
+    form[name].addEventListener('input', updateCatalogPreview);
+    form[name].addEventListener('change', updateCatalogPreview);
+  });
+  loadCurriculumCatalog().then(catalog => {
+    curriculumCatalog = catalog;
+    updateCatalogPreview();
+  });
+
+  // Import a campus curriculum catalog from a JSON file
+  if (catalogFile) {
+    catalogFile.addEventListener('change', () => {
+      const file = catalogFile.files[0];
+      if (!file) return;
+      file.text().then(text => {
+        curriculumCatalog = importCurriculumCatalog(text);
+        updateCatalogPreview();
+        alert(t('Curriculum catalog loaded.'));
+      }).catch(err => {
+        alert(t('Could not load the curriculum catalog: {message}', { message: err.message }));
+      });
+      catalogFile.value = '';
+    });
+  }
+
+  // Searchable TEKS picker for the standard field
+  const teksPickerContainer = document.getElementById('teks-picker');
+  if (teksPickerContainer) {
+    const picker = mountTeksPicker({
+      container: teksPickerContainer,
+      input: form.standard,
+      getSubject: () => form.subject.value,
+      getGrade: () => form.grade.value,
+    });
+    form.subject.addEventListener('change', picker.refresh);
+    form.grade.addEventListener('change', picker.refresh);
+  }
+
+  /**
+   * List saved drafts so a teacher can pick up where they left off.
+   */
+  function refreshDraftSelect() {
+    draftSelect.querySelectorAll('option[value]:not([value=""])').forEach(option => option.remove());
+    listDrafts().forEach(draft => {
+      const { meta } = draft.plan;
+      const option = document.createElement('option');
+      option.value = draft.id;
+      option.textContent = t('{grade} {subject} — Unit/Lesson {unitLesson} (edited {time})', {
+        grade: t(meta.grade),
+        subject: t(meta.subject),
+        unitLesson: formatUnitLesson(draft.plan.meta) || '-',
+        time: new Date(draft.updatedAt).toLocaleString(getLocale()),
+      });
+      draftSelect.appendChild(option);
+    });
+  }
+  if (draftSelect) {
+    refreshDraftSelect();
+    draftSelect.addEventListener('change', () => {
+      if (draftSelect.value) {
+        location.search = `?plan=${encodeURIComponent(draftSelect.value)}`;
+      }
+    });
+  }
+  // Menus and messages written from script follow the interface language
+  window.addEventListener(LOCALE_CHANGE_EVENT, () => {
+    if (teacherSelect) refreshTeacherSelect();
+    if (draftSelect) refreshDraftSelect();
+    updateCatalogPreview();
+  });
+
+  // Resume the draft named in the URL (e.g. index.html?plan=plan-abc123)
+  const requestedPlanId = new URLSearchParams(location.search).get('plan');
+  const requestedDraft = requestedPlanId ? getDraft(requestedPlanId) : null;
+  if (requestedDraft) {
+    fillForm(requestedDraft.plan);
+    showPlan(requestedDraft.plan);
+    output.setAttribute('contenteditable', 'false');
+  }
+
+  /**
+   * Show a newer saved copy of the current plan unless the teacher is
+   * editing it right now.
+   */
+  function pickUpDraftChanges(message) {
+    if (!currentPlan || output.getAttribute('contenteditable') === 'true') return;
+    const draft = getDraft(currentPlan.id);
+    if (draft && draft.updatedAt > currentPlan.updatedAt) {
+      showPlan(draft.plan);
+      autosaveStatus.textContent = t(message);
+    }
+  }
+
+  // Pick up changes saved for this plan from the Internalize (New Tab) page
+  window.addEventListener('storage', (e) => {
+    if (e.key === STORAGE_KEYS.drafts) pickUpDraftChanges('Updated from another tab');
+  });
+
+  // Pick up profiles, drafts and edits from other machines once the library syncs
+  window.addEventListener(STORAGE_SYNC_EVENT, () => {
+    if (teacherSelect) refreshTeacherSelect();
+    if (draftSelect) refreshDraftSelect();
+    const chosenTemplate = form.template.value;
+    form.template.innerHTML = renderTemplateOptions();
+    if (getPlanTemplate(chosenTemplate)) form.template.value = chosenTemplate;
+    const synced = !currentPlan && requestedPlanId ? getDraft(requestedPlanId) : null;
+    if (synced) {
+      fillForm(synced.plan);
+      showPlan(synced.plan);
+      output.setAttribute('contenteditable', 'false');
+    }
+    pickUpDraftChanges('Updated from the server');
+  });
 
   form.addEventListener('submit', (e) => {
     e.preventDefault();
     const grade = form.grade.value;
     const subject = form.subject.value;
     const program = form.program.value;
+    const strand = form.strand.value;
     const unit = form.unit.value;
     const lesson = form.lesson.value;
     const standard = form.standard.value.trim();
-    // Always auto‑generate the kid‑friendly lesson frame based on unit and lesson
-    const objective = generateKidFriendlyObjective({ program, subject, unit, lesson, standard });
-    const product = generateKidFriendlyProduct({ program, subject, unit, lesson, standard });
-
-    // Generate the lesson plan content
-    const planHtml = generatePlan({ grade, subject, standard, objective, product, program, unit, lesson });
-    output.innerHTML = planHtml;
-    output.style.display = 'block';
-    actionsDiv.style.display = 'block';
+    const language = form.language.value;
+    const template = getPlanTemplate(form.template.value) || campusPlanTemplate();
+    const { plan, errors, warnings } = createLessonPlan(
+      { grade, subject, program, strand, unit, lesson, standard, language },
+      {
+        catalog: curriculumCatalog,
+        author: teacherAuthor(getActiveTeacher()),
+        template,
+        // Groups come from the roster on this device; plans keep no names
+        groups: rosterPlanGroups(loadClassRoster(getActiveTeacher() && getActiveTeacher().id)),
+        misconceptions: openMisconceptions(listSubmissions(), { authorId: getActiveTeacher() && getActiveTeacher().id, subject })
+          .map(item => item.text),
+      },
+    );
+    if (errors.length) {
+      alert(`${t('Please fix the TEKS standard field:')}\n${errors.join('\n')}`);
+      return;
+    }
+    if (warnings.length) {
+      alert(`${t('The plan was generated. Please check the TEKS standard field:')}\n${warnings.join('\n')}`);
+    }
+    showPlan(plan);
+    commitDraftVersion(currentPlan, 'Generated');
+    autosaveStatus.textContent = t('Draft saved');
+    if (historyPanel) historyPanel.style.display = 'none';
     // Disable editing by default
     output.setAttribute('contenteditable', 'false');
   });
 
   // Automatically set program based on subject
   form.subject.addEventListener('change', (e) => {
-    const subj = e.target.value;
-    if (subj === 'Reading') {
-      form.program.value = 'Amplify';
-    } else if (subj === 'Math') {
-      form.program.value = 'Bluebonnet';
+    const program = defaultProgramFor(e.target.value);
+    if (program) {
+      form.program.value = program;
+      updateStrandOptions();
     }
   });
 
@@ -62,10 +360,15 @@ document.addEventListener('DOMContentLoaded', () => {
       const current = output.getAttribute('contenteditable');
       const enable = current !== 'true';
       output.setAttribute('contenteditable', enable ? 'true' : 'false');
-      editBtn.textContent = enable ? 'Stop Editing' : 'Edit Plan';
+      editBtn.dataset.i18n = enable ? 'Stop Editing' : 'Edit Plan';
+      editBtn.textContent = t(editBtn.dataset.i18n);
       // When editing is enabled, focus the output area
       if (enable) {
         output.focus();
+      } else {
+        // Finishing an editing session records a version in the history
+        autosave();
+        commitDraftVersion(currentPlan, 'Edited');
       }
     });
   }
@@ -74,93 +377,80 @@ document.addEventListener('DOMContentLoaded', () => {
   if (addLinkBtn) {
     addLinkBtn.addEventListener('click', () => {
       if (!output.innerHTML) return;
-      const url = prompt('Enter the URL to hyperlink:');
+      const url = prompt(t('Enter the URL to hyperlink:'));
       if (!url) return;
       // Use document.execCommand to create link on current selection
       const selection = window.getSelection();
       if (!selection || selection.isCollapsed) {
-        alert('Please highlight the text you want to hyperlink before clicking Add Link.');
+        alert(t('Please highlight the text you want to hyperlink before clicking Add Link.'));
         return;
       }
       document.execCommand('createLink', false, url);
+      scheduleAutosave();
     });
   }
 
-  // Submit Plan button saves the current plan to localStorage for teacher and admin hubs
+  // Version History button lists saved versions with compare and restore
+  if (historyBtn) {
+    historyBtn.addEventListener('click', () => {
+      if (!currentPlan) return;
+      autosave();
+      showVersionHistory(historyPanel, currentPlan.id, () => readPlanEdits(currentPlan, output), showPlan);
+    });
+  }
+
+  // Export buttons download the plan as a Word document or a PDF
+  if (exportDocxBtn) {
+    exportDocxBtn.addEventListener('click', () => {
+      if (!currentPlan) return;
+      autosave();
+      exportPlanDocx(currentPlan);
+    });
+  }
+  if (exportPdfBtn) {
+    exportPdfBtn.addEventListener('click', () => {
+      if (!currentPlan) return;
+      autosave();
+      exportPlanPdf(currentPlan);
+    });
+  }
+
+  // Submit Plan button sends the current plan to the teacher and admin hubs
   if (submitBtn) {
     submitBtn.addEventListener('click', () => {
-      if (!output.innerHTML) return;
-      // Prepare plan data: include metadata and HTML content
-      const planData = {
-        timestamp: new Date().toISOString(),
-        grade: form.grade.value,
-        subject: form.subject.value,
-        program: form.program.value,
-        unit: form.unit.value,
-        lesson: form.lesson.value,
-        standard: form.standard.value.trim(),
-        html: output.innerHTML,
-      };
-      // Retrieve existing plans or initialize arrays
-      const teacherPlans = JSON.parse(localStorage.getItem('teacherPlans') || '[]');
-      const adminPlans = JSON.parse(localStorage.getItem('adminPlans') || '[]');
-      // Add new plan to both arrays
-      teacherPlans.push(planData);
-      adminPlans.push(planData);
-      localStorage.setItem('teacherPlans', JSON.stringify(teacherPlans));
-      localStorage.setItem('adminPlans', JSON.stringify(adminPlans));
-      alert('Lesson plan submitted successfully. It has been added to your lesson plan page and the administrator hub.');
+      if (!currentPlan) return;
+      // Capture teacher edits into the plan document before saving it
+      autosave();
+      submitPlan(currentPlan);
+      alert(t('Lesson plan submitted successfully. It has been added to your lesson plan page and the administrator hub.'));
     });
   }
 
-  // Internalization modal content using Amplify guidelines
-  const skillsInternalization = [
-    'Review the Primary Focus Objective(s) and identify how they build toward student success with grade‑level requirements.',
-    'Complete the lesson’s formative assessments: record which foundational skills students must demonstrate on the activity page, and note sound/spelling correspondences from the Student Reader【985786019224508†L2-L14】.',
-    'Analyze the Check for Understanding and list the foundational skills students need to succeed.',
-    'Examine the Lesson at a Glance: determine the intended learning of each segment (e.g., phonics, phonemic awareness) and how each sets students up for the CFU or formative assessment【985786019224508†L15-L21】.',
-    'Review each lesson segment and reflect on included engagement strategies and required materials【985786019224508†L23-L25】.',
-    'Plan additional checks for understanding for segments without a built‑in CFU; decide what counts as acceptable performance【985786019224508†L26-L28】.',
-    'Consider flexible grouping based on mastery; plan strategic partnerships or differentiated activities for students who have already mastered the target correspondence【985786019224508†L29-L31】.',
-    'Anticipate misconceptions (e.g., articulation issues); prepare strategies to address them【985786019224508†L33-L35】.',
-    'Incorporate additional engagement techniques such as call and response, movements, or turn and talk【985786019224508†L36-L38】.',
-    'Decide where in the classroom each lesson segment will take place (e.g., carpet, small‑group table)【985786019224508†L39-L39】.'
-  ];
-  const knowledgeInternalization = [
-    'Review the Primary Focus Objectives and align them to grade‑level requirements; identify how they build toward student success【245424650996294†L2-L7】.',
-    'Complete the lesson’s formative assessment/exit pass and checks for understanding; record the literacy skills, knowledge or vocabulary students must demonstrate【245424650996294†L8-L12】.',
-    'Read each lesson segment (Introducing the Read‑Aloud, Read‑Aloud, Application) and reflect on how it prepares students for the Primary Focus Objectives, checks for understanding and formative assessment【245424650996294†L14-L19】.',
-    'Identify engagement strategies and materials needed for each segment【245424650996294†L19-L21】.',
-    'Review the read‑aloud sidebar supports/questions and prioritize which to use to help students master the objectives and assessments【245424650996294†L22-L27】.',
-    'Examine the discussion questions, select which to ask after the read‑aloud, and decide on response formats (Think‑Pair‑Share, small groups, Socratic Seminar, call and response)【245424650996294†L28-L37】.',
-    'Anticipate misconceptions and prepare strategies to address them【245424650996294†L38-L39】.',
-    'Plan additional engagement (props, artifacts, multimedia, movements) to keep students involved【245424650996294†L40-L43】.',
-    'Plan the Application segment: determine how activities will extend learning and how you will execute them【245424650996294†L44-L48】.'
-  ];
-
   /**
-   * Populate the internalization modal based on subject. Reading lessons
-   * may be categorized as Skills or Knowledge. For now, we display both
-   * sets of guidelines.
+   * Show the internalization checklist for the current plan in the
+   * modal. Checked steps and notes are saved with the plan.
    */
-  function showInternalizationGuide(subject) {
-    let html = '';
-    if (subject === 'Reading') {
-      html += '<h3>Skills Lesson Internalization (Amplify K–2)</h3><ul>' + skillsInternalization.map(item => `<li>${item}</li>`).join('') + '</ul>';
-      html += '<h3>Knowledge Lesson Internalization (Amplify K–2)</h3><ul>' + knowledgeInternalization.map(item => `<li>${item}</li>`).join('') + '</ul>';
-    } else {
-      // For math, reuse general prompts
-      html += '<p>Refer to the differentiation and internalization prompts provided in the lesson plan. Specific math internalization guidelines can be added here when available.</p>';
-    }
-    modalContent.innerHTML = html;
+  function showInternalizationGuide() {
+    modalContent.innerHTML = renderInternalizationChecklist(currentPlan);
     modal.style.display = 'block';
   }
 
+  // Save checklist changes with the plan
+  modalContent.addEventListener('change', (e) => {
+    if (!currentPlan) return;
+    currentPlan = readInternalizationChecklist(currentPlan, modalContent);
+    saveDraft(currentPlan);
+    autosaveStatus.textContent = t('Draft saved {time}', { time: new Date().toLocaleTimeString(getLocale()) });
+    // Redraw for the new progress or lesson type; notes need no redraw
+    if (!e.target.matches('[data-step-notes]')) showInternalizationGuide();
+  });
+
   // Event listener for Internalize Lesson button
   if (internalizeBtn) {
     internalizeBtn.addEventListener('click', () => {
-      const subject = form.subject.value;
-      showInternalizationGuide(subject);
+      if (!currentPlan) return;
+      autosave();
+      showInternalizationGuide();
     });
   }
 
@@ -168,21 +458,21 @@ document.addEventListener('DOMContentLoaded', () => {
   if (internalizeTabBtn) {
     internalizeTabBtn.addEventListener('click', () => {
       // Ensure a plan exists
-      if (!output.innerHTML) return;
-      // Save current plan HTML and metadata to localStorage for the internalization page
-      const planData = {
-        html: output.innerHTML,
-        subject: form.subject.value,
-        grade: form.grade.value,
-        program: form.program.value,
-        unit: form.unit.value,
-        lesson: form.lesson.value,
-        standard: form.standard.value.trim(),
-        timestamp: new Date().toISOString(),
-      };
-      localStorage.setItem('currentInternalizationPlan', JSON.stringify(planData));
+      if (!currentPlan) return;
+      // Save the draft; the internalization page opens it by plan ID
+      autosave();
       // Open the internalization page in a new tab
-      window.open('internalize.html', '_blank');
+      window.open(`internalize.html?plan=${encodeURIComponent(currentPlan.id)}`, '_blank');
+    });
+  }
+
+  // Event listener for Display for Class button
+  if (displayBtn) {
+    displayBtn.addEventListener('click', () => {
+      if (!currentPlan) return;
+      // Save the draft; the class display opens it by plan ID
+      autosave();
+      window.open(`class-display.html?plan=${encodeURIComponent(currentPlan.id)}`, '_blank');
     });
   }
 
@@ -193,321 +483,3 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 });
-
-/**
- * Build a lesson plan given form inputs. This function
- * assembles sections of the plan and returns a string of
- * HTML. Content is drawn from Texas TEKS standards, Amplify
- * Reading games, Bluebonnet Math routines, Fundamental Five,
- * and PAX GBG guidelines.
- * @param {Object} data
- */
-function generatePlan(data) {
-  const { grade, subject, standard, objective, product, program, unit, lesson } = data;
-
-  // Determine subject‑specific details
-  const subjectDetails = subject === 'Reading' ? getReadingDetails() : getMathDetails();
-
-  /*
-   * Assemble a comprehensive lesson plan aligned to the TTESS Distinguished
-   * Lesson Plan Template. The output mimics the sections of the template:
-   * Lesson information, objectives and success criteria, formative
-   * assessments, materials, classroom culture (PAX + Fundamental Five),
-   * lesson frame, lesson procedures (with sub‑sections), differentiation,
-   * teacher reflection, administrator look‑fors, and an internalization
-   * guide. When available, the unit and lesson numbers drive the
-   * kid‑friendly objective and product; the optional TEKS concept
-   * supplements descriptions. Teachers can fill in blank areas of the plan.
-   */
-
-  // Format standard display
-  const standardDisplay = standard ? `${standard}` : '';
-  const unitLessonDisplay = unit || lesson ? `${unit || ''}${unit && lesson ? '/' : ''}${lesson || ''}` : '';
-
-  // Build the plan sections
-  // Section 1: Lesson Information
-  const infoSection = `
-    <h2>Section 1 — Lesson Information</h2>
-    <table style="width:100%; border-collapse: collapse;">
-      <tr><td style="font-weight:bold; width:30%;">Teacher</td><td>__________________________</td></tr>
-      <tr><td style="font-weight:bold;">Grade / Subject</td><td>${grade || 'K–2'} ${subject}</td></tr>
-      <tr><td style="font-weight:bold;">Lesson Date</td><td>__________________________</td></tr>
-      <tr><td style="font-weight:bold;">Unit / Lesson #</td><td>${unitLessonDisplay || '___/___'}</td></tr>
-      <tr><td style="font-weight:bold;">TEKS</td><td>${standardDisplay || '__________________________'}</td></tr>
-      <tr><td style="font-weight:bold;">Lesson Duration</td><td>__________________________</td></tr>
-    </table>
-  `;
-
-  // Section 2: Objective, Learning Goals, Success Criteria
-  const successCriteria = subject === 'Reading'
-    ? [
-        'Use phonological or phonics skills (e.g., blend and segment sounds, decode high‑frequency words).',
-        'Demonstrate comprehension by answering text‑dependent questions and summarizing key ideas.',
-        'Apply new vocabulary in speaking and writing activities.',
-      ]
-    : [
-        'Demonstrate conceptual understanding by solving problems using appropriate strategies or models.',
-        'Explain mathematical reasoning verbally or in writing.',
-        'Apply new vocabulary and use manipulatives or visuals to justify solutions.',
-      ];
-  const objSection = `
-    <h2>Section 2 — Objective, Learning Goals & Success Criteria</h2>
-    <p><strong>Lesson Objective:</strong> ${objective.replace('We will', 'Students will')} (include decoding, comprehension, vocabulary, skills as appropriate).</p>
-    <p><strong>Student‑Friendly Learning Goal:</strong> "${objective.replace('We will', 'Today I will')}"</p>
-    <p><strong>Success Criteria (Distinguished):</strong></p>
-    <ul>
-      ${successCriteria.map(c => `<li>${c}</li>`).join('')}
-    </ul>
-  `;
-
-  // Section 3: Formative Assessment & Exit Ticket
-  const assessmentSection = `
-    <h2>Section 3 — Formative Assessment & Exit Ticket</h2>
-    <p><strong>Checks for Understanding Throughout Lesson:</strong></p>
-    <ul style="list-style-type:none;">
-      <li><input type="checkbox"/> Whiteboard responses</li>
-      <li><input type="checkbox"/> Turn & Talk</li>
-      <li><input type="checkbox"/> Cold call</li>
-      <li><input type="checkbox"/> Partner reading checks</li>
-      ${subject === 'Reading' ? '<li><input type="checkbox"/> Choral read accuracy</li>' : ''}
-      <li><input type="checkbox"/> Vocabulary application</li>
-    </ul>
-    <p><strong>Exit Ticket:</strong> _________________________________________________</p>
-  `;
-
-  // Section 4: Materials & Resources
-  const materialsSection = `
-    <h2>Section 4 — Materials & Resources</h2>
-    <ul>
-      <li>${program} Teacher Guide / Slides</li>
-      ${subject === 'Reading' ? '<li>Vocabulary Cards</li><li>Decodables / Knowledge Text</li>' : '<li>Manipulatives / Math Tools</li><li>Eureka Math/Bluebonnet Materials</li>'}
-      <li>Whiteboards / Markers</li>
-      <li>Anchor Charts</li>
-      <li>PAX GBG Team Board</li>
-      <li>Fundamental Five Frame‑the‑Lesson Board</li>
-      <li>Other: _____________________________________</li>
-    </ul>
-  `;
-
-  // Section 5: Classroom Culture (PAX + Fundamental Five)
-  const cultureSection = `
-    <h2>Section 5 — Classroom Culture (PAX + Fundamental Five)</h2>
-    <table style="width:100%; border-collapse: collapse;">
-      <tr><td style="font-weight:bold; width:30%;">PAX Vision for Lesson</td><td>More of: ________ | Less of: ________</td></tr>
-      <tr><td style="font-weight:bold;">PAX Signals & Routines</td><td>Harmonicas, PAX Quiet, PAX Hands/Eyes/Heart</td></tr>
-      <tr><td style="font-weight:bold;">Good Behavior Game Rounds</td><td>
-        <label><input type="checkbox"/> Whole Group Reading / Instruction</label>
-        <label><input type="checkbox"/> Partner Work</label>
-        <label><input type="checkbox"/> Independent Practice</label>
-      </td></tr>
-      <tr><td style="font-weight:bold;">PAX Kernels</td><td>
-        <label><input type="checkbox"/> Tootles</label>
-        <label><input type="checkbox"/> Beat the Timer</label>
-        <label><input type="checkbox"/> Random Sticks</label>
-        <label><input type="checkbox"/> Wacky Prizes</label>
-      </td></tr>
-      <tr><td style="font-weight:bold;">Fundamental Five Elements</td><td>Frame the Lesson, Power Zone, Frequent Talk, Recognize & Reinforce, Critical Writing</td></tr>
-    </table>
-  `;
-
-  // Section 6: Lesson Frame (Fundamental Five)
-  const frameSection = `
-    <h2>Section 6 — Lesson Frame (Fundamental Five)</h2>
-    <table style="width:100%; border-collapse: collapse;">
-      <tr><td style="font-weight:bold; width:30%;">Frame the Lesson (Beginning)</td><td>
-        <p><strong>Today we will...</strong> ${objective.replace('We will', '').trim()}.</p>
-        <p><strong>You will know you are successful when...</strong> ${successCriteria[0]}</p>
-      </td></tr>
-      <tr><td style="font-weight:bold;">Frame the Lesson (End)</td><td>
-        <p>Review the objective and success criteria. Provide a reflective prompt or exit question for students to connect learning back to the goal.</p>
-      </td></tr>
-    </table>
-  `;
-
-  // Section 7: Lesson Procedures (Amplify/Bluebonnet + T‑TESS Distinguished)
-  const proceduresSection = `
-    <h2>Section 7 — Lesson Procedures (${program} + TTESS Distinguished)</h2>
-    <h3>A. Opening Routine (3–5 min)</h3>
-    <ul>
-      <li>PAX Quiet signal and attention getter</li>
-      <li>Review objective and success criteria with students</li>
-      <li>Engage prior knowledge or connection to previous lesson</li>
-    </ul>
-    <h3>B. Vocabulary & Knowledge Building (5–8 min)</h3>
-    <ul>
-      <li>Introduce new vocabulary with student‑friendly definitions</li>
-      <li>Use gestures, images or realia to reinforce understanding</li>
-      <li>Have students Turn & Talk using the vocabulary in context</li>
-      <li>Begin a PAX GBG mini‑round to reinforce focus and cooperation</li>
-    </ul>
-    <h3>C. ${subject === 'Reading' ? 'Read‑Aloud / Decodable Reading' : 'Concept Instruction / Guided Practice'} (10–15 min)</h3>
-    <ul>
-      <li>Teacher modeling of ${subject === 'Reading' ? 'fluency and comprehension strategies' : 'mathematical concept or problem‑solving strategy'}</li>
-      <li>Pose text‑dependent or concept questions to check understanding</li>
-      <li>Incorporate Turn & Talk and other CFUs (Cold call, whiteboard responses)</li>
-      <li>Record student evidence responses to gauge progress</li>
-    </ul>
-    <h3>D. Skills Practice / Word Work (10–12 min)</h3>
-    <ul>
-      ${subject === 'Reading'
-        ? '<li>Blending and segmenting sounds; dictation or spelling patterns</li><li>Small‑group adjustments based on student needs</li><li>PAX reinforcement (e.g., tootles)</li>'
-        : '<li>Problem sets using manipulatives; fact fluency games</li><li>Small‑group adjustments to differentiate for skill levels</li><li>PAX reinforcement for on‑task math discussion</li>'}
-    </ul>
-    <h3>E. Partner Practice (5–8 min)</h3>
-    <ul>
-      <li>Students engage in purposeful talk tasks</li>
-      <li>${subject === 'Reading' ? 'Rereading, retelling or comprehension tasks' : 'Pair‑problem solving and explanation'}</li>
-      <li>Conduct GBG mini‑round #2 to maintain focus</li>
-    </ul>
-    <h3>F. Independent Practice / Stations (8–12 min)</h3>
-    <p>Set up stations with tasks aligned to the lesson objective:</p>
-    <ul>
-      ${subject === 'Reading'
-        ? '<li>Station 1: Decodable practice using Amplify games</li><li>Station 2: Vocabulary activity or graphic organizer</li><li>Station 3: Writing response to reading</li>'
-        : '<li>Station 1: Problem solving with manipulatives</li><li>Station 2: Math games (e.g., number bonds, math facts)</li><li>Station 3: Application problems using Bluebonnet digital tools</li>'}
-      <li>Teacher small‑group: Provide guided instruction and feedback to targeted learners</li>
-    </ul>
-    <h3>G. Closure & Exit Ticket (5 min)</h3>
-    <ul>
-      <li>Review the learning goal and success criteria</li>
-      <li>Ask students to reflect on how they met the goal; incorporate FSGPT</li>
-      <li>Administer exit ticket aligned to the objective</li>
-      <li>Celebrate with PAX tootles or quick recognition</li>
-    </ul>
-  `;
-
-  // Section 8: Differentiation
-  const differentiationSection = `
-    <h2>Section 8 — Differentiation</h2>
-    <table style="width:100%; border-collapse: collapse;">
-      <tr><th style="text-align:left; width:30%;">Student Group</th><th style="text-align:left;">Supports Planned</th></tr>
-      <tr><td>Struggling Learners</td><td>Provide concrete supports (e.g., manipulatives, additional phonics practice), scaffolded questioning, and more frequent check‑ins.</td></tr>
-      <tr><td>On‑Level Learners</td><td>Offer guided practice with gradual release, peer collaboration, and feedback opportunities.</td></tr>
-      <tr><td>Advanced Learners</td><td>Challenge with extension tasks, open‑ended problems or enrichment texts, and opportunities to teach peers.</td></tr>
-      <tr><td>Students Needing Behavior Support</td><td>Use PAX kernels and clear expectations, positive recognition, and structured choices to encourage engagement.</td></tr>
-    </table>
-  `;
-
-  // Section 9: Teacher Reflection
-  const reflectionSection = `
-    <h2>Section 9 — Teacher Reflection (Distinguished Requirement)</h2>
-    <p>After the lesson, reflect on the following prompts. Document your responses in the space provided:</p>
-    <ul>
-      <li>What evidence showed mastery?</li>
-      <li>What misunderstandings appeared?</li>
-      <li>How will I adjust instruction tomorrow?</li>
-      <li>How did PAX & Fundamental Five improve engagement?</li>
-    </ul>
-    <p>Notes: ________________________________________________</p>
-  `;
-
-  // Section 10: Administrator Look‑Fors
-  const adminSection = `
-    <h2>Section 10 — Administrator Look‑Fors (Distinguished Alignment)</h2>
-    <p>This lesson is designed to produce evidence in:</p>
-    <ul>
-      <li><strong>Domain 1 (Planning)</strong>: alignment to TEKS/standards, intentional strategies, differentiation for varied learners.</li>
-      <li><strong>Domain 2 (Instruction)</strong>: student engagement, effective questioning, checks for understanding, student thinking and discourse.</li>
-      <li><strong>Domain 3 (Classroom Culture)</strong>: PAX routines and kernels, respectful interactions, classroom management, joy in learning.</li>
-    </ul>
-  `;
-
-  // Lesson Internalization Guide (new section for teacher to fill in)
-  const internalizationGuide = `
-    <h2>Lesson Internalization Guide</h2>
-    <p>Prior to teaching, use this guide to internalize the lesson:</p>
-    <ul>
-      <li><strong>Key Concepts & Vocabulary:</strong> Identify essential ideas and words students must understand.</li>
-      <li><strong>Anticipated Misconceptions:</strong> What errors or misunderstandings might occur? Plan strategies to address them.</li>
-      <li><strong>Differentiation & Scaffolds:</strong> How will you adjust for struggling and advanced learners? What supports will you provide?</li>
-      <li><strong>Cross‑Curricular Connections:</strong> How does this lesson connect to other subjects or real‑world experiences?</li>
-      <li><strong>Fundamental Five Strategies:</strong> Plan for framing the lesson, positioning in the power zone, frequent purposeful talk, recognition and reinforcement, and critical writing.</li>
-      <li><strong>PAX Integration:</strong> How will you use PAX GBG rounds and kernels to support a positive culture?</li>
-      <li><strong>Assessment & Evidence:</strong> What specific evidence will show that students met the success criteria?</li>
-    </ul>
-    <p><em>Use these prompts to jot down notes and ensure you are fully prepared for high‑quality instruction.</em></p>
-  `;
-
-  // Compose full plan
-  const fullPlan = `
-    <h2>Overview</h2>
-    <p><strong>Grade:</strong> ${grade} | <strong>Subject:</strong> ${subject} | <strong>Program:</strong> ${program} | <strong>Unit/Lesson:</strong> ${unitLessonDisplay || '-'}${standardDisplay ? ` | <strong>Standard/Concept:</strong> ${standardDisplay}` : ''}</p>
-    ${infoSection}
-    ${objSection}
-    ${assessmentSection}
-    ${materialsSection}
-    ${cultureSection}
-    ${frameSection}
-    ${proceduresSection}
-    ${differentiationSection}
-    ${internalizationGuide}
-    ${reflectionSection}
-    ${adminSection}
-  `;
-  return fullPlan;
-}
-
-/**
- * Provide subject‑specific activity recommendations for reading.
- */
-function getReadingDetails() {
-  return {
-    activities: `
-      <p><strong>Amplify Reading Integration:</strong> Create reading stations using Amplify’s adaptive games to target foundational skills. For example:</p>
-      <ul>
-        <li><em>Phonological awareness:</em> Use games like <strong>Cut It Out</strong> or <strong>Gem &amp; Nye</strong> where students isolate and blend sounds; these align with standards such as CCSS.ELA-LITERACY.RF.K.2.D【597195531784893†L350-L368】.</li>
-        <li><em>Phonics decoding:</em> Use <strong>Curioso Crossing</strong> or <strong>Food Truck</strong> to practice reading high‑frequency words, decoding multi‑syllabic words, and spelling patterns【597195531784893†L424-L456】.</li>
-        <li><em>Comprehension:</em> After reading a story in Amplify’s eReader, have students discuss characters and events, then write about the main idea or create graphic organizers.</li>
-      </ul>
-      <p>Include read‑alouds and guided practice to model fluent reading. Encourage students to set reading goals and self‑monitor their progress, aligning with T‑TESS expectations of goal‑setting and self‑regulation【465862501687436†L446-L468】.</p>
-    `
-  };
-}
-
-/**
- * Provide subject‑specific activity recommendations for math.
- */
-function getMathDetails() {
-  return {
-    activities: `
-      <p><strong>Bluebonnet Math Integration:</strong> Design lessons around the TEKS readiness standards using Bluebonnet Learning materials. Key features include routines, models, digital tools, and student agency【885786470742668†L124-L130】.</p>
-      <ul>
-        <li>Begin with a concrete experience using manipulatives or visual models from Bluebonnet’s margin notes, then transition to pictorial and abstract representations.</li>
-        <li>Use problem‑based learning tasks that promote reasoning and perseverance. Encourage students to explain their thinking and connect concepts horizontally and vertically across grade levels【885786470742668†L194-L206】.</li>
-        <li>Incorporate digital assessments from Bluebonnet’s platform to provide immediate feedback and prepare students for STAAR‑aligned questions【885786470742668†L174-L176】.</li>
-      </ul>
-      <p>Promote student ownership by having students set math goals and monitor their progress. Provide opportunities for peer teaching and collaborative problem solving.</p>
-    `
-  };
-}
-
-/**
- * Generate a kid‑friendly objective when the teacher does not supply one.
- * The objective references the selected program, unit, lesson and standard.
- */
-function generateKidFriendlyObjective({ program, subject, unit, lesson, standard }) {
-  const prog = program || (subject === 'Reading' ? 'Amplify' : 'Bluebonnet');
-  let unitLessonPart = '';
-  if (unit) {
-    unitLessonPart += `Unit ${unit}`;
-  }
-  if (lesson) {
-    unitLessonPart += unitLessonPart ? `, Lesson ${lesson}` : `Lesson ${lesson}`;
-  }
-  // Build a generic description of the subject
-  const skillPhrase = subject === 'Reading' ? 'our reading skills' : 'our math skills';
-  const conceptPart = standard ? ` about ${standard.toLowerCase()}` : '';
-  const objective = `We will explore ${unitLessonPart || 'our lesson'} from the ${prog} ${subject} program${conceptPart} to develop ${skillPhrase}.`;
-  return objective;
-}
-
-/**
- * Generate a kid‑friendly evidence statement when the teacher does not supply one.
- * This describes how students will show mastery in a general way.
- */
-function generateKidFriendlyProduct({ program, subject, unit, lesson, standard }) {
-  const prog = program || (subject === 'Reading' ? 'Amplify' : 'Bluebonnet');
-  const action = subject === 'Reading' ? 'reading stories and playing learning games' : 'solving problems and explaining our thinking';
-  const product = `I will show what I learned in ${prog} by ${action}.`;
-  return product;
-}
\ No newline at end of file
@@ -0,0 +1,79 @@
+/*
+ * Library Store
+ * The sync server's copy of the shared plan library: submitted plans,
+ * drafts, users (teacher profiles) and plan templates, kept in one JSON file. Each write
+ * goes to a temporary file that then replaces the library, so a crash
+ * mid-write never leaves a truncated file behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { mergeSubmissions, newerCopy } = require('../submission-merge.js');
+
+const COLLECTIONS = ['plans', 'drafts', 'users', 'templates'];
+
+/**
+ * Open (or create) a library file.
+ * @param {string} file path of the JSON file
+ */
+function createLibraryStore(file) {
+  const data = {};
+  const stored = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  COLLECTIONS.forEach(collection => { data[collection] = stored[collection] || {}; });
+
+  const persist = () => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temporary = `${file}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(data, null, 2));
+    fs.renameSync(temporary, file);
+  };
+
+  return {
+    collections: COLLECTIONS,
+    list(collection) {
+      return Object.keys(data[collection]).map(id => data[collection][id]);
+    },
+    get(collection, id) {
+      return data[collection][id] || null;
+    },
+    /**
+     * Save an item. Submissions are merged with the stored copy, as
+     * devices that were offline send copies older than the server's;
+     * other items are saved unless the stored copy changed more recently.
+     * @returns {{item: Object, conflict: boolean}} the stored item
+     */
+    put(collection, item) {
+      const stored = data[collection][item.id];
+      if (collection !== 'plans' && stored && newerCopy(item, stored) === stored) {
+        return { item: stored, conflict: true };
+      }
+      const saved = collection === 'plans' ? mergeSubmissions(stored, item) : item;
+      data[collection][item.id] = saved;
+      persist();
+      return { item: saved, conflict: false };
+    },
+    remove(collection, id) {
+      if (!data[collection][id]) return false;
+      delete data[collection][id];
+      persist();
+      return true;
+    },
+    /**
+     * Add a review comment to a submission; adding the same comment
+     * twice has no effect.
+     * @returns {Object|null} the comment, or null when the plan is unknown
+     */
+    addComment(planId, comment) {
+      const entry = data.plans[planId];
+      if (!entry) return null;
+      entry.comments = entry.comments || [];
+      if (!entry.comments.some(existing => existing.id === comment.id)) {
+        entry.comments.push(comment);
+        persist();
+      }
+      return comment;
+    },
+  };
+}
+
+module.exports = { createLibraryStore };
@@ -0,0 +1,208 @@
+/*
+ * Lesson Plan Sync Server
+ * A small self-hosted server that lets teachers and administrators on
+ * different machines share one plan library. It serves the app and a
+ * REST API backed by a JSON file (library-store.js):
+ *
+ *   GET    /api/plans                 all submitted plans
+ *   GET    /api/plans/:id             one submission
+ *   PUT    /api/plans/:id             create or replace a submission
+ *   DELETE /api/plans/:id
+ *   GET    /api/plans/:id/comments    review comments on a submission
+ *   POST   /api/plans/:id/comments    add a review comment
+ *   GET    /api/drafts, /api/drafts/:id, PUT and DELETE /api/drafts/:id
+ *   GET    /api/users, /api/users/:id, PUT and DELETE /api/users/:id
+ *   GET    /api/templates, /api/templates/:id, PUT and DELETE /api/templates/:id
+ *
+ * A PUT of a submission is merged with the stored copy. A PUT of any
+ * other item older than the stored copy is refused with 409 and the
+ * stored copy for the client to merge with its own.
+ *
+ * Start the server with `node server/server.js` and open
+ * http://localhost:8080/ on each machine. PORT and PLAN_DATA_FILE
+ * (default server/data/library.json) configure it. There is no login,
+ * so run it only on a trusted campus network.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { createLibraryStore } = require('./library-store');
+
+const APP_DIR = path.join(__dirname, '..');
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+};
+// The pages, their scripts and the catalog data; nothing else in the
+// repository (tests, the server and its library file) is served
+const APP_FILES = /^(?:[\w-]+\.(?:html|js|css|png|svg)|data\/[\w-]+\.(?:js|json))$/;
+// Pages served by this server share its library
+const STORAGE_CONFIG = "const PLAN_STORAGE = { backend: 'http', url: '' };\n";
+
+/**
+ * An error with the HTTP status to answer with.
+ */
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Decode a percent-encoded path or id; a malformed one is a bad request.
+ */
+function decodePath(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (err) {
+    throw httpError(400, 'The address is not valid.');
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body.
+ * @returns {Promise<Object>}
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(httpError(413, 'Request body is too large.'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (err) {
+        reject(httpError(400, 'Request body is not valid JSON.'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Answer an /api request.
+ * @param {Object} store library store
+ * @param {string[]} parts path segments after /api
+ */
+function handleApi(store, req, res, parts) {
+  const [collection, rawId, sub] = parts;
+  const id = rawId && decodePath(rawId);
+  if (!store.collections.includes(collection) || parts.length > 3 || (sub && (sub !== 'comments' || collection !== 'plans'))) {
+    throw httpError(404, 'No such resource.');
+  }
+
+  if (sub === 'comments') {
+    const entry = store.get('plans', id);
+    if (!entry) throw httpError(404, `Plan ${id} was not found.`);
+    if (req.method === 'GET') return sendJson(res, 200, entry.comments || []);
+    if (req.method !== 'POST') throw httpError(405, 'Use GET or POST for comments.');
+    return readJsonBody(req).then((comment) => {
+      if (!comment || typeof comment.id !== 'string' || typeof comment.text !== 'string') {
+        throw httpError(400, 'A comment needs an id and text.');
+      }
+      sendJson(res, 201, store.addComment(id, comment));
+    });
+  }
+
+  if (!id) {
+    if (req.method !== 'GET') throw httpError(405, `Use GET for /api/${collection}.`);
+    return sendJson(res, 200, store.list(collection));
+  }
+  switch (req.method) {
+    case 'GET': {
+      const item = store.get(collection, id);
+      if (!item) throw httpError(404, `${id} was not found.`);
+      return sendJson(res, 200, item);
+    }
+    case 'PUT':
+      return readJsonBody(req).then((item) => {
+        if (!item || item.id !== id) throw httpError(400, 'The body must be an object whose id matches the URL.');
+        const { item: saved, conflict } = store.put(collection, item);
+        sendJson(res, conflict ? 409 : 200, saved);
+      });
+    case 'DELETE':
+      if (!store.remove(collection, id)) throw httpError(404, `${id} was not found.`);
+      res.writeHead(204);
+      return res.end();
+    default:
+      throw httpError(405, 'Method not allowed.');
+  }
+}
+
+/**
+ * Serve a file of the app listed by APP_FILES.
+ */
+function serveStatic(req, res, pathname) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') throw httpError(405, 'Method not allowed.');
+  if (pathname === '/storage-config.js') {
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES['.js'] });
+    return res.end(req.method === 'HEAD' ? undefined : STORAGE_CONFIG);
+  }
+  const relative = decodePath(pathname === '/' ? '/index.html' : pathname).slice(1);
+  const file = path.join(APP_DIR, relative);
+  if (!APP_FILES.test(relative) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+    throw httpError(404, 'Not found.');
+  }
+  res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+  if (req.method === 'HEAD') return res.end();
+  return fs.createReadStream(file).pipe(res);
+}
+
+/**
+ * Create the sync server (not yet listening).
+ * @param {Object} [options]
+ * @param {string} [options.dataFile] JSON file holding the library
+ * @returns {http.Server}
+ */
+function createSyncServer({ dataFile = path.join(__dirname, 'data', 'library.json') } = {}) {
+  const store = createLibraryStore(dataFile);
+  return http.createServer((req, res) => {
+    // Copies of the app opened from another address may use this server
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const parts = pathname.split('/').filter(Boolean);
+    Promise.resolve()
+      .then(() => (parts[0] === 'api' ? handleApi(store, req, res, parts.slice(1)) : serveStatic(req, res, pathname)))
+      .catch((err) => {
+        if (res.headersSent) {
+          res.end();
+          return;
+        }
+        sendJson(res, err.status || 500, { error: err.status ? err.message : 'Internal server error.' });
+        if (!err.status) console.error(err);
+      });
+  });
+}
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 8080;
+  createSyncServer({ dataFile: process.env.PLAN_DATA_FILE || undefined }).listen(port, () => {
+    console.log(`Lesson plan sync server: http://localhost:${port}/`);
+  });
+}
+
+module.exports = { createSyncServer };
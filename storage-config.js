@@ -0,0 +1,18 @@
+/*
+ * Storage Configuration
+ * Where the plan library is kept. With backend 'local' everything stays
+ * in this browser. With backend 'http' plans, comments and teacher
+ * profiles are shared through the sync server (server/server.js). The
+ * server replaces this file when it serves the app, so pages opened
+ * from the server share its library automatically; to use a server
+ * from a copy of the app opened elsewhere, set backend to 'http' and
+ * url to the server's address, e.g. 'http://192.168.1.20:8080'.
+ */
+
+const PLAN_STORAGE = { backend: 'local', url: '' };
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    PLAN_STORAGE,
+  };
+}
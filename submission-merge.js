@@ -0,0 +1,110 @@
+/*
+ * Submission Merge
+ * How two copies of a stored item are combined when they meet: on the
+ * sync server when a device sends its copy, on a device when the server
+ * answers with its own, and when a library backup is imported. Each part
+ * of a submitted plan changes for its own reason and is merged on its
+ * own time: the plan on when it was edited, the review decision on when
+ * it was made, lesson results on when they were recorded or resolved and
+ * observations on when they were updated; comments are kept from both
+ * copies. A device that was offline therefore cannot undo a review it
+ * had not seen, and a review cannot drop results recorded meanwhile.
+ * The pages load this file and the sync server requires it.
+ */
+
+(function (factory) {
+  if (typeof module !== 'undefined') {
+    module.exports = factory(require);
+  } else {
+    Object.assign(window, factory(() => window));
+  }
+}((require) => {
+  // The copy whose time is later; the first one on a tie
+  const later = (a, b, time) => (time(b) > time(a) ? b : a);
+
+  /**
+   * When the review status of a copy was set: by the review, or by the
+   * submission while the plan waits for one.
+   */
+  function statusSetAt(entry) {
+    return entry.reviewedAt || entry.submittedAt || '';
+  }
+
+  /**
+   * When lesson results last changed: recorded, or one of their
+   * misconceptions resolved by a later lesson.
+   */
+  function resultsChangedAt(results) {
+    if (!results) return '';
+    const times = [results.recordedAt, ...(results.misconceptions || []).map(item => item.resolvedAt)];
+    return times.filter(Boolean).sort().pop() || '';
+  }
+
+  /**
+   * The more recently changed of two copies of lesson results. A
+   * misconception resolved on either copy stays resolved.
+   */
+  function mergeResults(a, b) {
+    if (!a || !b) return a || b || null;
+    const newer = later(a, b, resultsChangedAt);
+    const older = newer === a ? b : a;
+    const resolved = {};
+    (older.misconceptions || []).filter(item => item.resolved).forEach((item) => { resolved[item.id] = item; });
+    return Object.assign({}, newer, {
+      misconceptions: (newer.misconceptions || []).map(item => (item.resolved || !resolved[item.id] ? item
+        : Object.assign({}, item, { resolved: true, resolvedAt: resolved[item.id].resolvedAt }))),
+    });
+  }
+
+  /**
+   * Combine two lists of observations, keeping the more recently updated
+   * copy of each.
+   */
+  function mergeObservations(a, b) {
+    const byId = {};
+    a.concat(b).forEach((observation) => {
+      const current = byId[observation.id];
+      if (!current || current.updatedAt < observation.updatedAt) byId[observation.id] = observation;
+    });
+    return Object.keys(byId).map(id => byId[id]).sort((x, y) => x.observedAt.localeCompare(y.observedAt));
+  }
+
+  /**
+   * Combine two copies of a submitted plan. The later submission supplies
+   * its revision details, the more recently edited copy the plan and the
+   * later review (or submission) the status. Comments from both copies,
+   * the revision link and the newer lesson results and observations are
+   * kept.
+   * @param {Object|null} a
+   * @param {Object|null} b
+   * @returns {Object|null}
+   */
+  function mergeSubmissions(a, b) {
+    if (!a || !b) return a || b || null;
+    const review = later(a, b, statusSetAt);
+    const comments = {};
+    (a.comments || []).concat(b.comments || []).forEach(comment => { comments[comment.id] = comment; });
+    return Object.assign({}, later(a, b, entry => entry.submittedAt || ''), {
+      plan: later(a, b, entry => (entry.plan && entry.plan.updatedAt) || '').plan,
+      status: review.status,
+      reviewedAt: review.reviewedAt || null,
+      supersededBy: a.supersededBy || b.supersededBy || null,
+      results: mergeResults(a.results, b.results),
+      observations: mergeObservations(a.observations || [], b.observations || []),
+      comments: Object.keys(comments).map(id => comments[id]).sort((x, y) => x.createdAt.localeCompare(y.createdAt)),
+    });
+  }
+
+  /**
+   * The more recently updated of two copies of a draft, teacher profile
+   * or template; the first one on a tie.
+   */
+  function newerCopy(a, b) {
+    return later(a, b, item => item.updatedAt || '');
+  }
+
+  return {
+    mergeSubmissions,
+    newerCopy,
+  };
+}));
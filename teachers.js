@@ -0,0 +1,156 @@
+/*
+ * Teacher Profiles
+ * Several teachers can share the tool on one campus. Each profile holds
+ * the teacher's name, grade and campus; the active profile prefills
+ * Section 1 of new plans and is attached to every plan as its author.
+ * Profiles are shared through the storage backend; which profile is
+ * active is remembered per device.
+ */
+
+(function (factory) {
+  if (typeof module !== 'undefined') {
+    module.exports = factory(require);
+  } else {
+    Object.assign(window, factory(() => window));
+  }
+}((require) => {
+  const { createPlanId } = require('./plan-model.js');
+  const { planStorage } = require('./plan-storage.js');
+
+  const ACTIVE_TEACHER_KEY = 'activeTeacherId';
+
+  /**
+   * All saved teacher profiles, sorted by name.
+   * @returns {Array<{id: string, name: string, grade: string, campus: string}>}
+   */
+  function listTeachers() {
+    return planStorage().list('teachers')
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Look up a profile by ID.
+   */
+  function getTeacher(teacherId) {
+    return planStorage().get('teachers', teacherId);
+  }
+
+  /**
+   * Create or update a teacher profile.
+   * @param {{id?: string, name: string, grade?: string, campus?: string}} profile
+   * @returns {Object} the saved profile
+   */
+  function saveTeacher(profile) {
+    const name = (profile.name || '').trim();
+    if (!name) {
+      throw new Error('A teacher profile needs a name.');
+    }
+    const saved = {
+      id: profile.id || createPlanId('teacher'),
+      name,
+      grade: profile.grade || '',
+      campus: (profile.campus || '').trim(),
+    };
+    return planStorage().put('teachers', saved);
+  }
+
+  /**
+   * The profile of the teacher currently using this device, if chosen.
+   */
+  function getActiveTeacher() {
+    const id = localStorage.getItem(ACTIVE_TEACHER_KEY);
+    return id ? getTeacher(id) : null;
+  }
+
+  /**
+   * Choose which profile is using this device. Pass null to clear it.
+   */
+  function setActiveTeacher(teacherId) {
+    if (teacherId) {
+      localStorage.setItem(ACTIVE_TEACHER_KEY, teacherId);
+    } else {
+      localStorage.removeItem(ACTIVE_TEACHER_KEY);
+    }
+  }
+
+  /**
+   * The author details recorded on a plan for a teacher profile.
+   */
+  function teacherAuthor(teacher) {
+    return teacher ? { id: teacher.id, name: teacher.name, grade: teacher.grade, campus: teacher.campus } : null;
+  }
+
+  /**
+   * Display name for the author of a submitted plan.
+   */
+  function planAuthorName(plan) {
+    return plan.author ? plan.author.name : plan.fields.teacher || 'Unknown teacher';
+  }
+
+  /**
+   * Start of the week (Monday, YYYY-MM-DD) that a date falls in.
+   * @param {string|Date} date
+   */
+  function weekStart(date) {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    day.setDate(day.getDate() - ((day.getDay() + 6) % 7));
+    const pad = n => String(n).padStart(2, '0');
+    return `${day.getFullYear()}-${pad(day.getMonth() + 1)}-${pad(day.getDate())}`;
+  }
+
+  /**
+   * The date a plan is for: the day it is scheduled in the planner, else
+   * its Lesson Date when that reads as a date, otherwise the day it was
+   * submitted. Days are local dates; Date.parse would read a YYYY-MM-DD
+   * Lesson Date as UTC midnight, which is the day before west of UTC.
+   */
+  function planLessonDay(entry) {
+    if (entry.plan.sequence && entry.plan.sequence.date) {
+      return new Date(`${entry.plan.sequence.date}T00:00:00`);
+    }
+    const text = (entry.plan.fields.lessonDate || '').trim();
+    const isoDay = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (isoDay) {
+      return new Date(Number(isoDay[1]), Number(isoDay[2]) - 1, Number(isoDay[3]));
+    }
+    const lessonDate = Date.parse(text);
+    return Number.isNaN(lessonDate) ? new Date(entry.submittedAt) : new Date(lessonDate);
+  }
+
+  /**
+   * Which teachers submitted plans for a week and which did not.
+   * Teachers are the saved profiles plus any author seen in submissions.
+   * @param {Array<Object>} entries normalized submissions
+   * @param {string} week any date in the week (YYYY-MM-DD)
+   * @returns {Array<{name: string, campus: string, plans: Array<Object>}>}
+   */
+  function weeklySubmissionReport(entries, week) {
+    const start = weekStart(`${week}T00:00:00`);
+    const rows = {};
+    listTeachers().forEach(teacher => {
+      rows[teacher.id] = { name: teacher.name, campus: teacher.campus, plans: [] };
+    });
+    entries.forEach(entry => {
+      const key = entry.plan.author ? entry.plan.author.id : `name:${planAuthorName(entry.plan)}`;
+      if (!rows[key]) {
+        rows[key] = { name: planAuthorName(entry.plan), campus: entry.plan.author ? entry.plan.author.campus : '', plans: [] };
+      }
+      if (weekStart(planLessonDay(entry)) === start && !entry.supersededBy) {
+        rows[key].plans.push(entry);
+      }
+    });
+    return Object.keys(rows).map(key => rows[key]).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  return {
+    listTeachers,
+    saveTeacher,
+    getActiveTeacher,
+    setActiveTeacher,
+    teacherAuthor,
+    planAuthorName,
+    weekStart,
+    weeklySubmissionReport,
+  };
+}));
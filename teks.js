@@ -0,0 +1,206 @@
+/*
+ * TEKS Standards
+ * Lookup, validation and search over the bundled K–2 TEKS dataset
+ * (data/teks.js), the searchable multi-select picker on the generator
+ * page and the coverage report on the administrator hub. The dataset
+ * lists a selection of student expectations, so a well-formed code
+ * missing from it is kept, without a description, and only warned about.
+ */
+
+(function (factory) {
+  if (typeof module !== 'undefined') {
+    module.exports = factory(require);
+  } else {
+    Object.assign(window, factory(() => window));
+  }
+}((require) => {
+  const { TEKS_STANDARDS } = require('./data/teks.js');
+  const { escapeHtml } = require('./plan-model.js');
+  const { planAuthorName } = require('./teachers.js');
+
+  // K–2 student expectation codes such as 1.3(B), K.2(A)(i) or 2.4
+  const TEKS_CODE_PATTERN = /^(K|[12])\.\d{1,2}(\([A-Z]\)(\([ivx]+\))?)?$/;
+  // Anything shaped like a grade-dot-number is meant to be a TEKS code
+  const TEKS_CODE_LIKE = /^(K|\d+)\.\d/i;
+  // Grade of a code by its prefix
+  const TEKS_CODE_GRADES = { K: 'Kindergarten', 1: '1st Grade', 2: '2nd Grade' };
+
+  /**
+   * Normalize how a code was typed: "k.2(a)(I)" becomes "K.2(A)(i)".
+   */
+  function normalizeTeksCode(code) {
+    return code.trim().replace(/\s+/g, '')
+      .replace(/^k\./, 'K.')
+      .replace(/^([^(]+)\(([a-zA-Z])\)/, (match, prefix, letter) => `${prefix}(${letter.toUpperCase()})`)
+      .replace(/(\([A-Z]\))\(([ivxIVX]+)\)$/, (match, letter, numeral) => `${letter}(${numeral.toLowerCase()})`);
+  }
+
+  /**
+   * Look up a student expectation by code and subject. Codes repeat across
+   * subjects (1.3(B) is both a reading and a math TEKS), so the subject is
+   * part of the key.
+   */
+  function findTeks(code, subject) {
+    const normalized = normalizeTeksCode(code);
+    return TEKS_STANDARDS.find(teks => teks.code === normalized && teks.subject === subject) || null;
+  }
+
+  /**
+   * Search the dataset by code, strand or description words.
+   * @param {string} query
+   * @param {{subject: string, grade?: string}} scope
+   */
+  function searchTeks(query, { subject, grade }) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return TEKS_STANDARDS.filter(teks => {
+      if (teks.subject !== subject || (grade && teks.grade !== grade)) return false;
+      const text = `${teks.code} ${teks.strand} ${teks.description}`.toLowerCase();
+      return terms.every(term => text.includes(term));
+    });
+  }
+
+  /**
+   * Split the standard field into TEKS codes and free-text concepts and
+   * look the codes up in the dataset. Malformed codes are errors; codes
+   * the dataset does not list are kept with an empty description and a
+   * warning, as they may be real expectations outside the bundled list.
+   * @param {string} text comma- or semicolon-separated standard field
+   * @param {string} subject 'Reading' or 'Math'
+   * @returns {{standards: Array<Object>, concepts: string[], errors: string[], warnings: string[]}}
+   */
+  function validateStandards(text, subject) {
+    const result = { standards: [], concepts: [], errors: [], warnings: [] };
+    (text || '').split(/[,;]/).map(token => token.trim()).filter(Boolean).forEach(token => {
+      if (!TEKS_CODE_LIKE.test(token)) {
+        result.concepts.push(token);
+        return;
+      }
+      const code = normalizeTeksCode(token);
+      if (!TEKS_CODE_PATTERN.test(code)) {
+        result.errors.push(`"${token}" is not a valid K–2 TEKS code (expected a form like 1.3(B) or K.2(A)(i)).`);
+        return;
+      }
+      let teks = findTeks(code, subject);
+      if (!teks) {
+        teks = { code, subject, grade: TEKS_CODE_GRADES[code.split('.')[0]], strand: '', description: '' };
+        result.warnings.push(`${code} is not in the bundled list of ${subject} TEKS, so the plan shows it without a description. Check that the code is right.`);
+      }
+      if (!result.standards.some(item => item.code === teks.code)) {
+        result.standards.push(teks);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Which TEKS the submitted plans cover, counted per teacher or grade,
+   * and which have not been planned for yet. Codes cited by plans but
+   * missing from the dataset are counted too; the TEKS not yet planned
+   * can only be told for those the dataset lists. Superseded revisions
+   * are skipped so a resubmitted plan counts once.
+   * @param {Array<Object>} entries normalized submissions
+   * @param {{subject: string, grade?: string, groupBy: 'teacher'|'grade'}} options
+   * @returns {{groups: string[], rows: Array<{teks: Object, counts: Object<string, number>}>, untouched: Array<Object>}}
+   */
+  function teksCoverage(entries, { subject, grade, groupBy }) {
+    const scope = TEKS_STANDARDS.filter(teks => teks.subject === subject && (!grade || teks.grade === grade));
+    const groupOf = entry => (groupBy === 'grade' ? entry.plan.meta.grade : planAuthorName(entry.plan));
+    const counts = {};
+    const unlisted = [];
+    const groups = new Set();
+    entries.filter(entry => !entry.supersededBy).forEach(entry => {
+      (entry.plan.standards || []).forEach(standard => {
+        if (standard.subject !== subject || (grade && standard.grade !== grade)) return;
+        if (!scope.some(teks => teks.code === standard.code) && !unlisted.some(teks => teks.code === standard.code)) {
+          unlisted.push(standard);
+        }
+        const group = groupOf(entry);
+        groups.add(group);
+        counts[standard.code] = counts[standard.code] || {};
+        counts[standard.code][group] = (counts[standard.code][group] || 0) + 1;
+      });
+    });
+    return {
+      groups: Array.from(groups).sort(),
+      rows: scope.concat(unlisted.sort((a, b) => a.code.localeCompare(b.code)))
+        .filter(teks => counts[teks.code])
+        .map(teks => ({ teks, counts: counts[teks.code] })),
+      untouched: scope.filter(teks => !counts[teks.code]),
+    };
+  }
+
+  /**
+   * Attach a searchable, multi-select TEKS picker to the standard field.
+   * Picked codes are written into the field, so typed codes and concepts
+   * keep working alongside the picker.
+   * @param {Object} options
+   * @param {Element} options.container element that receives the picker
+   * @param {HTMLInputElement} options.input the standard text field
+   * @param {() => string} options.getSubject current subject
+   * @param {() => string} options.getGrade current grade
+   */
+  function mountTeksPicker({ container, input, getSubject, getGrade }) {
+    container.innerHTML = `
+      <input type="search" class="teks-search" placeholder="Search TEKS by code or keyword (e.g., blend, 1.3, place value)" aria-label="Search TEKS"/>
+      <label class="teks-all-grades"><input type="checkbox" class="teks-all"/> Show all K–2 grades</label>
+      <ul class="teks-results"></ul>
+      <div class="teks-selected"></div>
+      <div class="teks-errors" role="alert"></div>
+    `;
+    const search = container.querySelector('.teks-search');
+    const allGrades = container.querySelector('.teks-all');
+    const results = container.querySelector('.teks-results');
+    const selected = container.querySelector('.teks-selected');
+    const errors = container.querySelector('.teks-errors');
+
+    const tokens = () => input.value.split(/[,;]/).map(token => token.trim()).filter(Boolean);
+    const toggle = (code) => {
+      const current = tokens();
+      const index = current.findIndex(token => normalizeTeksCode(token) === code);
+      if (index === -1) {
+        current.push(code);
+      } else {
+        current.splice(index, 1);
+      }
+      input.value = current.join(', ');
+      input.dispatchEvent(new Event('input', { bubbles: true }));
+    };
+    const refresh = () => {
+      const subject = getSubject();
+      const { standards, errors: problems, warnings } = validateStandards(input.value, subject);
+      const picked = standards.map(teks => teks.code);
+      const matches = search.value.trim()
+        ? searchTeks(search.value, { subject, grade: allGrades.checked ? '' : getGrade() }).slice(0, 15)
+        : [];
+      results.innerHTML = matches.map(teks => `
+        <li><label><input type="checkbox" data-code="${teks.code}"${picked.includes(teks.code) ? ' checked' : ''}/>
+          <strong>${teks.code}</strong> ${escapeHtml(teks.description)}</label></li>`).join('');
+      selected.innerHTML = standards.map(teks => `
+        <span class="teks-chip" title="${escapeHtml(teks.description)}">${teks.code}
+          <button type="button" data-remove="${teks.code}" aria-label="Remove ${teks.code}">×</button></span>`).join('');
+      errors.innerHTML = problems.concat(warnings).map(problem => `<p>${escapeHtml(problem)}</p>`).join('');
+    };
+
+    results.addEventListener('change', (e) => {
+      if (e.target.dataset.code) toggle(e.target.dataset.code);
+    });
+    selected.addEventListener('click', (e) => {
+      if (e.target.dataset.remove) toggle(e.target.dataset.remove);
+    });
+    search.addEventListener('input', refresh);
+    allGrades.addEventListener('change', refresh);
+    input.addEventListener('input', refresh);
+    input.addEventListener('change', refresh);
+    refresh();
+    return { refresh };
+  }
+
+  return {
+    normalizeTeksCode,
+    findTeks,
+    searchTeks,
+    validateStandards,
+    teksCoverage,
+    mountTeksPicker,
+  };
+}));
@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCatalog } = require('./helpers');
+const { validateCurriculumCatalog } = require('../curriculum');
+
+// A catalog with one lesson, changed by the given fields
+const catalogWith = fields => ({
+  programs: {
+    Amplify: {
+      '1st Grade': {
+        1: {
+          title: 'Unit 1',
+          lessons: {
+            1: Object.assign({ title: 'Sounds', objectives: ['read words'], vocabulary: ['vowel'] }, fields),
+          },
+        },
+      },
+    },
+  },
+});
+
+describe('validateCurriculumCatalog', () => {
+  it('accepts the bundled catalog', () => {
+    const catalog = loadCatalog();
+    assert.equal(validateCurriculumCatalog(catalog), catalog);
+  });
+
+  it('rejects lesson lists written as text', () => {
+    assert.throws(() => validateCurriculumCatalog(catalogWith({ objectives: 'read words' })), /lesson 1: "objectives" must be a list of text/);
+    assert.throws(() => validateCurriculumCatalog(catalogWith({ vocabulary: ['vowel', 3] })), /"vocabulary" must be a list of text/);
+    assert.throws(() => validateCurriculumCatalog(catalogWith({ es: { objectives: 'leer' } })), /"es.objectives" must be a list of text/);
+  });
+
+  it('rejects lessons without a title and misshapen units', () => {
+    assert.throws(() => validateCurriculumCatalog(catalogWith({ title: '' })), /lesson 1 needs a "title"/);
+    assert.throws(() => validateCurriculumCatalog(catalogWith({ strand: ['Skills'] })), /"strand" must be text/);
+    assert.throws(() => validateCurriculumCatalog({ programs: { Amplify: { '1st Grade': { 1: { lessons: [] } } } } }), /has no "lessons"/);
+    assert.throws(() => validateCurriculumCatalog({ programs: { Amplify: 'all' } }), /must list its grades/);
+  });
+});
@@ -0,0 +1,64 @@
+/*
+ * Test Helpers
+ * The app is a set of browser scripts; under Node each one is a module
+ * exporting its public API, so tests require the scripts they use. The
+ * library is kept in an in-memory Storage that each test starts afresh.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { createLocalStorageBackend, usePlanStorage } = require('../plan-storage');
+const { DEFAULT_PLAN_TEMPLATE } = require('../plan-templates');
+const { createLessonPlan } = require('../plan-generator');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * An empty object with the Storage interface of localStorage.
+ */
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    get length() {
+      return items.size;
+    },
+    key: index => (index < items.size ? Array.from(items.keys())[index] : null),
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => { items.set(key, String(value)); },
+    removeItem: (key) => { items.delete(key); },
+    clear: () => { items.clear(); },
+  };
+}
+
+/**
+ * Give the app an empty library: a local backend over a new storage.
+ * @returns {Object} the new storage
+ */
+function resetStorage() {
+  const store = createMemoryStorage();
+  usePlanStorage(createLocalStorageBackend(store));
+  return store;
+}
+
+/**
+ * The sample curriculum catalog bundled with the app.
+ */
+function loadCatalog() {
+  return JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'curriculum.json'), 'utf8'));
+}
+
+/**
+ * A plan generated from the bundled catalog with the built-in template:
+ * Kindergarten Bluebonnet Math, unit 1, lesson 1, unless the selection
+ * says otherwise.
+ * @param {Object} [selection] fields of createLessonPlan()'s selection
+ */
+function newPlan(selection = {}) {
+  return createLessonPlan(
+    Object.assign({ grade: 'Kindergarten', subject: 'Math', program: 'Bluebonnet', unit: '1', lesson: '1' }, selection),
+    { catalog: loadCatalog(), template: DEFAULT_PLAN_TEMPLATE },
+  ).plan;
+}
+
+module.exports = { ROOT, createMemoryStorage, resetStorage, loadCatalog, newPlan };
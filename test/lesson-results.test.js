@@ -0,0 +1,32 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetStorage, newPlan } = require('./helpers');
+const { planStorage } = require('../plan-storage');
+const { listSubmissions, submitPlan } = require('../plan-store');
+const { createLessonResults, openMisconceptions, saveLessonResults } = require('../lesson-results');
+
+// Results of a submitted plan where students showed one misconception
+const resultsWith = (entry, text) => Object.assign(createLessonResults(entry.plan), {
+  misconceptions: [{ id: `misconception-${entry.planId}`, text, resolved: false }],
+});
+
+describe('saveLessonResults', () => {
+  beforeEach(() => {
+    resetStorage();
+  });
+
+  it('dates a resolution without changing when the earlier results were recorded', () => {
+    const first = submitPlan(newPlan());
+    const recorded = saveLessonResults(first.id, resultsWith(first, 'Counts the last number twice'));
+    const second = submitPlan(newPlan({ lesson: '2' }));
+    const [open] = openMisconceptions(listSubmissions(), { subject: 'Math', excludePlanId: second.planId });
+    assert.equal(open.submissionId, first.id);
+
+    saveLessonResults(second.id, createLessonResults(second.plan), [open]);
+    const { results } = planStorage().get('submissions', first.id);
+    assert.equal(results.recordedAt, recorded.results.recordedAt);
+    assert.equal(results.misconceptions[0].resolved, true);
+    assert.ok(results.misconceptions[0].resolvedAt >= results.recordedAt);
+    assert.deepEqual(openMisconceptions(listSubmissions(), { subject: 'Math' }), []);
+  });
+});
@@ -0,0 +1,282 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const { ROOT, resetStorage, loadCatalog } = require('./helpers');
+const {
+  PLAN_SCHEMA_VERSION, escapeHtml, migratePlanDocument, renderPlan,
+} = require('../plan-model');
+const { findCatalogLesson } = require('../curriculum');
+const { findTeks } = require('../teks');
+const { PROGRAM_MODULES, findProgramModule, resolveProgramContent } = require('../program-modules');
+const {
+  DEFAULT_PLAN_TEMPLATE, copyPlanTemplate, parseChecklistLines, savePlanTemplate, validatePlanTemplate,
+} = require('../plan-templates');
+const { createLessonPlan } = require('../plan-generator');
+
+const GRADES = ['Kindergarten', '1st Grade', '2nd Grade'];
+const SUBJECTS = ['Reading', 'Math'];
+const catalog = loadCatalog();
+
+const section = (plan, id) => plan.sections.find(item => item.id === id);
+const generate = (selection, options = {}) => createLessonPlan(
+  Object.assign({ unit: '1', lesson: '1', standard: '' }, selection),
+  Object.assign({ catalog }, options),
+);
+
+describe('createLessonPlan', () => {
+  beforeEach(() => {
+    resetStorage();
+  });
+
+  GRADES.forEach((grade) => {
+    SUBJECTS.forEach((subject) => {
+      PROGRAM_MODULES.map(module => module.program).concat('Other Program').forEach((program) => {
+        it(`builds a complete plan for ${grade} ${subject} with ${program}`, () => {
+          const { plan, errors } = generate({ grade, subject, program });
+          assert.deepEqual(errors, []);
+          assert.equal(plan.schemaVersion, PLAN_SCHEMA_VERSION);
+          assert.deepEqual(plan.meta, {
+            grade, subject, program, strand: plan.meta.strand, unit: '1', lesson: '1', standard: '',
+          });
+          assert.deepEqual(plan.sections.map(item => item.id), DEFAULT_PLAN_TEMPLATE.sections.map(item => item.id));
+          assert.equal(section(plan, 'info').heading, 'Section 1 — Lesson Information');
+          assert.equal(section(plan, 'lookfors').heading, 'Section 10 — Administrator Look‑Fors (Distinguished Alignment)');
+
+          // Program content comes from the program's module when it teaches the subject
+          const module = findProgramModule(program);
+          const content = resolveProgramContent({ program, subject }, plan.curriculum);
+          if (module && module.subjects.includes(subject)) {
+            assert.equal(plan.meta.strand, module.strands ? content.strand : '');
+          } else {
+            assert.equal(content.label, program);
+          }
+          assert.ok(section(plan, 'procedures').heading.includes(`(${content.label} + TTESS Distinguished)`));
+          assert.equal(section(plan, 'materials').blocks[0].items[0], escapeHtml(content.materials[0]));
+          const steps = section(plan, 'procedures').blocks.filter(block => block.type === 'subheading').map(block => block.text);
+          assert.equal(steps.length, 7);
+          assert.equal(steps[0], 'A. Opening Routine (3–5 min)');
+          assert.equal(steps[2], `C. ${content.instruction.title} (10–15 min)`);
+
+          // Catalog lessons supply the objective and the lesson title
+          const lesson = findCatalogLesson(catalog, { program, grade, unit: '1', lesson: '1' });
+          assert.deepEqual(plan.curriculum, lesson);
+          if (lesson) {
+            assert.equal(plan.frame.objective, `We will ${lesson.objectives.join(' and ')} (${lesson.title}).`);
+          } else {
+            assert.match(plan.frame.objective, /^We will explore Unit 1, Lesson 1 from the Other Program/);
+          }
+          assert.match(plan.frame.product, /^I will show what I learned/);
+          assert.match(plan.successCriteria[0], subject === 'Reading' ? /^Use phonological/ : /^Demonstrate conceptual/);
+
+          const html = renderPlan(plan);
+          assert.ok(html.includes(`<strong>Grade:</strong> ${grade}`));
+          assert.ok(html.includes('data-section="frame"'));
+        });
+      });
+    });
+  });
+
+  it('uses the chosen Amplify strand', () => {
+    const { plan } = generate({ grade: '1st Grade', subject: 'Reading', program: 'Amplify', strand: 'Knowledge' });
+    assert.equal(plan.meta.strand, 'Knowledge');
+    assert.ok(section(plan, 'procedures').heading.includes('Amplify Knowledge'));
+  });
+
+  it('lists validated TEKS with their descriptions', () => {
+    const { plan } = generate({ grade: '1st Grade', subject: 'Math', program: 'Bluebonnet', standard: '1.3(b), ten frames' });
+    assert.deepEqual(plan.standards.map(teks => teks.code), ['1.3(B)']);
+    const teks = section(plan, 'info').blocks[0].rows.find(row => row.label === 'TEKS');
+    assert.equal(teks.html, `<strong>1.3(B)</strong> — ${escapeHtml(findTeks('1.3(B)', 'Math').description)}<br>ten frames`);
+  });
+
+  it('keeps well-formed TEKS missing from the bundled list, with a warning', () => {
+    const { plan, errors, warnings } = generate({ grade: '1st Grade', subject: 'Math', program: 'Bluebonnet', standard: '1.7(a), 1.3(B)' });
+    assert.deepEqual(errors, []);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /^1\.7\(A\) is not in the bundled list of Math TEKS/);
+    assert.deepEqual(plan.standards.map(teks => `${teks.code} ${teks.grade}`), ['1.7(A) 1st Grade', '1.3(B) 1st Grade']);
+    const teks = section(plan, 'info').blocks[0].rows.find(row => row.label === 'TEKS');
+    assert.ok(teks.html.startsWith('<strong>1.7(A)</strong><br><strong>1.3(B)</strong> — '));
+
+    const reading = generate({ grade: 'Kindergarten', subject: 'Reading', program: 'Amplify', standard: 'K.2(A)(vi)' });
+    assert.equal(reading.warnings.length, 1);
+    assert.equal(reading.plan.standards[0].grade, 'Kindergarten');
+  });
+
+  it('rejects malformed TEKS codes', () => {
+    const { plan, errors } = generate({ grade: '1st Grade', subject: 'Reading', program: 'Amplify', standard: '3.1(A), 1.3(BB)' });
+    assert.equal(plan, null);
+    assert.equal(errors.length, 2);
+  });
+
+  it('writes Spanish plans in Spanish and keeps the English', () => {
+    const { plan } = generate({ grade: '1st Grade', subject: 'Reading', program: 'Amplify', language: 'es' });
+    assert.equal(plan.language, 'es');
+    assert.match(plan.frame.objective, /^Nosotros vamos a/);
+    assert.match(plan.frame.translations.en.objective, /^We will/);
+    assert.equal(section(plan, 'info').heading, 'Sección 1 — Información de la lección');
+    assert.equal(section(plan, 'info').translations.en, 'Section 1 — Lesson Information');
+    assert.ok(renderPlan(plan, { locale: 'en' }).includes('Section 1 — Lesson Information'));
+    const gradeSubject = section(plan, 'info').blocks[0].rows.find(row => row.label === 'Grade / Subject');
+    assert.equal(gradeSubject.html, '1.er grado Lectura');
+    assert.equal(gradeSubject.translations.en, '1st Grade Reading');
+    assert.match(section(plan, 'objective').blocks[0].html, /^<strong>Objetivo de la lección:<\/strong> Los estudiantes van a /);
+    const [opening] = section(plan, 'procedures').blocks;
+    assert.equal(opening.text, 'A. Rutina de apertura (3–5 min)');
+    assert.equal(opening.translations.en, 'A. Opening Routine (3–5 min)');
+  });
+
+  it('frames bilingual plans in English and Spanish side by side', () => {
+    const { plan } = generate({ grade: '2nd Grade', subject: 'Math', program: 'Bluebonnet', language: 'bilingual' });
+    const [grid] = section(plan, 'frame').blocks;
+    assert.equal(grid.type, 'grid');
+    assert.deepEqual(grid.columns, ['Frame the Lesson', 'English', 'Español']);
+    assert.match(grid.rows[0][1], /Today we will/);
+    assert.match(grid.rows[0][2], /Hoy nosotros vamos a/);
+  });
+
+  it('uses the campus template when none is given', () => {
+    const template = copyPlanTemplate(DEFAULT_PLAN_TEMPLATE, 'No PAX');
+    template.practices = { pax: false, fundamentalFive: true };
+    template.sections = template.sections.filter(item => item.id !== 'internalization');
+    template.campusDefault = true;
+    const saved = savePlanTemplate(template);
+    const { plan } = generate({ grade: 'Kindergarten', subject: 'Reading', program: 'Amplify' });
+    assert.deepEqual(plan.template, { id: saved.id, name: 'No PAX' });
+    assert.equal(section(plan, 'internalization'), undefined);
+    assert.ok(!JSON.stringify(section(plan, 'materials')).includes('PAX'));
+  });
+
+  it('generates under plain Node, with no library, from the built-in template', () => {
+    const script = `
+      const { createLessonPlan } = require('./plan-generator.js');
+      const { plan } = createLessonPlan({ grade: '2nd Grade', subject: 'Math', program: 'Bluebonnet', unit: '1', lesson: '1' });
+      console.log(JSON.stringify(plan.template));
+    `;
+    const output = execFileSync(process.execPath, ['-e', script], { cwd: ROOT, encoding: 'utf8' });
+    assert.deepEqual(JSON.parse(output), { id: DEFAULT_PLAN_TEMPLATE.id, name: DEFAULT_PLAN_TEMPLATE.name });
+  });
+
+  it('adds the teacher profile, small groups and open misconceptions', () => {
+    const author = { id: 'teacher-1', name: 'Ms. Rivera' };
+    const groups = [{ name: 'Blenders', studentIds: ['a', 'b'], skills: 'Blending CVC words' }];
+    const { plan } = generate({ grade: '1st Grade', subject: 'Reading', program: 'Amplify' }, {
+      author, groups, misconceptions: ['Reads "b" as "d"'],
+    });
+    assert.equal(plan.fields.teacher, 'Ms. Rivera');
+    assert.deepEqual(section(plan, 'differentiation').blocks[0].groups, groups);
+    assert.deepEqual(section(plan, 'internalization').blocks.pop().items, ['Reads &quot;b&quot; as &quot;d&quot;']);
+  });
+
+  it('keeps each procedure step\'s minutes on its heading', () => {
+    const template = copyPlanTemplate(DEFAULT_PLAN_TEMPLATE, 'Long opening');
+    section(template, 'procedures').steps[0].minutes = '10 minutes';
+    section(template, 'procedures').steps[1].minutes = '';
+    const { plan } = generate({ grade: '1st Grade', subject: 'Math', program: 'Bluebonnet' }, { template });
+    const steps = section(plan, 'procedures').blocks.filter(block => block.type === 'subheading');
+    assert.equal(steps[0].text, 'A. Opening Routine (10 min)');
+    assert.deepEqual(steps[0].minutes, { min: 10, max: 10 });
+    assert.equal(steps[1].minutes, null);
+    assert.deepEqual(steps[2].minutes, { min: 10, max: 15 });
+
+    section(template, 'procedures').steps[0].minutes = 'about ten';
+    assert.throws(() => validatePlanTemplate(template), /minutes for Opening Routine/);
+  });
+
+  it('gives every checklist item its own ID and refuses repeated labels', () => {
+    const previous = [{ id: 'item-turn-talk', label: 'Turn Talk' }];
+    const items = parseChecklistLines('Turn Talk\nTurn & Talk\nTurn-talk', previous);
+    assert.deepEqual(items.map(item => item.id), ['item-turn-talk', 'item-turn-talk-2', 'item-turn-talk-3']);
+
+    const template = copyPlanTemplate(DEFAULT_PLAN_TEMPLATE, 'Repeated check');
+    const [checklist] = section(template, 'assessment').checklists;
+    checklist.items = parseChecklistLines('Cold call\nWhiteboard responses\ncold call', checklist.items);
+    assert.throws(() => validatePlanTemplate(template), /lists "cold call" more than once/);
+  });
+
+  it('reads the minutes of older plans from their step headings', () => {
+    const { plan } = generate({ grade: '1st Grade', subject: 'Math', program: 'Bluebonnet' });
+    const older = Object.assign({}, plan, { schemaVersion: 9 });
+    older.sections = plan.sections.map(item => Object.assign({}, item, {
+      blocks: item.blocks.map(({ minutes, ...block }) => block),
+    }));
+    const steps = section(migratePlanDocument(older), 'procedures').blocks.filter(block => block.type === 'subheading');
+    assert.deepEqual(steps.map(block => block.minutes), section(plan, 'procedures').blocks
+      .filter(block => block.type === 'subheading').map(block => block.minutes));
+  });
+});
+
+describe('escaping', () => {
+  beforeEach(() => {
+    resetStorage();
+  });
+
+  it('escapes form input wherever it is shown', () => {
+    const { plan } = generate({
+      grade: '1st Grade',
+      subject: 'Reading',
+      program: '<i>Phonics</i>',
+      unit: '<b>2</b>',
+      lesson: '3',
+      standard: '<img src=x onerror=alert(1)>',
+    }, { author: { id: 't', name: '<script>alert(1)</script>' } });
+    const html = renderPlan(plan);
+    assert.ok(!/<(img|script|i|b)\b/.test(html));
+    assert.ok(html.includes('&lt;img src=x onerror=alert(1)&gt;'));
+    assert.ok(html.includes('&lt;i&gt;Phonics&lt;/i&gt; Teacher Guide / Slides'));
+    assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+    // The kid-friendly frame stays plain text
+    assert.ok(plan.frame.objective.includes('<img src=x onerror=alert(1)>'.toLowerCase()));
+  });
+
+  it('escapes text from an imported catalog', () => {
+    const imported = {
+      programs: {
+        Amplify: {
+          '1st Grade': {
+            1: {
+              title: 'Unit <u>1</u>',
+              lessons: {
+                1: {
+                  title: '<em>Sounds</em>',
+                  objectives: ['read <marquee>words</marquee>'],
+                  vocabulary: ['<s>vowel</s>'],
+                  materials: ['<button>Cards</button>'],
+                },
+              },
+            },
+          },
+        },
+      },
+    };
+    const { plan } = createLessonPlan(
+      { grade: '1st Grade', subject: 'Reading', program: 'Amplify', unit: '1', lesson: '1' },
+      { catalog: imported },
+    );
+    const html = renderPlan(plan);
+    ['<u>1</u>', '<em>Sounds</em>', '<marquee>', '<s>', '<button>'].forEach(markup => assert.ok(!html.includes(markup), markup));
+    assert.ok(html.includes('&lt;marquee&gt;words&lt;/marquee&gt;'));
+    assert.ok(html.includes('&lt;s&gt;vowel&lt;/s&gt;'));
+  });
+
+  it('escapes edited fields, headings and labels when rendering', () => {
+    const { plan } = generate({ grade: '1st Grade', subject: 'Math', program: 'Bluebonnet' });
+    plan.fields.exitTicket = 'Is 3 < 5 & 7 > 4?';
+    section(plan, 'procedures').blocks[0].text = 'A. Warm <up>';
+    const html = renderPlan(plan);
+    assert.ok(html.includes('Is 3 &lt; 5 &amp; 7 &gt; 4?'));
+    assert.ok(html.includes('A. Warm &lt;up&gt;'));
+    assert.ok(html.includes('Section 2 — Objective, Learning Goals &amp; Success Criteria'));
+  });
+
+  it('escapes section and checklist ids from an imported plan', () => {
+    const { plan } = generate({ grade: '1st Grade', subject: 'Math', program: 'Bluebonnet' });
+    plan.sections[0].id = 'info"><img src=x>';
+    plan.sections.find(item => item.blocks.some(block => block.type === 'checklist'))
+      .blocks.find(block => block.type === 'checklist').items[0].id = 'check"><img src=x>';
+    const html = renderPlan(plan);
+    assert.ok(!html.includes('<img'));
+    assert.ok(html.includes('data-section="info&quot;&gt;&lt;img src=x&gt;"'));
+    assert.ok(html.includes('data-check="check&quot;&gt;&lt;img src=x&gt;"'));
+  });
+});
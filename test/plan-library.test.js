@@ -0,0 +1,51 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetStorage, newPlan } = require('./helpers');
+const { listDrafts, listSubmissions, saveDraft, submitPlan } = require('../plan-store');
+const { exportPlanLibrary, importPlanLibrary } = require('../plan-library');
+
+// A backup of one submitted plan and its draft, made on another device
+const makeBackup = () => {
+  resetStorage();
+  const plan = newPlan();
+  saveDraft(plan);
+  const entry = submitPlan(plan);
+  const archive = exportPlanLibrary({ submissionIds: [entry.id] });
+  resetStorage();
+  return archive;
+};
+
+describe('importPlanLibrary', () => {
+  beforeEach(() => {
+    resetStorage();
+  });
+
+  it('merges a backup once', () => {
+    const text = JSON.stringify(makeBackup());
+    assert.deepEqual(importPlanLibrary(text), { added: 2, updated: 0, unchanged: 0 });
+    assert.deepEqual(importPlanLibrary(text), { added: 0, updated: 0, unchanged: 2 });
+    assert.equal(listSubmissions().length, 1);
+    assert.equal(listDrafts().length, 1);
+  });
+
+  it('writes nothing when any entry is damaged', () => {
+    const archive = makeBackup();
+    archive.drafts.push({ id: 'broken', updatedAt: '2026-01-01T00:00:00.000Z' });
+    assert.throws(() => importPlanLibrary(JSON.stringify(archive)), /Draft 2 in the backup cannot be read: it has no lesson plan/);
+    archive.drafts.pop();
+    archive.drafts[0].versions = [{ version: 1, label: 'Generated' }];
+    assert.throws(() => importPlanLibrary(JSON.stringify(archive)), /Draft 1 in the backup cannot be read/);
+    archive.drafts[0].versions = [];
+    archive.teachers.push({ name: 'No ID' });
+    assert.throws(() => importPlanLibrary(JSON.stringify(archive)), /Teacher profile 1 in the backup cannot be read: it has no ID/);
+    assert.deepEqual(listSubmissions(), []);
+    assert.deepEqual(listDrafts(), []);
+  });
+
+  it('rejects submissions without a plan document', () => {
+    const archive = makeBackup();
+    archive.submissions.push({ id: 'empty-r1', plan: 'not a plan' });
+    assert.throws(() => importPlanLibrary(JSON.stringify(archive)), /Submitted plan 2 in the backup cannot be read/);
+    assert.deepEqual(listSubmissions(), []);
+  });
+});
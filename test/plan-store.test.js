@@ -0,0 +1,139 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetStorage, newPlan } = require('./helpers');
+const { clonePlanDocument } = require('../plan-model');
+const { createLocalStorageBackend, planStorage, usePlanStorage } = require('../plan-storage');
+const {
+  MAX_DRAFT_VERSIONS, getDraft, listDrafts, saveDraft, commitDraftVersion, restoreDraftVersion,
+  listSubmissions, latestSubmission, submitPlan, setSubmissionStatus, addReviewComment,
+} = require('../plan-store');
+
+// An edit made on the generator page
+const edited = (plan, exitTicket) => Object.assign(clonePlanDocument(plan), {
+  fields: Object.assign({}, plan.fields, { exitTicket }),
+  updatedAt: new Date().toISOString(),
+});
+
+describe('drafts', () => {
+  let store;
+  beforeEach(() => {
+    store = resetStorage();
+  });
+
+  it('autosaves a draft under the plan ID without adding versions', () => {
+    const plan = newPlan();
+    saveDraft(plan);
+    saveDraft(edited(plan, 'Read three CVC words'));
+    const draft = getDraft(plan.id);
+    assert.equal(draft.plan.fields.exitTicket, 'Read three CVC words');
+    assert.deepEqual(draft.versions, []);
+    assert.deepEqual(Object.keys(JSON.parse(store.getItem('planDrafts'))), [plan.id]);
+  });
+
+  it('records a version only when the plan changed', () => {
+    const plan = newPlan();
+    commitDraftVersion(plan, 'Generated');
+    commitDraftVersion(clonePlanDocument(plan), 'Edited');
+    commitDraftVersion(edited(plan, 'Spell cat'), 'Edited');
+    assert.deepEqual(getDraft(plan.id).versions.map(version => `${version.version} ${version.label}`), ['1 Generated', '2 Edited']);
+  });
+
+  it('keeps the most recent versions', () => {
+    const plan = newPlan();
+    for (let i = 0; i < MAX_DRAFT_VERSIONS + 3; i += 1) {
+      commitDraftVersion(edited(plan, `Ticket ${i}`), 'Edited');
+    }
+    const { versions } = getDraft(plan.id);
+    assert.equal(versions.length, MAX_DRAFT_VERSIONS);
+    assert.equal(versions[0].version, 4);
+  });
+
+  it('restores an older version as a new version', () => {
+    const plan = newPlan();
+    commitDraftVersion(plan, 'Generated');
+    commitDraftVersion(edited(plan, 'Spell cat'), 'Edited');
+    const restored = restoreDraftVersion(plan.id, 1);
+    assert.equal(restored.fields.exitTicket, '');
+    const draft = getDraft(plan.id);
+    assert.equal(draft.plan.fields.exitTicket, '');
+    assert.equal(draft.versions.pop().label, 'Restored version 1');
+    assert.equal(restoreDraftVersion(plan.id, 99), null);
+  });
+
+  it('lists drafts most recently edited first', () => {
+    const older = Object.assign(newPlan(), { updatedAt: '2026-01-01T00:00:00.000Z' });
+    const newer = Object.assign(newPlan(), { updatedAt: '2026-02-01T00:00:00.000Z' });
+    saveDraft(older);
+    saveDraft(newer);
+    assert.deepEqual(listDrafts().map(draft => draft.id), [newer.id, older.id]);
+  });
+});
+
+describe('submissions', () => {
+  let store;
+  beforeEach(() => {
+    store = resetStorage();
+  });
+
+  it('submits a plan once for both hubs', () => {
+    const plan = newPlan();
+    const entry = submitPlan(plan);
+    assert.equal(entry.id, `${plan.id}-r1`);
+    assert.equal(entry.status, 'submitted');
+    assert.equal(entry.version, 1);
+    assert.deepEqual(listSubmissions().map(item => item.id), [entry.id]);
+    assert.equal(getDraft(plan.id).versions[0].label, 'Submitted');
+  });
+
+  it('replaces a submission that has not been reviewed yet', () => {
+    const plan = newPlan();
+    const first = submitPlan(plan);
+    addReviewComment(first.id, { sectionId: 'frame', text: 'Add a product statement' });
+    const second = submitPlan(edited(plan, 'Spell cat'));
+    assert.equal(second.id, first.id);
+    assert.equal(second.revision, 1);
+    assert.equal(second.comments.length, 1);
+    assert.equal(listSubmissions().length, 1);
+  });
+
+  it('creates a linked revision after a plan was returned', () => {
+    const plan = newPlan();
+    const first = submitPlan(plan);
+    setSubmissionStatus(first.id, 'returned');
+    const second = submitPlan(edited(plan, 'Spell cat'));
+    assert.equal(second.id, `${plan.id}-r2`);
+    assert.equal(second.revisionOf, first.id);
+    assert.deepEqual(second.comments, []);
+    assert.equal(planStorage().get('submissions', first.id).supersededBy, second.id);
+    assert.equal(latestSubmission(plan.id).id, second.id);
+  });
+
+  it('records review decisions and comments', () => {
+    const entry = submitPlan(newPlan());
+    const approved = setSubmissionStatus(entry.id, 'approved');
+    assert.equal(approved.status, 'approved');
+    assert.ok(approved.reviewedAt);
+    assert.equal(setSubmissionStatus(entry.id, 'submitted').reviewedAt, null);
+    assert.throws(() => setSubmissionStatus(entry.id, 'lost'), /Unknown review status/);
+
+    const comment = addReviewComment(entry.id, { sectionId: '', text: 'Nice pacing' });
+    assert.equal(comment.author, 'Administrator');
+    assert.deepEqual(listSubmissions()[0].comments.map(item => item.text), ['Nice pacing']);
+    assert.equal(setSubmissionStatus('missing', 'approved'), null);
+    assert.ok(store.getItem('planSubmissions').includes('Nice pacing'));
+  });
+
+  it('folds the per-hub lists of older versions into one', () => {
+    const entry = { id: 'old-1', submittedAt: '2025-09-01T00:00:00.000Z', plan: newPlan() };
+    store.setItem('teacherPlans', JSON.stringify([entry]));
+    store.setItem('adminPlans', JSON.stringify([entry]));
+    usePlanStorage(createLocalStorageBackend(store));
+    const [migrated] = listSubmissions();
+    assert.equal(listSubmissions().length, 1);
+    assert.equal(migrated.id, 'old-1');
+    assert.equal(migrated.status, 'submitted');
+    assert.deepEqual(migrated.comments, []);
+    assert.equal(store.getItem('teacherPlans'), null);
+    assert.equal(store.getItem('adminPlans'), null);
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeSubmissions, newerCopy } = require('../submission-merge');
+
+// One submission as stored on some device, changed by the given fields
+const submission = fields => Object.assign({
+  id: 'plan-1-r1',
+  planId: 'plan-1',
+  revision: 1,
+  status: 'submitted',
+  submittedAt: '2026-03-02T14:00:00.000Z',
+  reviewedAt: null,
+  plan: { id: 'plan-1', updatedAt: '2026-03-02T13:00:00.000Z', fields: { exitTicket: '' } },
+  results: null,
+  observations: [],
+  comments: [],
+}, fields);
+const approved = () => submission({ status: 'approved', reviewedAt: '2026-03-03T09:00:00.000Z' });
+// Results recorded on a copy cached before the review
+const recordedLater = () => submission({
+  results: {
+    recordedAt: '2026-03-04T15:00:00.000Z',
+    exitTicket: { mode: 'counts', mastered: 14, total: 18, scores: [] },
+    misconceptions: [{ id: 'misconception-1', text: 'Counts the last number twice', resolved: false }],
+  },
+});
+
+describe('mergeSubmissions', () => {
+  it('keeps a review when a stale copy brings newer results or observations', () => {
+    const observed = submission({
+      observations: [{ id: 'observation-1', observedAt: '2026-03-04T10:00:00.000Z', updatedAt: '2026-03-04T16:00:00.000Z', notes: [] }],
+    });
+    [[approved(), recordedLater()], [recordedLater(), approved()], [approved(), observed]].forEach(([a, b]) => {
+      const merged = mergeSubmissions(a, b);
+      assert.equal(merged.status, 'approved');
+      assert.equal(merged.reviewedAt, '2026-03-03T09:00:00.000Z');
+    });
+    assert.equal(mergeSubmissions(approved(), recordedLater()).results.exitTicket.mastered, 14);
+    assert.deepEqual(mergeSubmissions(observed, approved()).observations.map(item => item.id), ['observation-1']);
+  });
+
+  it('takes the plan from the copy edited last and the status from the later resubmission', () => {
+    const resubmitted = submission({
+      submittedAt: '2026-03-05T08:00:00.000Z',
+      plan: { id: 'plan-1', updatedAt: '2026-03-05T07:55:00.000Z', fields: { exitTicket: 'Count to 20' } },
+    });
+    const reviewed = submission({ status: 'returned', reviewedAt: '2026-03-04T09:00:00.000Z' });
+    const merged = mergeSubmissions(reviewed, resubmitted);
+    assert.equal(merged.plan.fields.exitTicket, 'Count to 20');
+    assert.equal(merged.status, 'submitted');
+    assert.equal(merged.reviewedAt, null);
+    assert.equal(mergeSubmissions(approved(), recordedLater()).plan.updatedAt, '2026-03-02T13:00:00.000Z');
+  });
+
+  it('keeps a resolved misconception when the other copy re-recorded the results later', () => {
+    const resolved = recordedLater();
+    resolved.results.misconceptions[0] = Object.assign({}, resolved.results.misconceptions[0], {
+      resolved: true,
+      resolvedAt: '2026-03-06T15:00:00.000Z',
+    });
+    const rerecorded = recordedLater();
+    rerecorded.results.recordedAt = '2026-03-07T15:00:00.000Z';
+    const { results } = mergeSubmissions(resolved, rerecorded);
+    assert.equal(results.recordedAt, '2026-03-07T15:00:00.000Z');
+    assert.equal(results.misconceptions[0].resolved, true);
+    assert.equal(results.misconceptions[0].resolvedAt, '2026-03-06T15:00:00.000Z');
+  });
+
+  it('keeps comments from both copies and the revision link', () => {
+    const comment = (id, createdAt) => ({ id, sectionId: '', author: 'Administrator', text: id, createdAt });
+    const merged = mergeSubmissions(
+      submission({ comments: [comment('comment-b', '2026-03-03T10:00:00.000Z')], supersededBy: 'plan-1-r2' }),
+      submission({ comments: [comment('comment-a', '2026-03-03T09:00:00.000Z')] }),
+    );
+    assert.deepEqual(merged.comments.map(item => item.id), ['comment-a', 'comment-b']);
+    assert.equal(merged.supersededBy, 'plan-1-r2');
+  });
+});
+
+describe('newerCopy', () => {
+  it('keeps the copy updated last, and the first on a tie', () => {
+    const older = { id: 'draft-1', updatedAt: '2026-03-01T00:00:00.000Z' };
+    const newer = { id: 'draft-1', updatedAt: '2026-03-02T00:00:00.000Z' };
+    assert.equal(newerCopy(older, newer), newer);
+    assert.equal(newerCopy(newer, older), newer);
+    assert.equal(newerCopy(older, Object.assign({}, older)), older);
+  });
+});
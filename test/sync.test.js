@@ -0,0 +1,216 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryStorage, newPlan } = require('./helpers');
+const { createSyncServer } = require('../server/server');
+const { createHttpStorageBackend, usePlanStorage } = require('../plan-storage');
+const { createLessonResults, saveLessonResults } = require('../lesson-results');
+const {
+  addReviewComment, getDraft, listSubmissions, saveDraft, setSubmissionStatus, submitPlan, updateSubmission,
+} = require('../plan-store');
+
+// A page on its own device, sharing the library through the sync server
+const openDevice = (baseUrl) => {
+  const backend = createHttpStorageBackend(baseUrl, createMemoryStorage());
+  usePlanStorage(backend);
+  return backend;
+};
+// Cut every device off from the server until the returned function is called
+const goOffline = () => {
+  const { fetch } = globalThis;
+  globalThis.fetch = () => Promise.reject(new TypeError('fetch failed'));
+  return () => { globalThis.fetch = fetch; };
+};
+const later = () => new Promise(resolve => setTimeout(resolve, 5));
+
+describe('sharing plans through the sync server', () => {
+  let dir;
+  let server;
+  let baseUrl;
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plan-library-'));
+    server = createSyncServer({ dataFile: path.join(dir, 'library.json') });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('shows a teacher\'s submission and the review to everyone', async () => {
+    const teacher = openDevice(baseUrl);
+    await teacher.ready();
+    const plan = newPlan();
+    const entry = submitPlan(plan);
+    await teacher.sync();
+    assert.equal(teacher.lastError, null);
+
+    const admin = openDevice(baseUrl);
+    await admin.ready();
+    assert.deepEqual(listSubmissions().map(item => item.id), [entry.id]);
+    setSubmissionStatus(entry.id, 'returned');
+    addReviewComment(entry.id, { sectionId: 'procedures', text: 'Shorten the opening' });
+    await admin.sync();
+
+    const later = openDevice(baseUrl);
+    await later.ready();
+    const [shared] = listSubmissions();
+    assert.equal(shared.status, 'returned');
+    assert.deepEqual(shared.comments.map(comment => comment.text), ['Shorten the opening']);
+    assert.equal(getDraft(plan.id).plan.id, plan.id);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'library.json'), 'utf8')).plans[entry.id].status, 'returned');
+  });
+
+  it('merges a submission changed offline with a later review', async () => {
+    const teacher = openDevice(baseUrl);
+    await teacher.ready();
+    const entry = submitPlan(newPlan());
+    await teacher.sync();
+
+    // An administrator observes the lesson without a connection...
+    const observer = openDevice(baseUrl);
+    await observer.ready();
+    const online = goOffline();
+    updateSubmission(entry.id, (stored) => {
+      stored.observations.push({ id: 'observation-1', observedAt: stored.submittedAt, updatedAt: stored.submittedAt, notes: [] });
+    });
+    online();
+
+    // ...while another returns the plan
+    await later();
+    const reviewer = openDevice(baseUrl);
+    await reviewer.ready();
+    setSubmissionStatus(entry.id, 'returned');
+    await reviewer.sync();
+
+    usePlanStorage(observer);
+    await observer.sync();
+    assert.equal(observer.lastError, null);
+    const merged = listSubmissions().find(item => item.id === entry.id);
+    assert.equal(merged.status, 'returned');
+    assert.deepEqual(merged.observations.map(observation => observation.id), ['observation-1']);
+  });
+
+  it('keeps a review when a device that had not seen it adds an observation', async () => {
+    const teacher = openDevice(baseUrl);
+    await teacher.ready();
+    const entry = submitPlan(newPlan());
+    await teacher.sync();
+    const observer = openDevice(baseUrl);
+    await observer.ready();
+
+    const reviewer = openDevice(baseUrl);
+    await reviewer.ready();
+    setSubmissionStatus(entry.id, 'approved');
+    await reviewer.sync();
+
+    // The observer still has the copy cached before the approval
+    await later();
+    usePlanStorage(observer);
+    const online = goOffline();
+    updateSubmission(entry.id, (stored) => {
+      const now = new Date().toISOString();
+      stored.observations.push({ id: 'observation-2', observedAt: now, updatedAt: now, notes: [] });
+    });
+    online();
+    await later();
+    await observer.sync();
+    assert.equal(observer.lastError, null);
+
+    const admin = openDevice(baseUrl);
+    await admin.ready();
+    const merged = listSubmissions().find(item => item.id === entry.id);
+    assert.equal(merged.status, 'approved');
+    assert.deepEqual(merged.observations.map(observation => observation.id), ['observation-2']);
+  });
+
+  it('keeps lesson results recorded offline when the plan is reviewed meanwhile', async () => {
+    const teacher = openDevice(baseUrl);
+    await teacher.ready();
+    const entry = submitPlan(newPlan());
+    await teacher.sync();
+
+    const online = goOffline();
+    const results = createLessonResults(entry.plan);
+    results.exitTicket = { mode: 'counts', mastered: 14, total: 18, scores: [] };
+    saveLessonResults(entry.id, results);
+    online();
+
+    await later();
+    const reviewer = openDevice(baseUrl);
+    await reviewer.ready();
+    setSubmissionStatus(entry.id, 'returned');
+    await reviewer.sync();
+
+    usePlanStorage(teacher);
+    await teacher.sync();
+    assert.equal(teacher.lastError, null);
+    const merged = listSubmissions().find(item => item.id === entry.id);
+    assert.equal(merged.status, 'returned');
+    assert.equal(merged.results.exitTicket.mastered, 14);
+  });
+
+  it('keeps an earlier review when results are recorded on a copy cached before it', async () => {
+    const teacher = openDevice(baseUrl);
+    await teacher.ready();
+    const entry = submitPlan(newPlan());
+    await teacher.sync();
+
+    const reviewer = openDevice(baseUrl);
+    await reviewer.ready();
+    setSubmissionStatus(entry.id, 'approved');
+    await reviewer.sync();
+
+    await later();
+    usePlanStorage(teacher);
+    const online = goOffline();
+    const results = createLessonResults(entry.plan);
+    results.exitTicket = { mode: 'counts', mastered: 12, total: 18, scores: [] };
+    saveLessonResults(entry.id, results);
+    online();
+    await later();
+    await teacher.sync();
+    assert.equal(teacher.lastError, null);
+
+    const admin = openDevice(baseUrl);
+    await admin.ready();
+    const merged = listSubmissions().find(item => item.id === entry.id);
+    assert.equal(merged.status, 'approved');
+    assert.equal(merged.results.exitTicket.mastered, 12);
+  });
+
+  it('serves only the app files and refuses malformed addresses', async () => {
+    const status = async pathname => (await fetch(baseUrl + pathname)).status;
+    assert.equal(await status('/'), 200);
+    assert.equal(await status('/data/curriculum.json'), 200);
+    assert.equal(await status('/requests.jsonl'), 404);
+    assert.equal(await status('/test/helpers.js'), 404);
+    assert.equal(await status('/server/library-store.js'), 404);
+    assert.equal(await status('/%E0%A4%A'), 400);
+    assert.equal(await status('/api/plans/%E0%A4%A'), 400);
+  });
+
+  it('keeps the newer draft when an older one arrives from an offline device', async () => {
+    const plan = newPlan();
+    const offline = openDevice(baseUrl);
+    await offline.ready();
+    const online = goOffline();
+    saveDraft(Object.assign({}, plan, { fields: Object.assign({}, plan.fields, { exitTicket: 'Offline edit' }) }));
+    online();
+
+    await later();
+    const other = openDevice(baseUrl);
+    await other.ready();
+    saveDraft(Object.assign({}, plan, { updatedAt: new Date().toISOString(), fields: Object.assign({}, plan.fields, { exitTicket: 'Later edit' }) }));
+    await other.sync();
+
+    usePlanStorage(offline);
+    await offline.sync();
+    assert.equal(offline.lastError, null);
+    assert.equal(getDraft(plan.id).plan.fields.exitTicket, 'Later edit');
+  });
+});
@@ -0,0 +1,37 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// West of UTC, where a YYYY-MM-DD date read as UTC falls on the day before
+process.env.TZ = 'America/Chicago';
+
+const { resetStorage } = require('./helpers');
+const { weeklySubmissionReport } = require('../teachers');
+
+// A submission by one teacher with the given Lesson Date
+const submission = (lessonDate) => ({
+  id: `plan-${lessonDate}`,
+  submittedAt: '2026-03-01T15:00:00.000Z',
+  plan: {
+    author: { id: 'teacher-1', name: 'Ms. Rivera', campus: 'North' },
+    fields: { teacher: 'Ms. Rivera', lessonDate },
+  },
+});
+
+describe('weeklySubmissionReport', () => {
+  beforeEach(() => {
+    resetStorage();
+  });
+
+  it('puts a Monday lesson in its own week', () => {
+    const entries = [submission('2026-03-09')];
+    assert.equal(weeklySubmissionReport(entries, '2026-03-09')[0].plans.length, 1);
+    assert.equal(weeklySubmissionReport(entries, '2026-03-02')[0].plans.length, 0);
+  });
+
+  it('reads written-out Lesson Dates and falls back to the submission day', () => {
+    const entries = [submission('Monday, March 9, 2026'), submission('next week')];
+    const [row] = weeklySubmissionReport(entries, '2026-03-11');
+    assert.deepEqual(row.plans.map(entry => entry.plan.fields.lessonDate), ['Monday, March 9, 2026']);
+    assert.equal(weeklySubmissionReport(entries, '2026-02-26')[0].plans.length, 1);
+  });
+});
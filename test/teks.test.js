@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { findTeks, teksCoverage, validateStandards } = require('../teks');
+
+// A submission by a teacher citing the given TEKS
+const submission = (name, standards, extra = {}) => Object.assign({
+  id: `${name}-${standards.join('-')}`,
+  plan: { author: null, fields: { teacher: name }, meta: { grade: '1st Grade' }, standards },
+}, extra);
+
+describe('teksCoverage', () => {
+  const listed = findTeks('1.3(B)', 'Math');
+  const { standards: [unlisted] } = validateStandards('1.7(A)', 'Math');
+
+  it('counts listed and unlisted TEKS per teacher', () => {
+    const entries = [
+      submission('Ms. Rivera', [listed, unlisted]),
+      submission('Mr. Lee', [unlisted]),
+      submission('Mr. Lee', [listed], { supersededBy: 'newer' }),
+    ];
+    const { groups, rows, untouched } = teksCoverage(entries, { subject: 'Math', grade: '1st Grade', groupBy: 'teacher' });
+    assert.deepEqual(groups, ['Mr. Lee', 'Ms. Rivera']);
+    assert.deepEqual(rows.map(row => [row.teks.code, row.counts]), [
+      ['1.3(B)', { 'Ms. Rivera': 1 }],
+      ['1.7(A)', { 'Ms. Rivera': 1, 'Mr. Lee': 1 }],
+    ]);
+    assert.ok(!untouched.includes(listed));
+    assert.ok(untouched.every(teks => teks.grade === '1st Grade' && teks.description));
+  });
+
+  it('leaves other grades out', () => {
+    const { rows } = teksCoverage([submission('Ms. Rivera', [unlisted])], { subject: 'Math', grade: 'Kindergarten', groupBy: 'teacher' });
+    assert.deepEqual(rows, []);
+  });
+});